@@ -0,0 +1,72 @@
+/**
+ * AEO Labs — Contract Registry: single contract
+ *
+ * GET /api/contracts/:id
+ * GET /api/contracts/:id?file=signed  — the signed PDF, once SignNow reports completion
+ * GET /api/contracts/:id?file=docx    — the contract as .docx, generated again
+ *                                       from its recorded inputs
+ *
+ * Requires `Authorization: Bearer <API_KEY>` — or, for ?file=docx, the
+ * `expires` and `signature` of a signed link (the "Download .docx" button
+ * in Slack; see signedLink() in lib/self.js). Without either, it answers
+ * 503 while API_KEY isn't set: contracts hold client details.
+ */
+
+const { getContract } = require("../../lib/contracts/registry");
+const { contractDocx } = require("../../lib/contracts/actions");
+const { getStore } = require("../../lib/store");
+const { verifySignedLink } = require("../../lib/self");
+const { checkApiKey } = require("../../lib/verify-request");
+const { ConfigError } = require("../../lib/config");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed. Use GET." });
+  }
+
+  const query = req.query || {};
+  const id = query.id;
+
+  try {
+    const linked = query.file === "docx" &&
+      verifySignedLink("/api/contracts/" + id, { file: "docx" }, query.expires, query.signature);
+    if (!linked && !checkApiKey(req, res, "CONTRACTS", { required: true })) return;
+
+    if (!id || !/^ctr_[a-f0-9]+$/.test(id)) {
+      return res.status(404).json({ error: "Contract not found: " + id });
+    }
+
+    const contract = await getContract(id);
+    if (!contract) {
+      return res.status(404).json({ error: "Contract not found: " + id });
+    }
+
+    if (req.query.file === "signed") {
+      const copy = contract.artifacts.signed_copy && await getStore().get("documents", contract.artifacts.signed_copy.key);
+      if (!copy) {
+        return res.status(404).json({ error: "No signed copy for contract " + id });
+      }
+      const fileName = (contract.artifacts.file_name || id).replace(/\.(docx|pdf)$/, "") + " (Signed).pdf";
+      res.setHeader("Content-Type", copy.content_type);
+      res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+      return res.status(200).send(Buffer.from(copy.base64, "base64"));
+    }
+
+    if (req.query.file === "docx") {
+      const docx = await contractDocx(contract);
+      res.setHeader("Content-Type", docx.mimeType);
+      res.setHeader("Content-Disposition", `attachment; filename="${docx.fileName}"`);
+      return res.status(200).send(docx.buffer);
+    }
+
+    return res.status(200).json(contract);
+  } catch (err) {
+    // verifySignedLink() reads the signing secret from the config
+    if (err instanceof ConfigError) {
+      console.error("CONTRACTS: " + err.message + ", rejecting request");
+      return res.status(503).json({ error: err.message, missing: err.missing, invalid: err.invalid });
+    }
+    console.error("CONTRACTS: get failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
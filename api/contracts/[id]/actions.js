@@ -0,0 +1,80 @@
+/**
+ * AEO Labs — Contract Registry: run a contract action
+ *
+ * POST /api/contracts/:id/actions
+ * Body: {
+ *   action: "resend_link" | "void_invoice" | "cancel" | "mark_signed"
+ *     (see lib/contracts/actions.js),
+ *   user_id (optional): Slack user id of whoever pressed the button,
+ *   slack (optional): { channel, ts, blocks } of the message the button
+ *     is on — its buttons are redrawn for the contract's new state, and
+ *     a refusal or failure is shown to user_id only (chat.postEphemeral)
+ * }
+ *
+ * The buttons on a contract's Slack summary reach this through the job
+ * queue ("contract_action" jobs, queued by /api/slack-interact). Actions
+ * the contract's state doesn't allow get a 409.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` or our own request signature
+ * (INTERNAL_SIGNING_SECRET, see lib/self.js) — what the job worker sends;
+ * answers 503 while neither is set (lib/verify-request.js).
+ */
+
+const { runContractAction, ContractActionError } = require("../../../lib/contracts/actions");
+const { refreshContractBlocks } = require("../../../lib/pipeline/notify");
+const { slackAPI } = require("../../../lib/slack");
+const { requireInternalAuth } = require("../../../lib/verify-request");
+
+// Only the person who pressed the button sees why it didn't work
+async function tellUser(slack, userId, text) {
+  if (!slack || !slack.channel || !userId) return;
+  try {
+    const result = await slackAPI("chat.postEphemeral", { channel: slack.channel, user: userId, text });
+    if (!result.ok) console.error("CONTRACT-ACTION: chat.postEphemeral failed: " + result.error);
+  } catch (err) {
+    console.error("CONTRACT-ACTION: chat.postEphemeral failed: " + err.message);
+  }
+}
+
+async function refreshMessage(slack, contract, note) {
+  if (!slack || !slack.channel || !slack.ts) return;
+  const blocks = refreshContractBlocks(slack.blocks, contract, note);
+  try {
+    const result = await slackAPI("chat.update", { channel: slack.channel, ts: slack.ts, text: note, blocks });
+    if (!result.ok) console.error("CONTRACT-ACTION: chat.update failed: " + result.error);
+  } catch (err) {
+    console.error("CONTRACT-ACTION: chat.update failed: " + err.message);
+  }
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  const id = req.query && req.query.id;
+  if (!id || !/^ctr_[a-f0-9]+$/.test(id)) {
+    return res.status(404).json({ error: "Contract not found: " + id });
+  }
+
+  const { action, user_id: userId, slack } = req.body || {};
+  try {
+    const { contract, text } = await runContractAction(id, action, userId || null);
+    await refreshMessage(slack, contract, text);
+    return res.status(200).json({ success: true, contract_id: id, action, status: contract.status });
+  } catch (err) {
+    if (err instanceof ContractActionError) {
+      console.log("CONTRACT-ACTION: Refused: " + err.message);
+      await tellUser(slack, userId, ":warning: " + err.message);
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    // Not retried (the job sees an answer): an action may have got part way
+    console.error("CONTRACT-ACTION: " + action + " on " + id + " failed:", err.message);
+    await tellUser(slack, userId, `:x: Couldn't ${action.replace(/_/g, " ")} for contract ${id}: ${err.message}`);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = requireInternalAuth(handler);
+// Signature checks need the exact bytes that were signed
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,96 @@
+/**
+ * AEO Labs — Contract Registry: approve or reject a held contract
+ *
+ * POST /api/contracts/:id/approval
+ * Body: {
+ *   decision: "approve" | "reject",
+ *   user_id (optional): Slack user id of the approver, recorded on the contract,
+ *   changes (optional, approve): form fields the approver edited — a
+ *     field given as "" is cleared
+ * }
+ *
+ * For contracts the pipeline held for approval (lib/contracts/approval.js).
+ * Approving resumes the contract's run, which goes on to SignNow, Stripe
+ * and ClickUp, and responds like /api/runs/:id/retry (which also picks
+ * up an approved run that died part-way). Rejecting terminates the
+ * contract and tells the requester. Contracts that aren't waiting get a
+ * 409 — a decision already made is on the contract — and a decision from
+ * the contract's requester a 403.
+ *
+ * The Approve / Edit / Reject buttons in the approvers channel reach this
+ * through the job queue ("contract_approval" jobs, queued by
+ * /api/slack-interact); a refusal is shown to the approver only.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` or our own request signature
+ * (INTERNAL_SIGNING_SECRET, see lib/self.js) — what the job worker sends;
+ * answers 503 while neither is set (lib/verify-request.js).
+ */
+
+const { decideApproval } = require("../../../lib/contracts/approval");
+const { ContractActionError } = require("../../../lib/contracts/actions");
+const { getContract } = require("../../../lib/contracts/registry");
+const { resumeContractRun, buildResponse } = require("../../../lib/pipeline/contract");
+const { getRun } = require("../../../lib/pipeline/runs");
+const { closeRequester } = require("../../../lib/pipeline/progress");
+const { slackAPI } = require("../../../lib/slack");
+const { requireInternalAuth } = require("../../../lib/verify-request");
+
+// Only the approver sees why their decision didn't go through
+async function tellApprover(contractId, userId, text) {
+  const contract = userId && await getContract(contractId).catch(() => null);
+  const slack = contract && contract.approval && contract.approval.slack;
+  if (!slack) return;
+  try {
+    const result = await slackAPI("chat.postEphemeral", { channel: slack.channel, user: userId, text });
+    if (!result.ok) console.error("APPROVAL: chat.postEphemeral failed: " + result.error);
+  } catch (err) {
+    console.error("APPROVAL: chat.postEphemeral failed: " + err.message);
+  }
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  const id = req.query && req.query.id;
+  if (!id || !/^ctr_[a-f0-9]+$/.test(id)) {
+    return res.status(404).json({ error: "Contract not found: " + id });
+  }
+
+  const { decision, user_id: userId, changes } = req.body || {};
+  try {
+    const contract = await decideApproval(id, decision, userId || null, changes || null);
+
+    if (decision === "reject") {
+      const run = contract.run_id && await getRun(contract.run_id);
+      await closeRequester(contract.requested_by, run && run.progress_message,
+        `:no_entry: Your contract for *${contract.inputs.client_company}* was rejected` + (userId ? ` by <@${userId}>` : "") + " — nothing was sent to the client");
+      return res.status(200).json({ success: true, contract_id: id, approval: contract.approval });
+    }
+
+    if (!contract.run_id) {
+      return res.status(409).json({ success: false, error: "Approved, but contract " + id + " has no run to resume" });
+    }
+    const resumed = await resumeContractRun(contract.run_id);
+    if (resumed.error) {
+      return res.status(resumed.status).json({ success: false, error: resumed.error });
+    }
+    const { ctx, result } = resumed;
+    return res.status(result.ok ? 200 : 500).json(buildResponse(ctx, result));
+  } catch (err) {
+    if (err instanceof ContractActionError) {
+      console.log("APPROVAL: Refused: " + err.message);
+      await tellApprover(id, userId, ":warning: " + err.message);
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    // Not retried (the job sees an answer): the decision may already be recorded
+    console.error("APPROVAL: " + decision + " on " + id + " failed:", err.message);
+    await tellApprover(id, userId, `:x: Couldn't ${decision} contract ${id}: ${err.message}`);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+}
+
+module.exports = requireInternalAuth(handler);
+// Signature checks need the exact bytes that were signed
+module.exports.config = { api: { bodyParser: false } };
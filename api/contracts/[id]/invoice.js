@@ -0,0 +1,48 @@
+/**
+ * AEO Labs — Contract Registry: create a deferred invoice
+ *
+ * POST /api/contracts/:id/invoice
+ *
+ * Creates the Stripe invoice/subscription stored on a contract as
+ * billing.pending — for contract types billed manually, or to bill an
+ * on_signature contract early. Contracts with nothing pending get a 409.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set.
+ */
+
+const { getContract } = require("../../../lib/contracts/registry");
+const { billContract } = require("../../../lib/billing");
+const { postContractUpdate } = require("../../../lib/slack");
+const { syncClickUpTask } = require("../../../lib/clickup");
+const { checkApiKey } = require("../../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  if (!checkApiKey(req, res, "CONTRACTS")) return;
+
+  const id = req.query && req.query.id;
+  if (!id || !/^ctr_[a-f0-9]+$/.test(id)) {
+    return res.status(404).json({ error: "Contract not found: " + id });
+  }
+
+  try {
+    const contract = await getContract(id);
+    if (!contract) {
+      return res.status(404).json({ error: "Contract not found: " + id });
+    }
+    if (!contract.billing || !contract.billing.pending) {
+      return res.status(409).json({ error: "Contract " + id + " has no pending invoice" });
+    }
+
+    const stripe = await billContract(id, "manual");
+    await syncClickUpTask(await getContract(id));
+    await postContractUpdate(contract, ":receipt: Stripe invoice created" + (stripe.invoiceUrl ? " — <" + stripe.invoiceUrl + "|View Invoice>" : ""));
+    return res.status(200).json({ success: true, contract_id: id, stripe });
+  } catch (err) {
+    console.error("CONTRACTS: invoice failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,43 @@
+/**
+ * AEO Labs — Contract Registry: list
+ *
+ * GET /api/contracts
+ * Query (all optional):
+ *   status         — draft | sent | viewed | signed | paid | active | terminated
+ *   contract_type  — e.g. sprint1, phase2
+ *   client_email
+ *   limit          — default 50, max 500
+ *
+ * Requires `Authorization: Bearer <API_KEY>`: the list holds client
+ * contact details, so it answers 503 while API_KEY isn't set.
+ */
+
+const { listContracts, STATUSES } = require("../../lib/contracts/registry");
+const { checkApiKey } = require("../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed. Use GET." });
+  }
+
+  if (!checkApiKey(req, res, "CONTRACTS", { required: true })) return;
+
+  const query = req.query || {};
+  if (query.status && !STATUSES.includes(query.status)) {
+    return res.status(400).json({ error: `Unknown status "${query.status}". Expected one of: ${STATUSES.join(", ")}` });
+  }
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 500);
+
+  try {
+    const contracts = await listContracts({
+      status: query.status,
+      contract_type: query.contract_type,
+      client_email: query.client_email,
+      limit,
+    });
+    return res.status(200).json({ count: contracts.length, contracts });
+  } catch (err) {
+    console.error("CONTRACTS: list failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
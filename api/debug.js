@@ -1,8 +1,29 @@
+/**
+ * AEO Labs — Deployment check
+ *
+ * GET /api/debug
+ *
+ * Version info plus the configuration this instance loaded (lib/config.js):
+ * non-secret settings as set, secrets only as "[redacted]" when present,
+ * and what is missing or invalid. `status` is "ok" only when nothing is.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set. API_KEY
+ * is read through lib/config.js, so while the configuration is broken
+ * this answers 503 with only the names of what is missing or invalid.
+ */
+
+const { describeConfig } = require("../lib/config");
+const { checkApiKey } = require("../lib/verify-request");
+
 module.exports = (req, res) => {
+  if (!checkApiKey(req, res, "DEBUG")) return;
+
+  const config = describeConfig();
   res.status(200).json({
-    status: "ok",
+    status: config.ok ? "ok" : "misconfigured",
     timestamp: new Date().toISOString(),
     version: "v2-modified",
-    mods: ["200-for-incomplete", "signnow-invite-disabled"]
+    mods: ["200-for-incomplete", "signnow-invite-disabled"],
+    config
   });
-};
\ No newline at end of file
+};
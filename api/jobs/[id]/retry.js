@@ -0,0 +1,39 @@
+/**
+ * AEO Labs — Retry a job
+ *
+ * POST /api/jobs/:id/retry
+ *
+ * Puts a dead-lettered (or finished) job back in the queue with a fresh
+ * set of attempts and wakes the worker. Queued and running jobs are
+ * returned as they are.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set.
+ */
+
+const { requeueJob, wakeWorker } = require("../../../lib/queue");
+const { checkApiKey } = require("../../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  if (!checkApiKey(req, res, "JOBS")) return;
+
+  const id = req.query && req.query.id;
+  if (!id || !/^[A-Za-z0-9_.:-]+$/.test(id)) {
+    return res.status(404).json({ error: "Job not found: " + id });
+  }
+
+  try {
+    const job = await requeueJob(id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found: " + id });
+    }
+    await wakeWorker();
+    return res.status(200).json(job);
+  } catch (err) {
+    console.error("JOBS: retry failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
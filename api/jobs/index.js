@@ -0,0 +1,36 @@
+/**
+ * AEO Labs — Job Queue: list
+ *
+ * GET /api/jobs
+ * Query (all optional):
+ *   status  — queued | running | done | dead  (dead = the dead-letter list)
+ *   type    — e.g. slack_contract, retry_run
+ *   limit   — default 50, max 500
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set.
+ */
+
+const { listJobs, STATUSES } = require("../../lib/queue");
+const { checkApiKey } = require("../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed. Use GET." });
+  }
+
+  if (!checkApiKey(req, res, "JOBS")) return;
+
+  const query = req.query || {};
+  if (query.status && !STATUSES.includes(query.status)) {
+    return res.status(400).json({ error: `Unknown status "${query.status}". Expected one of: ${STATUSES.join(", ")}` });
+  }
+  const limit = Math.min(parseInt(query.limit, 10) || 50, 500);
+
+  try {
+    const jobs = await listJobs({ status: query.status, type: query.type, limit });
+    return res.status(200).json({ count: jobs.length, jobs });
+  } catch (err) {
+    console.error("JOBS: list failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,95 @@
+/**
+ * AEO Labs — Job worker
+ *
+ * POST /api/jobs/worker  (GET for Vercel Cron)
+ *
+ * Runs due jobs from the queue (lib/queue). Routes that enqueue a job
+ * wake this worker right away; the cron in vercel.json sweeps up anything
+ * a lost wake-up left behind every 5 minutes (crons that frequent need a
+ * Vercel Pro plan — Hobby only allows daily ones).
+ *
+ * Retries are due within seconds (lib/queue backs off 5s, 15s, 45s), so
+ * while a job is due before the next sweep the worker doesn't leave it to
+ * the cron: it waits for it — as long as its own maxDuration allows — and
+ * then hands off to a fresh invocation of itself, which runs it.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` or `Bearer <CRON_SECRET>`
+ * (which Vercel Cron sends), or our own request signature
+ * (INTERNAL_SIGNING_SECRET, see lib/self.js) — what the wake-ups carry —
+ * when any of them is set.
+ */
+
+const { processJobs, wakeWorker } = require("../../lib/queue");
+const { getConfig } = require("../../lib/config");
+const { readRawBody } = require("../../lib/raw-body");
+const { verifySelfSignature } = require("../../lib/self");
+
+// The cron's schedule: jobs due sooner are waited for rather than left to it
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Hand off by then: vercel.json gives the function 60 seconds
+const HANDOFF_BY_MS = 50 * 1000;
+const RECHECK_MS = 5 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function isAuthorized(req, app) {
+  const bearers = [app.api_key, app.cron_secret].filter(Boolean);
+  if (bearers.some((s) => req.headers.authorization === `Bearer ${s}`)) return true;
+
+  const secret = app.internal_signing_secret;
+  if (secret && req.method === "POST") {
+    const rawBody = await readRawBody(req);
+    if (verifySelfSignature(rawBody, req.headers["x-internal-timestamp"], req.headers["x-internal-signature"], secret)) {
+      return true;
+    }
+  }
+  return bearers.length === 0 && !secret;
+}
+
+async function handler(req, res) {
+  const started = Date.now();
+  if (req.method !== "POST" && req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  let config;
+  try {
+    config = getConfig();
+  } catch (err) {
+    console.error("JOBS: " + err.message + ", not running jobs");
+    return res.status(503).json({ error: err.message, missing: err.missing, invalid: err.invalid });
+  }
+  if (!(await isAuthorized(req, config.app))) {
+    console.error("JOBS: Rejected unauthenticated worker request");
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const result = await processJobs();
+    if (result.processed.length) {
+      console.log("JOBS: Processed " + result.processed.map((j) => j.id + "=" + j.status).join(", "));
+    }
+
+    // Jobs another worker is running are its to hand off
+    const dueIn = result.next_queued_at ? Date.parse(result.next_queued_at) - Date.now() : Infinity;
+    if (dueIn <= SWEEP_INTERVAL_MS) {
+      let wait = Math.min(dueIn, HANDOFF_BY_MS - (Date.now() - started));
+      // Nothing ran: what's due is being claimed by another worker — check
+      // back later rather than waking ourselves in a tight loop
+      if (!result.processed.length) wait = Math.max(wait, RECHECK_MS);
+      if (wait > 0) {
+        console.log(`JOBS: Next job due at ${result.next_queued_at}, handing off in ${Math.round(wait / 1000)}s`);
+        await sleep(wait);
+      }
+      result.woke_worker = await wakeWorker();
+    }
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("JOBS: worker failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = handler;
+// Wake-ups are signed over the exact bytes sent
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,56 @@
+/**
+ * AEO Labs — Contract Preview
+ *
+ * Renders a contract exactly as /api/generate-and-send would and returns
+ * the file itself. No SignNow upload, no Stripe customer or invoice, no
+ * Slack messages — safe for checking wording and amounts before anything
+ * goes to a client.
+ *
+ * POST /api/preview
+ * Body: same as /api/generate-and-send, including
+ *   format (optional): "docx" (default) | "pdf"
+ *
+ * Responds with the .docx/PDF as an attachment, or JSON { success: false, error }.
+ */
+
+const { prepareContract, generateContract } = require("../lib/contracts/generate");
+const { checkApiKey } = require("../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  // CORS
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Disposition");
+
+  if (req.method === "OPTIONS") {
+    return res.status(200).end();
+  }
+
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  // Same optional API key as the main pipeline
+  if (!checkApiKey(req, res, "PREVIEW")) return;
+
+  const prepared = prepareContract(req.body);
+  if (prepared.error) {
+    console.log("PREVIEW: Rejected - " + prepared.error);
+    return res.status(400).json({ success: false, error: prepared.error });
+  }
+
+  try {
+    const generated = await generateContract(prepared.data, prepared.format);
+    console.log(`PREVIEW: ${prepared.fileName} (${generated.buffer.length} bytes)`);
+
+    res.setHeader("Content-Type", generated.mimeType);
+    res.setHeader("Content-Disposition", `attachment; filename="${prepared.fileName}"`);
+    res.setHeader("Content-Length", generated.buffer.length);
+    res.setHeader("Cache-Control", "no-store");
+    return res.status(200).send(generated.buffer);
+  } catch (err) {
+    console.error("PREVIEW: Error:", err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * AEO Labs — Pipeline run state
+ *
+ * GET /api/runs/:id
+ *
+ * The saved input, per-step results and outputs of one
+ * /api/generate-and-send run (see lib/pipeline/runs.js).
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set.
+ */
+
+const { getRun } = require("../../lib/pipeline/runs");
+const { checkApiKey } = require("../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed. Use GET." });
+  }
+
+  if (!checkApiKey(req, res, "RUNS")) return;
+
+  const id = req.query && req.query.id;
+  if (!id || !/^run_[a-f0-9]+$/.test(id)) {
+    return res.status(404).json({ error: "Run not found: " + id });
+  }
+
+  try {
+    const run = await getRun(id);
+    if (!run) {
+      return res.status(404).json({ error: "Run not found: " + id });
+    }
+    return res.status(200).json(run);
+  } catch (err) {
+    console.error("RUNS: get failed:", err.message);
+    return res.status(500).json({ error: err.message });
+  }
+};
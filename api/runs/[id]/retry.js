@@ -0,0 +1,41 @@
+/**
+ * AEO Labs — Retry a pipeline run
+ *
+ * POST /api/runs/:id/retry
+ *
+ * Resumes a failed or partial /api/generate-and-send run from its failed
+ * steps. Steps that already succeeded are reused, so the retry works on
+ * the same SignNow document, Stripe customer/invoice and ClickUp task.
+ * Responds like /api/generate-and-send; runs that fully succeeded, or
+ * that another request is still executing, get a 409.
+ *
+ * Requires `Authorization: Bearer <API_KEY>` when API_KEY is set.
+ */
+
+const { resumeContractRun, buildResponse } = require("../../../lib/pipeline/contract");
+const { checkApiKey } = require("../../../lib/verify-request");
+
+module.exports = async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  if (!checkApiKey(req, res, "RUNS")) return;
+
+  const id = req.query && req.query.id;
+  if (!id || !/^run_[a-f0-9]+$/.test(id)) {
+    return res.status(404).json({ error: "Run not found: " + id });
+  }
+
+  try {
+    const resumed = await resumeContractRun(id);
+    if (resumed.error) {
+      return res.status(resumed.status).json({ success: false, error: resumed.error });
+    }
+    const { ctx, result } = resumed;
+    return res.status(result.ok ? 200 : 500).json(buildResponse(ctx, result));
+  } catch (err) {
+    console.error("RUNS: retry failed:", err.message);
+    return res.status(500).json({ success: false, error: err.message });
+  }
+};
@@ -0,0 +1,134 @@
+/**
+ * AEO Labs — SignNow Webhook
+ *
+ * Receives the document events the pipeline subscribes to after upload
+ * (see snSubscribeEvents) and moves the matching contract along:
+ *
+ *   document.open                 → viewed
+ *   document.complete             → signed (signed PDF and signed_at stored with the contract,
+ *                                   even if it is already paid; invoices contracts whose
+ *                                   billing trigger is on_signature)
+ *   document.fieldinvite.decline  → terminated
+ *   document.fieldinvite.expired  → terminated
+ *
+ * Each change is posted as a reply in the contract's Slack thread and
+ * mirrored on the contract's ClickUp task.
+ *
+ * POST /api/signnow-webhook
+ * Requires SIGNNOW_WEBHOOK_SECRET (lib/config.js); every request must
+ * carry a valid X-SignNow-Signature (base64 HMAC-SHA256 of the raw body).
+ */
+
+const { readRawBody } = require("../lib/raw-body");
+const { getConfig } = require("../lib/config");
+const { SIGNNOW_EVENTS, snAuthenticate, snDownloadDocument, verifySignNowSignature } = require("../lib/signnow");
+const { STATUSES, getContract, findContractByExternalId, canTransition, setContractStatus, updateContract } = require("../lib/contracts/registry");
+const { getStore } = require("../lib/store");
+const { postContractUpdate } = require("../lib/slack");
+const { billOnSignature } = require("../lib/billing");
+const { syncClickUpTask } = require("../lib/clickup");
+
+const STATUS_MESSAGES = {
+  viewed: ":eyes: Contract viewed by the client",
+  signed: ":white_check_mark: Contract signed",
+  declined: ":x: Client declined to sign",
+  expired: ":hourglass: Signing invite expired",
+};
+
+// Stores the signed PDF next to the contract record
+async function storeSignedCopy(contract) {
+  const token = await snAuthenticate();
+  const pdf = await snDownloadDocument(token, contract.external.signnow_document_id);
+  const key = contract.id + "-signed";
+  await getStore().put("documents", key, {
+    contract_id: contract.id,
+    content_type: "application/pdf",
+    base64: pdf.toString("base64"),
+    created_at: new Date().toISOString(),
+  });
+  await updateContract(contract.id, {
+    artifacts: { signed_copy: { key, bytes: pdf.length, content_type: "application/pdf" } },
+  });
+  console.log("SIGNNOW-WEBHOOK: Stored signed copy (" + pdf.length + " bytes)");
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  // Fails closed while the secret (or anything else) is misconfigured
+  let secret;
+  try {
+    secret = getConfig().signnow.webhook_secret;
+  } catch (err) {
+    console.error("SIGNNOW-WEBHOOK: " + err.message + ", rejecting event");
+    return res.status(503).json({ error: err.message, missing: err.missing, invalid: err.invalid });
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!verifySignNowSignature(rawBody, req.headers["x-signnow-signature"], secret)) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString("utf8"));
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid JSON" });
+  }
+
+  const eventName = event.meta && event.meta.event;
+  const docId = event.content && event.content.document_id;
+  const outcome = SIGNNOW_EVENTS[eventName];
+  console.log("SIGNNOW-WEBHOOK: " + eventName + " for document " + docId);
+
+  if (!outcome) {
+    return res.status(200).json({ ok: true, ignored: "Unhandled event: " + eventName });
+  }
+
+  try {
+    const contract = await findContractByExternalId("signnow_document_id", docId);
+    if (!contract) {
+      return res.status(200).json({ ok: true, ignored: "No contract for document " + docId });
+    }
+
+    const status = outcome === "declined" || outcome === "expired" ? "terminated" : outcome;
+    const alreadySigned = STATUSES.indexOf(contract.status) >= STATUSES.indexOf("signed");
+    // A signature is recorded even when the contract has already moved past
+    // signed (e.g. invoice.paid arrived first); only the status stays put
+    const newSignature = status === "signed" && !contract.signed_at;
+    const staleStatus = contract.status === status || !canTransition(contract.status, status) || (status === "terminated" && alreadySigned);
+    if (staleStatus && !newSignature) {
+      // Duplicate delivery or an event that arrived after a later one
+      return res.status(200).json({ ok: true, contract_id: contract.id, status: contract.status });
+    }
+
+    const note = status === "terminated" ? "SignNow: invite " + outcome : "SignNow: " + eventName;
+    let updated = staleStatus ? contract : await setContractStatus(contract.id, status, note);
+
+    if (newSignature) {
+      updated = await updateContract(contract.id, { signed_at: new Date().toISOString() });
+      try {
+        await storeSignedCopy(updated);
+      } catch (e) {
+        console.error("SIGNNOW-WEBHOOK: Failed to store signed copy:", e.message);
+      }
+    }
+
+    await postContractUpdate(updated, STATUS_MESSAGES[outcome]);
+
+    if (status === "signed") await billOnSignature(updated);
+
+    await syncClickUpTask(await getContract(updated.id));
+
+    return res.status(200).json({ ok: true, contract_id: updated.id, status: updated.status });
+  } catch (err) {
+    console.error("SIGNNOW-WEBHOOK: " + err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = handler;
+// Signature checks need the exact bytes SignNow sent
+module.exports.config = { api: { bodyParser: false } };
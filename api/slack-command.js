@@ -1,43 +1,21 @@
 /**
  * AEO Labs — Slack Slash Command Handler
  *
- * Handles /new-contract slash command by opening a modal form.
+ * Handles /new-contract slash command by opening a modal form
+ * (lib/contracts/modal.js).
  * Slack sends a POST with application/x-www-form-urlencoded body
  * containing trigger_id which we use to open the modal.
  *
  * POST /api/slack-command
+ * Requires SLACK_SIGNING_SECRET; every request must carry a valid
+ * X-Slack-Signature from Slack (see lib/verify-request.js).
  */
 
-const https = require("https");
 const querystring = require("querystring");
-
-function slackAPI(method, body, token) {
-  return new Promise((resolve, reject) => {
-    const bodyStr = JSON.stringify(body);
-    const options = {
-      hostname: "slack.com",
-      port: 443,
-      path: "/api/" + method,
-      method: "POST",
-      headers: {
-        "Authorization": "Bearer " + token,
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(bodyStr)
-      }
-    };
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => data += chunk);
-      res.on("end", () => {
-        try { resolve(JSON.parse(data)); }
-        catch(e) { resolve({ ok: false, error: "parse_error", raw: data.substring(0, 500) }); }
-      });
-    });
-    req.on("error", reject);
-    req.write(bodyStr);
-    req.end();
-  });
-}
+const { buildContractModal } = require("../lib/contracts/modal");
+const { getConfig } = require("../lib/config");
+const { slackAPI } = require("../lib/slack");
+const { requireSlackSignature } = require("../lib/verify-request");
 
 // Parse raw body for form-urlencoded data (Slack sends this format)
 function parseBody(req) {
@@ -68,119 +46,7 @@ function parseBody(req) {
   });
 }
 
-function buildContractModal() {
-  return {
-    type: "modal",
-    callback_id: "new_contract_submit",
-    title: {
-      type: "plain_text",
-      text: "New Contract"
-    },
-    submit: {
-      type: "plain_text",
-      text: "Generate Contract"
-    },
-    close: {
-      type: "plain_text",
-      text: "Cancel"
-    },
-    blocks: [
-      {
-        type: "input",
-        block_id: "contract_type",
-        label: { type: "plain_text", text: "Contract Type" },
-        element: {
-          type: "static_select",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "Select contract type" },
-          options: [
-            {
-              text: { type: "plain_text", text: "Sprint 1" },
-              value: "sprint1"
-            },
-            {
-              text: { type: "plain_text", text: "Phase 2" },
-              value: "phase2"
-            }
-          ]
-        }
-      },
-      {
-        type: "input",
-        block_id: "client_company",
-        label: { type: "plain_text", text: "Company Name" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. Acme Corp" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "client_first",
-        label: { type: "plain_text", text: "Client First Name" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. John" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "client_last",
-        label: { type: "plain_text", text: "Client Last Name" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. Doe" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "client_title",
-        label: { type: "plain_text", text: "Client Title" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. CEO, VP Marketing" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "client_email",
-        label: { type: "plain_text", text: "Client Email" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. john@acme.com" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "amount",
-        label: { type: "plain_text", text: "Contract Amount ($)" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          placeholder: { type: "plain_text", text: "e.g. 5000" }
-        }
-      },
-      {
-        type: "input",
-        block_id: "scope",
-        label: { type: "plain_text", text: "Scope of Work" },
-        element: {
-          type: "plain_text_input",
-          action_id: "value",
-          multiline: true,
-          placeholder: { type: "plain_text", text: "e.g. SEO authority link building - 10 links/month" }
-        }
-      }
-    ]
-  };
-}
-
-module.exports = async (req, res) => {
+async function handler(req, res) {
   console.log("SLACK-CMD: Received request, method=" + req.method);
   console.log("SLACK-CMD: Content-Type=" + req.headers["content-type"]);
   console.log("SLACK-CMD: Body type=" + typeof req.body);
@@ -190,7 +56,16 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
-  const token = process.env.SLACK_BOT_TOKEN;
+  let token;
+  try {
+    token = getConfig().slack.bot_token;
+  } catch (err) {
+    console.error("SLACK-CMD: " + err.message);
+    return res.status(200).json({
+      response_type: "ephemeral",
+      text: "Error: the contract service is misconfigured (" + err.message + "). Contact admin."
+    });
+  }
   if (!token) {
     console.error("SLACK-CMD: No SLACK_BOT_TOKEN");
     return res.status(200).json({
@@ -226,12 +101,13 @@ module.exports = async (req, res) => {
     });
   }
 
-  // Must respond within 3 seconds, so open modal immediately
+  // Must respond within 3 seconds (trigger_id expires), so open modal
+  // immediately and don't wait around for retries
   try {
     const result = await slackAPI("views.open", {
       trigger_id: triggerId,
       view: buildContractModal()
-    }, token);
+    }, token, { timeoutMs: 2500, retries: 0 });
 
     console.log("SLACK-CMD: views.open result ok=" + result.ok + (result.error ? " error=" + result.error : ""));
 
@@ -253,4 +129,8 @@ module.exports = async (req, res) => {
       text: "Error: " + err.message
     });
   }
-};
+}
+
+module.exports = requireSlackSignature(handler);
+// Signature checks need the exact bytes Slack sent
+module.exports.config = { api: { bodyParser: false } };
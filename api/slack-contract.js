@@ -6,128 +6,96 @@
  * results back to #contracts-invoices channel.
  *
  * POST /api/slack-contract
+ * Requires a request signed by the job worker (INTERNAL_SIGNING_SECRET) or
+ * `Authorization: Bearer <API_KEY>` (see lib/verify-request.js).
  * Body (from Slack Workflow Builder webhook step):
  * {
- *   contract_type: "Sprint 1" | "Phase 2",
+ *   contract_type: "Sprint 1" | "Phase 2" | any alias in lib/contracts/types.js,
  *   client_company: "Acme Corp",
  *   client_first: "John",
  *   client_last: "Doe",
  *   client_title: "CEO",
  *   client_email: "john@acme.com",
  *   amount: "5000",
- *   scope: "SEO authority link building - 10 links/month"
+ *   scope: "SEO authority link building - 10 links/month",  // "deliverable" for Sprint 1; either is accepted
+ *   date: "2026-11-01",  // optional — start date, defaults to today
+ *   billing_interval: "year",  // optional, Phase 2 — one of the type's billing intervals
+ *   term_months: "6",  // optional, Phase 2 — initial term
+ *   custom_clauses: "...",  // optional — added to the agreement as written
+ *   dry_run: false,  // optional — true returns the planned API calls without sending them
+ *   idempotency_key: "slack-view-V123",  // optional — forwarded as the pipeline's Idempotency-Key
+ *   requested_by: "U0123ABCD"  // optional — Slack user id of the submitter: DMed the pipeline's
+ *                              // progress and tagged in the channel messages
  * }
+ *
+ * A contract held for approval (lib/contracts/approval.js) gets a "waiting
+ * for approval" note here; its summary follows once it is approved.
+ *
+ * Modal submissions arrive from the job worker (lib/queue/jobs.js) with
+ * X-Job-Id / X-Job-Attempt headers. When the pipeline can't be reached
+ * this answers 502 { retryable: true } so the worker tries again (503 while
+ * an earlier attempt of the same submission is still in progress), and
+ * only the first attempt posts the "Generating..." message.
  */
 
-const https = require("https");
-
-// Slack channel for posting results
-const SLACK_CHANNEL = process.env.SLACK_CHANNEL_ID || "C0AHK69NL8K"; // #contracts-invoices
+const { resolveContractType } = require("../lib/contracts/types");
+const { TYPE_FIELDS, validateContractForm, describeErrors } = require("../lib/contracts/form");
+const { updateContract } = require("../lib/contracts/registry");
+const { buildPipelineBlocks } = require("../lib/pipeline/notify");
+const { callSelf } = require("../lib/self");
+const { postMessage } = require("../lib/slack");
+const { getConfig } = require("../lib/config");
+const { requireInternalAuth } = require("../lib/verify-request");
 
 // ==================== HELPERS ====================
 
-function postJSON(hostname, path, body, headers) {
-  return new Promise((resolve, reject) => {
-    const bodyStr = JSON.stringify(body);
-    const options = {
-      hostname,
-      port: 443,
-      path,
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(bodyStr),
-        ...headers
-      }
-    };
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => data += chunk);
-      res.on("end", () => {
-        try { resolve({ status: res.statusCode, data: JSON.parse(data) }); }
-        catch(e) { resolve({ status: res.statusCode, raw: data.substring(0, 1000) }); }
-      });
-    });
-    req.on("error", reject);
-    req.write(bodyStr);
-    req.end();
-  });
-}
-
-function postToSlack(token, channel, text, blocks) {
-  const body = { channel, text };
-  if (blocks) body.blocks = blocks;
-  return postJSON("slack.com", "/api/chat.postMessage", body, {
-    "Authorization": "Bearer " + token
-  });
-}
-
-// ==================== FIELD VALIDATION ====================
-
-function validateFields(body) {
-  const errors = [];
-
-  // Required fields with friendly names
-  const required = {
-    contract_type: "Contract Type",
-    client_company: "Company Name",
-    client_first: "First Name",
-    client_last: "Last Name",
-    client_title: "Title",
-    client_email: "Email",
-    amount: "Amount",
-    scope: "Scope of Work"
-  };
-
-  for (const [field, label] of Object.entries(required)) {
-    const val = body[field];
-    if (!val || (typeof val === "string" && val.trim() === "")) {
-      errors.push(`*${label}* is missing`);
-    }
-  }
-
-  // Validate email format
-  if (body.client_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(body.client_email.trim())) {
-    errors.push(`*Email* "${body.client_email}" doesn't look like a valid email`);
+// Slack posts are best-effort: a failed notification never fails the submission
+async function postToSlack(channel, text, blocks) {
+  try {
+    return await postMessage({ channel, text, blocks });
+  } catch (e) {
+    console.log("SLACK-CONTRACT: Slack post failed:", e.message);
+    return { ok: false, error: e.message };
   }
+}
 
-  // Validate amount is numeric
-  if (body.amount) {
-    const cleanAmount = String(body.amount).replace(/[$,\s]/g, "");
-    if (isNaN(cleanAmount) || parseFloat(cleanAmount) <= 0) {
-      errors.push(`*Amount* "${body.amount}" must be a positive number`);
-    }
-  }
+// ==================== SLACK MESSAGE FORMATTING ====================
 
-  // Validate contract type
-  if (body.contract_type) {
-    const normalized = normalizeContractType(body.contract_type);
-    if (!normalized) {
-      errors.push(`*Contract Type* "${body.contract_type}" must be "Sprint 1" or "Phase 2"`);
-    }
-  }
+function pipelineStep(result, name) {
+  return (result.steps || []).find((s) => s.name === name) || {};
+}
 
-  return errors;
+// " — requested by @user" for channel messages, when we know who asked
+function requestedBy(body) {
+  return isSlackUserId(body.requested_by) ? ` — requested by <@${body.requested_by}>` : "";
 }
 
-function normalizeContractType(raw) {
-  const lower = String(raw).toLowerCase().trim();
-  if (lower === "sprint 1" || lower === "sprint1" || lower === "s1") return "sprint1";
-  if (lower === "phase 2" || lower === "phase2" || lower === "p2") return "phase2";
-  return null;
+function isSlackUserId(value) {
+  return /^[UW][A-Z0-9]+$/.test(String(value || ""));
 }
 
-// ==================== SLACK MESSAGE FORMATTING ====================
+function describePlannedCall(call) {
+  const p = call.payload || {};
+  let detail = "";
+  if (p.fileName) detail = ` — ${p.fileName} (${Math.round(p.bytes / 1024)} KB)`;
+  else if (p.unit_amount) detail = ` — $${(Number(p.unit_amount) / 100).toLocaleString()}${p["recurring[interval]"] ? "/" + p["recurring[interval]"] : ""}`;
+  else if (p.amount) detail = ` — $${(Number(p.amount) / 100).toLocaleString()}`;
+  else if (Array.isArray(p.fields)) detail = ` — ${p.fields.map((f) => `${f.label} p${f.page_number + 1} @ ${f.x},${f.y}`).join(", ")}`;
+  else if (p.name && call.service === "clickup") detail = ` — "${p.name}"`;
+  return `• \`${call.service}\` ${call.method} ${call.path}${detail}${call.note ? ` _(${call.note})_` : ""}`;
+}
 
-function buildSuccessBlocks(result, body) {
-  const amount = parseInt(String(body.amount).replace(/[$,\s]/g, "")) || 0;
+function buildDryRunBlocks(result, body) {
+  const type = resolveContractType(body.contract_type);
+  const calls = result.planned_calls || [];
+  const doc = result.document || {};
 
   return [
     {
       type: "header",
       text: {
         type: "plain_text",
-        text: "New Contract Created",
+        text: "Dry Run — Nothing Sent",
         emoji: true
       }
     },
@@ -136,48 +104,31 @@ function buildSuccessBlocks(result, body) {
       fields: [
         { type: "mrkdwn", text: `*Client:*\n${body.client_first} ${body.client_last}` },
         { type: "mrkdwn", text: `*Company:*\n${body.client_company}` },
-        { type: "mrkdwn", text: `*Type:*\n${body.contract_type}` },
-        { type: "mrkdwn", text: `*Amount:*\n$${amount.toLocaleString()}` }
+        { type: "mrkdwn", text: `*Type:*\n${type ? type.name : body.contract_type}` },
+        { type: "mrkdwn", text: `*Amount:*\n$${result.amount}` }
       ]
     },
-    {
-      type: "section",
-      fields: [
-        { type: "mrkdwn", text: `*Email:*\n${body.client_email}` },
-        { type: "mrkdwn", text: `*Title:*\n${body.client_title}` }
-      ]
-    },
-    {
-      type: "divider"
-    },
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: "*Pipeline Results:*"
+        text: `:page_facing_up: *${doc.file_name}* generated (${Math.round((doc.bytes || 0) / 1024)} KB${doc.page_count ? ", " + doc.page_count + " pages" : ""})`
       }
     },
     {
       type: "section",
       text: {
         type: "mrkdwn",
-        text: [
-          result.document_id ? `:white_check_mark: *Contract* generated — <${result.signing_link || ('https://app.signnow.com/webapp/document/' + result.document_id)}|${result.signing_link ? 'Send to Client for Signing' : 'View & Send Contract'}>` : `:x: *Contract* generation failed`,
-          result.stripe && !result.stripe.error
-            ? `:white_check_mark: *Stripe Invoice* created${result.stripe.recurring ? " (recurring monthly)" : ""} — <${result.stripe.invoiceUrl}|View Invoice>`
-            : `:x: *Stripe Invoice* failed${result.stripe && result.stripe.error ? ": " + result.stripe.error : ""}`
-        ].join("\n")
+        // Slack caps section text at 3000 characters
+        text: (`*Planned API calls (${calls.length}):*\n` + calls.map(describePlannedCall).join("\n")).substring(0, 3000)
       }
     },
-    {
-      type: "context",
-      elements: [
-        {
-          type: "mrkdwn",
-          text: `Scope: ${body.scope || "N/A"}`
-        }
-      ]
-    }
+    ...(result.approval
+      ? [{ type: "section", text: { type: "mrkdwn", text: ":raised_hand: *Needs approval* before it is sent: " + result.approval.reasons.join(" · ") } }]
+      : []),
+    ...(isSlackUserId(body.requested_by)
+      ? [{ type: "context", elements: [{ type: "mrkdwn", text: `Requested by <@${body.requested_by}>` }] }]
+      : [])
   ];
 }
 
@@ -212,20 +163,33 @@ function buildErrorBlocks(errors, body) {
 
 // ==================== MAIN HANDLER ====================
 
-module.exports = async (req, res) => {
+async function handler(req, res) {
   console.log("SLACK-CONTRACT: Received request, method=" + req.method);
 
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Method not allowed. Use POST." });
   }
 
+  let config;
+  try {
+    config = getConfig();
+  } catch (err) {
+    console.error("SLACK-CONTRACT: " + err.message);
+    // Retryable so a queued submission is dead-lettered, not dropped, and
+    // can be requeued once the configuration is fixed
+    return res.status(503).json({ success: false, retryable: true, error: err.message });
+  }
+
   const body = req.body || {};
-  const slackToken = process.env.SLACK_BOT_TOKEN;
+  const slackToken = config.slack.bot_token;
+  const slackChannel = config.slack.channel_id;
+  const jobId = req.headers && req.headers["x-job-id"];
+  const jobAttempt = parseInt(req.headers && req.headers["x-job-attempt"], 10) || 1;
 
   console.log("SLACK-CONTRACT: Fields received:", Object.keys(body).join(", "));
 
   // Step 1: Validate all fields
-  const errors = validateFields(body);
+  const errors = describeErrors(validateContractForm(body));
 
   if (errors.length > 0) {
     console.log("SLACK-CONTRACT: Validation failed:", errors.join("; "));
@@ -233,7 +197,7 @@ module.exports = async (req, res) => {
     // Post error to Slack if we have a token
     if (slackToken) {
       const errBlocks = buildErrorBlocks(errors, body);
-      await postToSlack(slackToken, SLACK_CHANNEL, "Contract form had validation errors", errBlocks);
+      await postToSlack(slackChannel, "Contract form had validation errors", errBlocks);
     }
 
     return res.status(200).json({
@@ -245,56 +209,90 @@ module.exports = async (req, res) => {
 
   // Step 2: Normalize the data for the main pipeline
   const pipelineBody = {
-    contract_type: normalizeContractType(body.contract_type),
+    contract_type: resolveContractType(body.contract_type).id,
     client_company: body.client_company.trim(),
     client_first: body.client_first.trim(),
     client_last: body.client_last.trim(),
     client_title: body.client_title.trim(),
     client_email: body.client_email.trim().toLowerCase(),
     amount: String(body.amount).replace(/[$,\s]/g, ""),
-    scope: (body.scope || "").trim()
+    dry_run: body.dry_run === true || body.dry_run === "true"
   };
+  if (isSlackUserId(body.requested_by)) pipelineBody.requested_by = body.requested_by;
+  // Whichever type-specific fields were filled in (deliverable, scope, date, ...)
+  for (const field of Object.keys(TYPE_FIELDS)) {
+    const value = String(body[field] || "").trim();
+    if (value) pipelineBody[field] = value;
+  }
 
   console.log("SLACK-CONTRACT: Calling main pipeline with:", JSON.stringify({
     contract_type: pipelineBody.contract_type,
     client_company: pipelineBody.client_company,
     client_email: pipelineBody.client_email,
-    amount: pipelineBody.amount
+    amount: pipelineBody.amount,
+    dry_run: pipelineBody.dry_run
   }));
 
-  // Step 3: Post "Processing..." message to channel
-  if (slackToken) {
-    try {
-      await postToSlack(slackToken, SLACK_CHANNEL,
-        `:hourglass_flowing_sand: *Generating contract for ${body.client_company}...* This takes about 15 seconds.`
-      );
-    } catch(e) {
-      console.log("SLACK-CONTRACT: Failed to post processing msg:", e.message);
-    }
+  // Step 3: Post "Processing..." message to channel (once per submission)
+  if (slackToken && jobAttempt === 1) {
+    await postToSlack(slackChannel,
+      `:hourglass_flowing_sand: *${pipelineBody.dry_run ? "[Dry run] " : ""}Generating contract for ${body.client_company}...* This takes about 15 seconds${requestedBy(body)}.`
+    );
   }
 
   // Step 4: Call the main generate-and-send endpoint internally
   try {
-    const pipelineResult = await postJSON(
-      "aeo-contract-api.vercel.app",
+    const pipelineResult = await callSelf(
       "/api/generate-and-send",
       pipelineBody,
-      {}
+      { headers: body.idempotency_key ? { "Idempotency-Key": String(body.idempotency_key) } : {} }
     );
 
     console.log("SLACK-CONTRACT: Pipeline response status:", pipelineResult.status);
     const result = pipelineResult.data || {};
 
+    // A repeated submission: the first one already reported its result
+    if (result.replayed) {
+      console.log("SLACK-CONTRACT: Duplicate submission, not posting again");
+      return res.status(200).json(result);
+    }
+
+    // An earlier attempt still holds the submission's key: the worker tries
+    // again once it has finished or its claim has run out
+    if (pipelineResult.status === 409 && jobId) {
+      return res.status(503).json({ success: false, retryable: true, error: "Submission still in progress: " + (result.error || "409") });
+    }
+
     // Step 4: Post results to Slack
     if (slackToken) {
-      if (result.success) {
-        const successBlocks = buildSuccessBlocks(result, body);
-        const slackPost = await postToSlack(slackToken, SLACK_CHANNEL, "New contract created for " + body.client_company, successBlocks);
-        console.log("SLACK-CONTRACT: Posted success to Slack:", slackPost.status);
+      if (result.success && result.dry_run) {
+        const dryRunBlocks = buildDryRunBlocks(result, body);
+        const slackPost = await postToSlack(slackChannel, "Dry run for " + body.client_company + " — nothing was sent", dryRunBlocks);
+        console.log("SLACK-CONTRACT: Posted dry run to Slack:", slackPost.ok);
+      } else if (result.success && result.approval && result.approval.status === "pending") {
+        // The summary is posted once the contract is approved and sent
+        const where = result.approval.channel ? ` in <#${result.approval.channel}>` : "";
+        await postToSlack(slackChannel, `:raised_hand: *Contract for ${body.client_company} is waiting for approval*${where} — ${result.approval.reasons.join(" · ")}${requestedBy(body)}`);
+      } else if (pipelineStep(result, "notify").status === "ok") {
+        // The pipeline's notify step already posted the step-by-step summary
+        console.log("SLACK-CONTRACT: Pipeline posted its own summary");
+      } else if (result.steps) {
+        const summaryBlocks = buildPipelineBlocks(result);
+        const slackPost = await postToSlack(slackChannel, (result.success ? "New contract created for " : "Contract pipeline failed for ") + body.client_company, summaryBlocks);
+        console.log("SLACK-CONTRACT: Posted pipeline summary to Slack:", slackPost.ok);
+
+        // Remember the message so webhook updates can be threaded under it
+        if (result.contract_id && slackPost.ok) {
+          try {
+            await updateContract(result.contract_id, { slack: { channel: slackPost.channel, ts: slackPost.ts } });
+          } catch(e) {
+            console.log("SLACK-CONTRACT: Failed to record Slack message on contract:", e.message);
+          }
+        }
       } else {
         // Pipeline returned but with an error
-        const msg = `:warning: Contract pipeline error for *${body.client_company}*: ${result.message || result.error || "Unknown error"}`;
-        await postToSlack(slackToken, SLACK_CHANNEL, msg);
+        const msg = `:warning: Contract pipeline error for *${body.client_company}*: ${result.message || result.error || "Unknown error"}${requestedBy(body)}`;
+        await postToSlack(slackChannel, msg);
       }
     } else {
       console.log("SLACK-CONTRACT: No SLACK_BOT_TOKEN set, skipping Slack notification");
@@ -306,10 +304,19 @@ module.exports = async (req, res) => {
   } catch (err) {
     console.error("SLACK-CONTRACT: Pipeline call failed:", err.message);
 
+    // Queued submission: the worker retries it (and reports it if it gives up)
+    if (jobId) {
+      return res.status(502).json({
+        success: false,
+        retryable: true,
+        error: "Pipeline call failed: " + err.message
+      });
+    }
+
     // Post error to Slack
     if (slackToken) {
-      const msg = `:x: Contract pipeline crashed for *${body.client_company}*: ${err.message}`;
-      await postToSlack(slackToken, SLACK_CHANNEL, msg);
+      const msg = `:x: Contract pipeline crashed for *${body.client_company}*: ${err.message}${requestedBy(body)}`;
+      await postToSlack(slackChannel, msg);
     }
 
     return res.status(200).json({
@@ -317,4 +324,8 @@ module.exports = async (req, res) => {
       error: "Pipeline call failed: " + err.message
     });
   }
-};
+}
+
+module.exports = requireInternalAuth(handler);
+// Signature checks need the exact bytes that were signed
+module.exports.config = { api: { bodyParser: false } };
@@ -2,25 +2,60 @@
  * AEO Labs — Slack Interaction Handler
  *
  * Receives modal form submissions from the /new-contract slash command.
- * Extracts field values, fires off the pipeline to /api/slack-contract
- * (a separate function invocation), and immediately responds to Slack
- * to close the modal.
+ * Extracts field values, queues the pipeline as a background job
+ * (lib/queue) and immediately responds to Slack to close the modal.
+ *
+ * Picking a contract type in the modal arrives here too (the select has
+ * dispatch_action set): the modal is rebuilt for that type with
+ * views.update (lib/contracts/modal.js).
+ *
+ * Also handles the buttons on pipeline summaries (lib/pipeline/notify.js):
+ * "Retry failed steps" queues POST /api/runs/:id/retry, and a contract's
+ * action buttons queue POST /api/contracts/:id/actions (see
+ * lib/contracts/actions.js) — except "Download .docx", answered right
+ * away with a short-lived signed link only the presser sees.
+ *
+ * And the Approve / Edit / Reject buttons on contracts held for approval
+ * (lib/contracts/approval.js): Approve and Reject queue POST
+ * /api/contracts/:id/approval; Edit opens the contract's form, and its
+ * submission queues an approval with the edited values.
  *
  * ARCHITECTURE (Vercel Hobby plan safe):
  * 1. Parse the Slack payload and extract form values
- * 2. Fire HTTP request to /api/slack-contract (separate function)
- * 3. Wait for the request to be sent over the wire
- * 4. Respond to Slack with { response_action: "clear" } to close modal
+ * 2. Validate them (lib/contracts/form.js); invalid fields are answered
+ *    with { response_action: "errors" } so the modal stays open with a
+ *    message under each one, and nothing is queued
+ * 3. Save a "slack_contract" job — keyed by the modal's view id, so a
+ *    double submit or a Slack retry doesn't queue it twice
+ * 4. Wake the job worker (/api/jobs/worker, a separate function)
+ * 5. Respond to Slack with { response_action: "clear" } to close modal
  *
- * The /api/slack-contract function runs independently and handles:
- * - Calling /api/generate-and-send (the main pipeline)
- * - Posting results to #contracts-invoices
+ * The worker calls /api/slack-contract, which handles:
+ * - Calling /api/generate-and-send (the main pipeline), which DMs the
+ *   submitter its progress (lib/pipeline/progress.js)
+ * - Posting results to #contracts-invoices, tagging the submitter
+ *
+ * The worker retries /api/slack-contract if it fails or never answers.
+ * The job is saved before the modal closes, so a lost wake-up only
+ * delays it until the worker's next run.
  *
  * POST /api/slack-interact
+ * Requires SLACK_SIGNING_SECRET; every request must carry a valid
+ * X-Slack-Signature from Slack (see lib/verify-request.js).
  */
 
-const https = require("https");
 const querystring = require("querystring");
+const { RETRY_ACTION_ID, CONTRACT_ACTION_PREFIX } = require("../lib/pipeline/notify");
+const { TYPE_FIELDS, validateContractForm, modalErrors } = require("../lib/contracts/form");
+const { CONTRACT_MODAL_CALLBACK_ID, APPROVAL_EDIT_CALLBACK_ID, buildContractModal, buildApprovalEditModal } = require("../lib/contracts/modal");
+const { APPROVAL_ACTION_PREFIX, decisionProblem } = require("../lib/contracts/approval");
+const { resolveContractType } = require("../lib/contracts/types");
+const { getContract } = require("../lib/contracts/registry");
+const { getRun } = require("../lib/pipeline/runs");
+const { enqueue, wakeWorker } = require("../lib/queue");
+const { slackAPI } = require("../lib/slack");
+const { signedLink } = require("../lib/self");
+const { requireSlackSignature } = require("../lib/verify-request");
 
 // ==================== PAYLOAD PARSING ====================
 
@@ -56,6 +91,10 @@ function extractFormValues(viewState) {
 
     if (action.type === "static_select" && action.selected_option) {
       result[blockId] = action.selected_option.value;
+    } else if (action.type === "datepicker") {
+      if (action.selected_date) result[blockId] = action.selected_date;
+    } else if (action.type === "checkboxes") {
+      result[blockId] = (action.selected_options || []).map((o) => o.value);
     } else if (action.value !== undefined) {
       result[blockId] = action.value;
     }
@@ -64,47 +103,169 @@ function extractFormValues(viewState) {
   return result;
 }
 
-// ==================== FIRE-AND-FORGET HTTP REQUEST ====================
+// The pipeline body for the contract form's values (new contract or an approver's edit)
+function buildFormData(formValues) {
+  const formData = {
+    contract_type: formValues.contract_type || "",
+    client_company: (formValues.client_company || "").trim(),
+    client_first: (formValues.client_first || "").trim(),
+    client_last: (formValues.client_last || "").trim(),
+    client_title: (formValues.client_title || "").trim(),
+    client_email: (formValues.client_email || "").trim().toLowerCase(),
+    amount: String(formValues.amount || "").replace(/[$,\s]/g, ""),
+  };
+  // The picked type's own fields (deliverable or scope, start date, ...);
+  // the modal only showed that type's, so the others are absent
+  for (const field of Object.keys(TYPE_FIELDS)) {
+    const value = String(formValues[field] || "").trim();
+    if (value) formData[field] = value;
+  }
+  return formData;
+}
 
-/**
- * Sends an HTTP request to /api/slack-contract and resolves
- * as soon as the request body has been flushed to the network.
- * We do NOT wait for the response — the target function runs independently.
- */
-function fireAndForget(formData) {
-  return new Promise((resolve) => {
-    const bodyStr = JSON.stringify(formData);
-    const options = {
-      hostname: "aeo-contract-api.vercel.app",
-      port: 443,
-      path: "/api/slack-contract",
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(bodyStr)
-      }
-    };
+// ==================== TYPE SWITCHING ====================
 
-    const req = https.request(options, () => {
-      // Response received — but we don't care, we already resolved
-    });
+// Re-renders the open modal with the fields of the contract type just picked
+async function updateModalForType(view, typeId) {
+  try {
+    // The hash makes Slack drop this update if the view changed since,
+    // e.g. when the type is switched again before this one lands
+    const result = await slackAPI("views.update", {
+      view_id: view.id,
+      hash: view.hash,
+      view: buildContractModal(typeId)
+    }, null, { timeoutMs: 2500, retries: 0 });
+    if (!result.ok) console.error("SLACK-INTERACT: views.update failed: " + result.error);
+  } catch(e) {
+    console.error("SLACK-INTERACT: views.update failed: " + e.message);
+  }
+}
 
-    req.on("error", (err) => {
-      console.log("SLACK-INTERACT: fire-and-forget error (non-fatal):", err.message);
-    });
+// ==================== CONTRACT BUTTONS ====================
+
+const DOWNLOAD_LINK_TTL_SECONDS = 15 * 60;
+
+async function postEphemeral(channel, user, text) {
+  try {
+    const result = await slackAPI("chat.postEphemeral", { channel, user, text }, null, { timeoutMs: 2500, retries: 0 });
+    if (!result.ok) console.error("SLACK-INTERACT: chat.postEphemeral failed: " + result.error);
+  } catch(e) {
+    console.error("SLACK-INTERACT: chat.postEphemeral failed: " + e.message);
+  }
+}
+
+async function handleContractAction(payload, action, contractId) {
+  const userId = payload.user && payload.user.id;
+  const channel = payload.channel && payload.channel.id;
+  console.log("SLACK-INTERACT: Contract action " + action + " on " + contractId + " by " + userId);
+
+  if (action === "download") {
+    const link = signedLink("/api/contracts/" + contractId, { file: "docx" }, DOWNLOAD_LINK_TTL_SECONDS);
+    await postEphemeral(channel, userId, link
+      ? `:page_facing_up: <${link}|Download the contract (.docx)> — the link works for ${DOWNLOAD_LINK_TTL_SECONDS / 60} minutes`
+      : ":warning: Downloads need INTERNAL_SIGNING_SECRET to be set");
+    return;
+  }
+
+  try {
+    const message = payload.message || {};
+    await enqueue("contract_action", {
+      contract_id: contractId,
+      action,
+      user_id: userId,
+      slack: { channel, ts: message.ts, blocks: message.blocks }
+    }, { label: action + " on " + contractId });
+    await wakeWorker();
+  } catch(e) {
+    console.error("SLACK-INTERACT: Failed to queue contract action:", e.message);
+    await postEphemeral(channel, userId, ":x: Couldn't start that (" + e.message + "). Please try again.");
+  }
+}
+
+// ==================== APPROVALS ====================
+
+async function queueApproval(payload, contractId, decision, changes) {
+  const userId = payload.user && payload.user.id;
+  console.log("SLACK-INTERACT: Approval " + decision + " on " + contractId + " by " + userId);
+  const job = await enqueue("contract_approval", {
+    contract_id: contractId,
+    decision,
+    user_id: userId,
+    ...(changes ? { changes } : {})
+  }, { label: decision + " " + contractId });
+  await wakeWorker();
+  return job;
+}
+
+async function handleApprovalAction(payload, action, contractId) {
+  const userId = payload.user && payload.user.id;
+  const channel = payload.channel && payload.channel.id;
+
+  if (action === "edit") {
+    const contract = await getContract(contractId);
+    if (!contract || !contract.approval || contract.approval.status !== "pending") {
+      await postEphemeral(channel, userId, ":warning: That contract isn't waiting for approval any more");
+      return;
+    }
+    // e.g. the requester, who'd only be refused on submit
+    const problem = decisionProblem(contract, userId);
+    if (problem) {
+      await postEphemeral(channel, userId, ":warning: " + problem);
+      return;
+    }
+    try {
+      const result = await slackAPI("views.open", {
+        trigger_id: payload.trigger_id,
+        view: buildApprovalEditModal(contract)
+      }, null, { timeoutMs: 2500, retries: 0 });
+      if (!result.ok) console.error("SLACK-INTERACT: views.open failed: " + result.error);
+    } catch(e) {
+      console.error("SLACK-INTERACT: views.open failed: " + e.message);
+    }
+    return;
+  }
+
+  try {
+    await queueApproval(payload, contractId, action === "approve" ? "approve" : "reject");
+  } catch(e) {
+    console.error("SLACK-INTERACT: Failed to queue approval:", e.message);
+    await postEphemeral(channel, userId, ":x: Couldn't record that (" + e.message + "). Please try again.");
+  }
+}
+
+// An approver's edits: every field the modal showed, "" for the ones emptied
+async function handleApprovalEdit(payload, res) {
+  let meta;
+  try { meta = JSON.parse(payload.view.private_metadata); } catch(e) { meta = null; }
+  if (!meta || !/^ctr_[a-f0-9]+$/.test(meta.contract_id || "")) {
+    console.error("SLACK-INTERACT: Approval edit without a contract id");
+    return res.status(200).json({ response_action: "clear" });
+  }
+
+  const formData = buildFormData({ ...extractFormValues(payload.view.state), contract_type: meta.contract_type });
+  const errors = validateContractForm(formData);
+  if (errors.length > 0) {
+    console.log("SLACK-INTERACT: Approval edit invalid: " + errors.map((e) => e.field).join(", "));
+    return res.status(200).json({ response_action: "errors", errors: modalErrors(errors) });
+  }
 
-    // Write the body and flush — resolve once data is sent
-    req.write(bodyStr, () => {
-      req.end();
-      // Small delay to ensure TCP data is flushed
-      setTimeout(resolve, 200);
+  const { contract_type, ...changes } = formData;
+  for (const field of resolveContractType(contract_type).form) changes[field] = changes[field] || "";
+  try {
+    await queueApproval(payload, meta.contract_id, "approve", changes);
+  } catch(e) {
+    console.error("SLACK-INTERACT: Failed to queue approval:", e.message);
+    return res.status(200).json({
+      response_action: "errors",
+      errors: { client_company: "Couldn't approve the contract (" + e.message + "). Please submit again." }
     });
-  });
+  }
+  return res.status(200).json({ response_action: "clear" });
 }
 
 // ==================== MAIN HANDLER ====================
 
-module.exports = async (req, res) => {
+async function handler(req, res) {
   console.log("SLACK-INTERACT: Handler invoked, method=" + req.method);
 
   if (req.method !== "POST") {
@@ -117,11 +278,53 @@ module.exports = async (req, res) => {
     return res.status(200).send("");
   }
 
+  if (payload.type === "block_actions") {
+    const typeAction = (payload.actions || []).find((a) => a.block_id === "contract_type");
+    if (typeAction && payload.view && payload.view.callback_id === CONTRACT_MODAL_CALLBACK_ID) {
+      const typeId = typeAction.selected_option && typeAction.selected_option.value;
+      console.log("SLACK-INTERACT: Contract type changed to " + typeId);
+      await updateModalForType(payload.view, typeId);
+      return res.status(200).send("");
+    }
+
+    const contractAction = (payload.actions || []).find((a) => (a.action_id || "").startsWith(CONTRACT_ACTION_PREFIX));
+    if (contractAction && /^ctr_[a-f0-9]+$/.test(contractAction.value || "")) {
+      await handleContractAction(payload, contractAction.action_id.slice(CONTRACT_ACTION_PREFIX.length), contractAction.value);
+      return res.status(200).send("");
+    }
+
+    const approvalAction = (payload.actions || []).find((a) => (a.action_id || "").startsWith(APPROVAL_ACTION_PREFIX));
+    if (approvalAction && /^ctr_[a-f0-9]+$/.test(approvalAction.value || "")) {
+      await handleApprovalAction(payload, approvalAction.action_id.slice(APPROVAL_ACTION_PREFIX.length), approvalAction.value);
+      return res.status(200).send("");
+    }
+
+    const retry = (payload.actions || []).find((a) => a.action_id === RETRY_ACTION_ID);
+    if (retry && /^run_[a-f0-9]+$/.test(retry.value || "")) {
+      console.log("SLACK-INTERACT: Retrying run " + retry.value + " for " + (payload.user && payload.user.id));
+      try {
+        // One job per attempt, so a double click doesn't retry twice
+        const run = await getRun(retry.value);
+        if (run) {
+          await enqueue("retry_run", { run_id: run.id }, { id: `retry-${run.id}-${run.attempts || 1}`, label: "Retry " + run.id });
+          await wakeWorker();
+        }
+      } catch(e) {
+        console.error("SLACK-INTERACT: Failed to queue retry:", e.message);
+      }
+    }
+    return res.status(200).send("");
+  }
+
   if (payload.type !== "view_submission") {
     return res.status(200).send("");
   }
 
-  if (!payload.view || payload.view.callback_id !== "new_contract_submit") {
+  if (payload.view && payload.view.callback_id === APPROVAL_EDIT_CALLBACK_ID) {
+    return handleApprovalEdit(payload, res);
+  }
+
+  if (!payload.view || payload.view.callback_id !== CONTRACT_MODAL_CALLBACK_ID) {
     return res.status(200).send("");
   }
 
@@ -130,27 +333,48 @@ module.exports = async (req, res) => {
   console.log("SLACK-INTERACT: formValues=" + JSON.stringify(formValues));
 
   const formData = {
-    contract_type: formValues.contract_type || "",
-    client_company: (formValues.client_company || "").trim(),
-    client_first: (formValues.client_first || "").trim(),
-    client_last: (formValues.client_last || "").trim(),
-    client_title: (formValues.client_title || "").trim(),
-    client_email: (formValues.client_email || "").trim().toLowerCase(),
-    amount: String(formValues.amount || "").replace(/[$,\s]/g, ""),
-    scope: (formValues.scope || "").trim()
+    ...buildFormData(formValues),
+    dry_run: (formValues.dry_run || []).includes("true"),
+    // Who submitted it: DMed the progress and tagged in the channel result
+    requested_by: payload.user && payload.user.id,
+    // Same modal submitted twice (double-click, Slack retry) → same key,
+    // so the pipeline returns the first result instead of running again
+    idempotency_key: "slack-view-" + payload.view.id
   };
 
-  console.log("SLACK-INTERACT: company=" + formData.client_company + " email=" + formData.client_email);
+  console.log("SLACK-INTERACT: company=" + formData.client_company + " email=" + formData.client_email + (formData.dry_run ? " (dry run)" : ""));
 
-  // STEP 1: Fire the request to /api/slack-contract FIRST
-  // This creates a NEW Vercel function invocation that runs independently
-  console.log("SLACK-INTERACT: Firing pipeline to /api/slack-contract...");
-  await fireAndForget(formData);
-  console.log("SLACK-INTERACT: Pipeline request sent");
+  // STEP 1: Keep the modal open on invalid input, with the problems inline
+  const errors = validateContractForm(formData);
+  if (errors.length > 0) {
+    console.log("SLACK-INTERACT: Validation failed: " + errors.map((e) => e.field).join(", "));
+    return res.status(200).json({ response_action: "errors", errors: modalErrors(errors) });
+  }
 
-  // STEP 2: Respond to Slack to close the modal
-  // Even if this function gets killed after res.send(), the pipeline
-  // is already running in the separate /api/slack-contract function
+  // STEP 2: Queue the pipeline and wake the worker, which runs it in a
+  // separate function invocation
+  try {
+    const job = await enqueue("slack_contract", formData, {
+      id: formData.idempotency_key,
+      label: "Contract for " + (formData.client_company || "?")
+    });
+    console.log("SLACK-INTERACT: Queued job " + job.id + " (" + job.status + ")");
+  } catch(e) {
+    console.error("SLACK-INTERACT: Failed to queue pipeline:", e.message);
+    return res.status(200).json({
+      response_action: "errors",
+      errors: { client_company: "Couldn't start the contract pipeline (" + e.message + "). Please submit again." }
+    });
+  }
+  await wakeWorker();
+
+  // STEP 3: Respond to Slack to close the modal
+  // Even if this function gets killed after res.send(), the job is
+  // saved and the worker runs it in its own invocation
   console.log("SLACK-INTERACT: Closing modal");
   return res.status(200).json({ response_action: "clear" });
-};
+}
+
+module.exports = requireSlackSignature(handler);
+// Signature checks need the exact bytes Slack sent
+module.exports.config = { api: { bodyParser: false } };
@@ -0,0 +1,192 @@
+/**
+ * AEO Labs — Stripe Webhook
+ *
+ * Receives invoice and subscription events for the invoices/subscriptions
+ * the pipeline creates, links each one back to its contract through the
+ * contract_id metadata (falling back to the stored Stripe IDs), updates
+ * the contract (and its ClickUp task) and posts the change in its Slack thread:
+ *
+ *   invoice.paid                    → paid (retainer renewals only notify)
+ *   invoice.payment_failed          → notify
+ *   invoice.overdue                 → notify
+ *   invoice.voided                  → notify
+ *   invoice.marked_uncollectible    → notify
+ *   customer.subscription.updated   → active once the subscription is active;
+ *                                     notify when it goes past_due/unpaid
+ *   customer.subscription.deleted   → terminated
+ *
+ * The latest invoice/subscription state is kept on the contract's
+ * `billing` field. Stripe retries deliveries, so handled event ids are
+ * remembered and repeats are acknowledged without doing anything.
+ *
+ * POST /api/stripe-webhook
+ * Requires STRIPE_WEBHOOK_SECRET (the endpoint's whsec_... signing secret,
+ * see lib/config.js); every request must carry a valid Stripe-Signature header.
+ */
+
+const { readRawBody } = require("../lib/raw-body");
+const { getConfig } = require("../lib/config");
+const { verifyStripeSignature } = require("../lib/stripe");
+const { getContract, findContractByExternalId, canTransition, setContractStatus, updateContract } = require("../lib/contracts/registry");
+const { getStore } = require("../lib/store");
+const { postContractUpdate } = require("../lib/slack");
+const { syncClickUpTask } = require("../lib/clickup");
+
+const EVENTS_COLLECTION = "stripe_events";
+
+function formatCents(cents, currency) {
+  const amount = (cents || 0) / 100;
+  const formatted = amount.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return (!currency || currency === "usd" ? "$" : currency.toUpperCase() + " ") + formatted;
+}
+
+/**
+ * What an event means for its contract: { status?, message?, billing }.
+ * Returns null for events this endpoint doesn't handle.
+ */
+function describeEvent(event) {
+  const obj = event.data.object;
+
+  if (event.type.startsWith("invoice.")) {
+    const amount = formatCents(obj.amount_paid || obj.amount_due, obj.currency);
+    const billing = { invoice_id: obj.id, invoice_status: obj.status };
+    switch (event.type) {
+      case "invoice.paid":
+        return { status: "paid", message: ":moneybag: Invoice paid (" + amount + ")", billing };
+      case "invoice.payment_failed":
+        return { message: ":warning: Invoice payment failed (" + amount + ")", billing };
+      case "invoice.overdue":
+        return { message: ":alarm_clock: Invoice overdue (" + amount + ")", billing };
+      case "invoice.voided":
+        return { message: ":no_entry_sign: Invoice voided", billing };
+      case "invoice.marked_uncollectible":
+        return { message: ":no_entry_sign: Invoice marked uncollectible", billing };
+    }
+    return null;
+  }
+
+  if (event.type.startsWith("customer.subscription.")) {
+    const billing = { subscription_id: obj.id, subscription_status: obj.status };
+    switch (event.type) {
+      case "customer.subscription.updated": {
+        const previous = event.data.previous_attributes && event.data.previous_attributes.status;
+        if (!previous || previous === obj.status) return { billing };
+        if (obj.status === "active") return { status: "active", message: ":arrows_counterclockwise: Subscription active", billing };
+        if (obj.status === "past_due" || obj.status === "unpaid") {
+          return { message: ":warning: Subscription " + obj.status.replace("_", " "), billing };
+        }
+        return { billing };
+      }
+      case "customer.subscription.deleted":
+        return { status: "terminated", message: ":octagonal_sign: Subscription canceled", billing };
+    }
+    return null;
+  }
+
+  return null;
+}
+
+// Finds the contract an invoice or subscription belongs to
+async function findContract(obj) {
+  const subscriptionMeta =
+    (obj.subscription_details && obj.subscription_details.metadata) ||
+    (obj.parent && obj.parent.subscription_details && obj.parent.subscription_details.metadata) ||
+    {};
+  const contractId = (obj.metadata && obj.metadata.contract_id) || subscriptionMeta.contract_id;
+  if (contractId) {
+    const contract = await getContract(contractId);
+    if (contract) return contract;
+  }
+
+  if (obj.object === "invoice") {
+    const subscriptionId = typeof obj.subscription === "string" ? obj.subscription : obj.subscription && obj.subscription.id;
+    return (await findContractByExternalId("stripe_invoice_id", obj.id)) ||
+      (await findContractByExternalId("stripe_subscription_id", subscriptionId));
+  }
+  if (obj.object === "subscription") {
+    return findContractByExternalId("stripe_subscription_id", obj.id);
+  }
+  return null;
+}
+
+async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed. Use POST." });
+  }
+
+  // Fails closed while the secret (or anything else) is misconfigured
+  let secret;
+  try {
+    secret = getConfig().stripe.webhook_secret;
+  } catch (err) {
+    console.error("STRIPE-WEBHOOK: " + err.message + ", rejecting event");
+    return res.status(503).json({ error: err.message, missing: err.missing, invalid: err.invalid });
+  }
+
+  const rawBody = await readRawBody(req);
+  if (!verifyStripeSignature(rawBody, req.headers["stripe-signature"], secret)) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString("utf8"));
+  } catch (e) {
+    return res.status(400).json({ error: "Invalid JSON" });
+  }
+  if (!event.id || !event.type || !event.data || !event.data.object) {
+    return res.status(400).json({ error: "Not a Stripe event" });
+  }
+  console.log("STRIPE-WEBHOOK: " + event.type + " (" + event.id + ")");
+
+  const outcome = describeEvent(event);
+  if (!outcome) {
+    return res.status(200).json({ ok: true, ignored: "Unhandled event: " + event.type });
+  }
+
+  try {
+    const store = getStore();
+    if (await store.get(EVENTS_COLLECTION, event.id)) {
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+
+    const contract = await findContract(event.data.object);
+    if (!contract) {
+      return res.status(200).json({ ok: true, ignored: "No contract for " + event.data.object.id });
+    }
+
+    await updateContract(contract.id, {
+      billing: {
+        ...outcome.billing,
+        last_event: event.type,
+        last_event_at: new Date((event.created || Date.now() / 1000) * 1000).toISOString(),
+      },
+    });
+
+    let updated = contract;
+    if (outcome.status && canTransition(contract.status, outcome.status)) {
+      updated = await setContractStatus(contract.id, outcome.status, "Stripe: " + event.type);
+      await syncClickUpTask(updated);
+    }
+
+    if (outcome.message) {
+      await postContractUpdate(updated, outcome.message);
+    }
+
+    await store.put(EVENTS_COLLECTION, event.id, {
+      id: event.id,
+      type: event.type,
+      contract_id: contract.id,
+      received_at: new Date().toISOString(),
+    });
+
+    return res.status(200).json({ ok: true, contract_id: updated.id, status: updated.status });
+  } catch (err) {
+    console.error("STRIPE-WEBHOOK: " + err.message);
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+module.exports = handler;
+// Signature checks need the exact bytes Stripe sent
+module.exports.config = { api: { bodyParser: false } };
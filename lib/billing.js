@@ -0,0 +1,132 @@
+/**
+ * AEO Labs — Billing
+ *
+ * Decides when a contract's Stripe invoice/subscription is created. Each
+ * contract type sets billing.trigger (lib/contracts/types.js):
+ *
+ *   on_send       — invoice as soon as the contract is sent for signature
+ *   on_signature  — invoice when SignNow reports the contract signed
+ *                   (/api/signnow-webhook); right away when the document
+ *                   has no event subscription to report it
+ *   manual        — invoice only on POST /api/contracts/:id/invoice
+ *
+ * Until then the pipeline stores what it would have billed on the
+ * contract as billing.pending (see billingPlan), and billContract()
+ * creates the invoice from it later.
+ */
+
+const { createStripeInvoice } = require("./stripe");
+const { billingInterval } = require("./contracts/types");
+const { updateContract } = require("./contracts/registry");
+const { postContractUpdate } = require("./slack");
+
+/**
+ * Everything needed to invoice a contract later, stored as
+ * billing.pending: { amount_cents, description, interval, client_email,
+ * client_name, client_company }.
+ */
+function billingPlan(type, body, clientName, amount) {
+  return {
+    amount_cents: Math.round(parseFloat(amount) * 100),
+    description: type.billing.description(body.scope || body.deliverable),
+    interval: billingInterval(type, body),
+    client_email: body.client_email,
+    client_name: clientName,
+    client_company: body.client_company,
+  };
+}
+
+// Creates the Stripe invoice/subscription for a plan; `resume` is
+// createStripeInvoice()'s { partial, onProgress }
+function invoicePlan(plan, metadata, dryRun, resume) {
+  console.log("STRIPE: amountCents=" + plan.amount_cents + " recurring=" + !!plan.interval);
+  return createStripeInvoice(
+    plan.client_email, plan.client_name, plan.client_company,
+    plan.amount_cents, plan.description, plan.interval, metadata, dryRun, resume
+  );
+}
+
+// The registry fields recorded once Stripe has an invoice/subscription
+function stripeExternalIds(stripeResult) {
+  return {
+    stripe_customer_id: stripeResult.customerId,
+    stripe_invoice_id: stripeResult.invoiceId || null,
+    stripe_subscription_id: stripeResult.subscriptionId || null,
+    stripe_invoice_url: stripeResult.invoiceUrl || null,
+    // Differs from the client's email when an existing company customer was reused
+    stripe_invoice_email: stripeResult.invoiceEmail || null,
+  };
+}
+
+/**
+ * Invoices a contract from its billing.pending plan and records the
+ * Stripe IDs. Refuses contracts that have nothing pending, so a repeated
+ * signature event or button press can't bill twice.
+ *
+ * What Stripe has created so far is kept as billing.partial as it goes:
+ * an attempt that fails part way leaves the plan pending, and the next
+ * one carries on with the same customer, invoice or subscription.
+ * Returns the createStripeInvoice result.
+ */
+async function billContract(contractId, reason) {
+  // Take the plan and clear it in one step; a concurrent caller then
+  // sees nothing to bill
+  let contract;
+  let pending;
+  await updateContract(contractId, (record) => {
+    pending = record.billing && record.billing.pending;
+    if (!pending) throw new Error(`Contract ${contractId} has no pending billing`);
+    if (record.status === "terminated") throw new Error(`Contract ${contractId} is terminated`);
+    contract = record;
+    return { billing: { pending: null } };
+  });
+
+  let stripeResult;
+  try {
+    stripeResult = await invoicePlan(pending, { contract_id: contractId, contract_type: contract.contract_type }, undefined, {
+      partial: contract.billing.partial,
+      onProgress: (partial) => updateContract(contractId, { billing: { partial } }),
+    });
+  } catch (err) {
+    await updateContract(contractId, { billing: { pending, last_error: err.message } });
+    throw err;
+  }
+
+  await updateContract(contractId, {
+    external: stripeExternalIds(stripeResult),
+    billing: { pending: null, partial: null, last_error: null, invoiced_at: new Date().toISOString(), invoiced_by: reason || null },
+  });
+  console.log("BILLING: Invoiced " + contractId + " (" + (reason || "manual") + ")");
+  return stripeResult;
+}
+
+/**
+ * Invoices a contract that was just signed, if its billing trigger is
+ * on_signature and it has billing pending, and posts the outcome in its
+ * Slack thread. Used by /api/signnow-webhook and the "Mark as signed"
+ * button (lib/contracts/actions.js); never throws, since the signature
+ * stands either way and the plan stays pending for a retry.
+ */
+async function billOnSignature(contract) {
+  const billing = contract.billing || {};
+  if (billing.trigger !== "on_signature" || !billing.pending) return null;
+  try {
+    const invoice = await billContract(contract.id, "signature");
+    await postContractUpdate(contract, ":receipt: Stripe invoice created" +
+      (invoice.customerMatchedBy === "company" ? " — emailed to " + invoice.invoiceEmail + ", the company's existing billing contact" : "") +
+      (invoice.invoiceUrl ? " — <" + invoice.invoiceUrl + "|View Invoice>" : ""));
+    return invoice;
+  } catch (e) {
+    console.error("BILLING: Billing on signature failed for " + contract.id + ": " + e.message);
+    await postContractUpdate(contract, ":x: Stripe invoice failed after signature: " + e.message);
+    return null;
+  }
+}
+
+module.exports = {
+  billingPlan,
+  invoicePlan,
+  stripeExternalIds,
+  billContract,
+  billOnSignature,
+};
@@ -0,0 +1,161 @@
+/**
+ * AEO Labs — ClickUp onboarding tasks
+ *
+ * The pipeline creates one ClickUp task per contract (in CLICKUP_LIST_ID)
+ * and the webhooks move it along as the contract is signed and paid.
+ * The step runs whenever CLICKUP_API_TOKEN is set.
+ *
+ * Configuration (env, loaded by lib/config.js):
+ *   CLICKUP_API_TOKEN          — personal/API token; unset disables ClickUp
+ *   CLICKUP_LIST_ID            — list the tasks are created in (required
+ *                                once CLICKUP_API_TOKEN is set)
+ *   CLICKUP_FIELD_AMOUNT       — custom field ids (optional; each is only
+ *   CLICKUP_FIELD_CONTRACT_TYPE  set when configured). Amount is a number/
+ *   CLICKUP_FIELD_SIGNNOW_DOC    currency field, the others text/URL fields.
+ *   CLICKUP_FIELD_INVOICE_URL
+ *   CLICKUP_STATUS_MAP         — JSON { contractStatus: "ClickUp status" },
+ *                                merged over DEFAULT_STATUS_MAP; statuses must
+ *                                exist on the list
+ *   CLICKUP_ASSIGNEES_<TYPE>   — ClickUp user ids a contract type's tasks are
+ *                                assigned to, e.g. CLICKUP_ASSIGNEES_SPRINT1="123,456"
+ *
+ * Request helpers take an optional trailing `dryRun` recorder (see
+ * lib/dry-run.js); when given, calls are recorded instead of sent.
+ */
+
+const { getConfig } = require("./config");
+const { request } = require("./http");
+
+// Contract status → ClickUp task status. Statuses not listed leave the task alone.
+const DEFAULT_STATUS_MAP = {
+  sent: "to do",
+  signed: "in progress",
+  paid: "in progress",
+  active: "in progress",
+  terminated: "closed",
+};
+
+// Custom field → its config key (clickup.field_*)
+const FIELD_KEYS = {
+  amount: "field_amount",
+  contract_type: "field_contract_type",
+  signnow_document: "field_signnow_document",
+  invoice_url: "field_invoice_url",
+};
+
+function isClickUpEnabled() {
+  return !!getConfig().clickup.api_token;
+}
+
+function statusMap() {
+  return { ...DEFAULT_STATUS_MAP, ...getConfig().clickup.status_map };
+}
+
+function fieldId(name) {
+  return getConfig().clickup[FIELD_KEYS[name]] || null;
+}
+
+// ==================== HELPERS ====================
+
+// Resolves to ClickUp's parsed response; failures (including 4xx/5xx and
+// ClickUp's { err } bodies) reject with the status and ClickUp's message
+async function clickupRequest(method, path, body, dryRun) {
+  if (dryRun) return dryRun.record("clickup", method, path, body);
+  const token = getConfig().clickup.api_token;
+  if (!token) throw new Error("CLICKUP_API_TOKEN not set");
+  const res = await request({
+    service: "clickup",
+    method,
+    url: "https://api.clickup.com/api/v2" + path,
+    headers: { "Authorization": token, "Content-Type": "application/json" },
+    body: body || undefined,
+    throwHttpErrors: false,
+  });
+  const parsed = res.body || {};
+  if (res.status >= 400 || parsed.err) {
+    const detail = parsed.err || (typeof parsed === "string" ? parsed : JSON.stringify(parsed)).substring(0, 200);
+    throw new Error("ClickUp " + method + " " + path + " failed (" + res.status + "): " + detail);
+  }
+  return parsed;
+}
+
+// ==================== TASKS ====================
+
+/**
+ * Creates the onboarding task for a new contract.
+ * details: { contract_id, client_company, client_email, amount,
+ *            signnow_document_id, signing_link, invoice_url }
+ * Resolves to ClickUp's task ({ id, url, ... }).
+ */
+async function createClickUpTask(type, details, dryRun) {
+  // Dry runs plan the task even before ClickUp is set up
+  const listId = getConfig().clickup.list_id || (dryRun ? "<CLICKUP_LIST_ID>" : null);
+  if (!listId) throw new Error("CLICKUP_LIST_ID not set");
+  console.log("CLICKUP: Creating task in list " + listId);
+
+  const values = {
+    amount: parseFloat(details.amount) || 0,
+    contract_type: type.name,
+    signnow_document: details.signnow_document_id || null,
+    invoice_url: details.invoice_url || null,
+  };
+  const customFields = Object.keys(FIELD_KEYS)
+    .filter((name) => fieldId(name) && values[name] !== null)
+    .map((name) => ({ id: fieldId(name), value: values[name] }));
+
+  const assignees = getConfig().clickup["assignees_" + type.id] || [];
+
+  const task = await clickupRequest("POST", "/list/" + listId + "/task", {
+    name: "Contract: " + details.client_company + " - " + type.name,
+    description: "New contract generated and sent for signature.\n\n" +
+      "Client: " + details.client_company + "\n" +
+      "Email: " + details.client_email + "\n" +
+      "Type: " + type.name + "\n" +
+      "Amount: $" + (parseInt(details.amount) || 0).toLocaleString() + "\n" +
+      "Contract ID: " + (details.contract_id || "N/A") + "\n" +
+      "SignNow Doc ID: " + (details.signnow_document_id || "N/A") + "\n" +
+      "Signing link: " + (details.signing_link || "N/A") + "\n" +
+      "Invoice: " + (details.invoice_url || "Not created yet"),
+    status: statusMap().sent,
+    priority: 2,
+    assignees,
+    tags: ["contract", "auto-generated", type.id],
+    custom_fields: customFields,
+  }, dryRun);
+  console.log("CLICKUP: Task created: " + task.id + " " + (task.url || ""));
+  return task;
+}
+
+/**
+ * Brings a contract's task in line with the contract: moves it to the
+ * status mapped from contract.status and fills in the invoice URL once
+ * Stripe has one. Failures are logged, never thrown — the task is a
+ * convenience and must not fail a webhook.
+ */
+async function syncClickUpTask(contract) {
+  const taskId = contract.external && contract.external.clickup_task_id;
+  if (!taskId) return;
+
+  try {
+    if (!isClickUpEnabled()) return;
+    const status = statusMap()[contract.status];
+    if (status) {
+      await clickupRequest("PUT", "/task/" + taskId, { status });
+      console.log("CLICKUP: Task " + taskId + " moved to " + status);
+    }
+
+    const invoiceField = fieldId("invoice_url");
+    if (invoiceField && contract.external.stripe_invoice_url) {
+      await clickupRequest("POST", "/task/" + taskId + "/field/" + invoiceField, { value: contract.external.stripe_invoice_url });
+    }
+  } catch (err) {
+    console.error("CLICKUP: Sync failed for task " + taskId + ": " + err.message);
+  }
+}
+
+module.exports = {
+  isClickUpEnabled,
+  clickupRequest,
+  createClickUpTask,
+  syncClickUpTask,
+};
@@ -0,0 +1,208 @@
+/**
+ * AEO Labs — Configuration
+ *
+ * Every setting the app reads from the environment, with which ones are
+ * required and which are secrets. Nothing secret has a default: a missing
+ * credential is a configuration error, never a fallback to a built-in one.
+ *
+ *   getConfig()      → { signnow, stripe, slack, clickup, approval, store, app }, loaded and
+ *                      validated once per instance. Throws a ConfigError
+ *                      listing every missing/invalid setting — callers that
+ *                      talk to SignNow, Stripe, Slack or ClickUp go through
+ *                      it, so a misconfigured deployment fails closed.
+ *   describeConfig() → the same settings with secrets redacted, plus the
+ *                      problems, for /api/debug. Never throws.
+ *   resetConfig()    — forget the loaded config (tests, scripts).
+ *
+ * A setting is required always (`required: true`) or only once the
+ * integration it belongs to is switched on (`requiredWith`), e.g.
+ * SLACK_CHANNEL_ID and SLACK_SIGNING_SECRET as soon as SLACK_BOT_TOKEN is
+ * set. The webhook secrets are always required: without them SignNow and
+ * Stripe can't report signatures and payments.
+ *
+ * Approvals (lib/contracts/approval.js) are on while APPROVAL_CHANNEL_ID
+ * is set: contracts over APPROVAL_AMOUNT_THRESHOLD dollars, of one of
+ * APPROVAL_CONTRACT_TYPES (comma-separated ids) or — unless
+ * APPROVAL_NONSTANDARD_TERMS is "false" — with custom clauses or a
+ * billing interval/term other than their type's are held for approval.
+ *
+ * STORE_ADAPTER picks where records, jobs and locks live (lib/store).
+ * On Vercel (VERCEL is set) it has to be kv, with KV_REST_API_URL and
+ * KV_REST_API_TOKEN: the file and memory stores aren't shared between
+ * functions, so the app refuses to start with them there.
+ *
+ * CLICKUP_ASSIGNEES_<TYPE> (e.g. CLICKUP_ASSIGNEES_SPRINT1="123,456") are
+ * the ClickUp user ids a contract type's onboarding task is assigned to.
+ *
+ * The route guards' secrets (API_KEY, INTERNAL_SIGNING_SECRET, CRON_SECRET)
+ * are optional; lib/verify-request.js and lib/self.js read them from here
+ * and refuse requests while the rest of the configuration is broken.
+ */
+
+const { resolveContractType, listContractTypes } = require("./contracts/types");
+
+class ConfigError extends Error {
+  constructor(missing, invalid) {
+    const parts = [];
+    if (missing.length) parts.push("missing " + missing.join(", "));
+    if (invalid.length) parts.push("invalid " + invalid.map((i) => `${i.name} (${i.reason})`).join(", "));
+    super("Configuration error: " + parts.join("; "));
+    this.name = "ConfigError";
+    this.missing = missing;
+    this.invalid = invalid;
+  }
+}
+
+const isJSONObject = (value) => {
+  const parsed = JSON.parse(value);
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("must be a JSON object");
+  return parsed;
+};
+const isUrl = (value) => {
+  const url = new URL(value);
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw new Error("must be an http(s) URL");
+  return value.replace(/\/+$/, "");
+};
+const oneOf = (...options) => (value) => {
+  if (!options.includes(value)) throw new Error("must be one of " + options.join(", "));
+  return value;
+};
+const isPositiveNumber = (value) => {
+  const number = Number(value.replace(/[$,\s]/g, ""));
+  if (!(number > 0)) throw new Error("must be a positive number");
+  return number;
+};
+const isIdList = (value) => value.split(",").map((id) => id.trim()).filter(Boolean).map((id) => {
+  if (!/^\d+$/.test(id)) throw new Error("must be comma-separated numeric ids");
+  return parseInt(id, 10);
+});
+const isContractTypeList = (value) => value.split(",").map((id) => id.trim()).filter(Boolean).map((id) => {
+  const type = resolveContractType(id);
+  if (!type) throw new Error("unknown contract type " + id);
+  return type.id;
+});
+
+const storeAdapterIs = (name) => (env) => (env.STORE_ADAPTER || "file").trim().toLowerCase() === name;
+// Each Vercel function has its own tmp dir and memory: records, jobs and
+// locks written by one would be invisible to the others
+const sharedOnVercel = (adapter, env) => (env.VERCEL && adapter !== "kv"
+  ? `${adapter} doesn't work on Vercel, where every function has its own storage; use kv` : null);
+
+// group.key ← env; `parse` may throw to reject the value, `check` sees
+// the parsed (or default) value with the whole env and returns a reason
+// to reject it
+const SETTINGS = [
+  { env: "SIGNNOW_CLIENT_ID", group: "signnow", key: "client_id", secret: true, required: true },
+  { env: "SIGNNOW_CLIENT_SECRET", group: "signnow", key: "client_secret", secret: true, required: true },
+  { env: "SIGNNOW_EMAIL", group: "signnow", key: "email", secret: true, required: true },
+  { env: "SIGNNOW_PASSWORD", group: "signnow", key: "password", secret: true, required: true },
+  { env: "SIGNNOW_WEBHOOK_SECRET", group: "signnow", key: "webhook_secret", secret: true, required: true },
+
+  { env: "STRIPE_SECRET_KEY", group: "stripe", key: "secret_key", secret: true, required: true },
+  { env: "STRIPE_WEBHOOK_SECRET", group: "stripe", key: "webhook_secret", secret: true, required: true },
+  { env: "STRIPE_CUSTOMER_MATCH", group: "stripe", key: "customer_match", default: "email", parse: oneOf("email", "email_or_company") },
+
+  { env: "SLACK_BOT_TOKEN", group: "slack", key: "bot_token", secret: true, requiredWith: "APPROVAL_CHANNEL_ID" },
+  { env: "SLACK_CHANNEL_ID", group: "slack", key: "channel_id", requiredWith: "SLACK_BOT_TOKEN" },
+  { env: "SLACK_SIGNING_SECRET", group: "slack", key: "signing_secret", secret: true, requiredWith: "SLACK_BOT_TOKEN" },
+
+  { env: "CLICKUP_API_TOKEN", group: "clickup", key: "api_token", secret: true },
+  { env: "CLICKUP_LIST_ID", group: "clickup", key: "list_id", requiredWith: "CLICKUP_API_TOKEN" },
+  { env: "CLICKUP_STATUS_MAP", group: "clickup", key: "status_map", parse: isJSONObject },
+  { env: "CLICKUP_FIELD_AMOUNT", group: "clickup", key: "field_amount" },
+  { env: "CLICKUP_FIELD_CONTRACT_TYPE", group: "clickup", key: "field_contract_type" },
+  { env: "CLICKUP_FIELD_SIGNNOW_DOC", group: "clickup", key: "field_signnow_document" },
+  { env: "CLICKUP_FIELD_INVOICE_URL", group: "clickup", key: "field_invoice_url" },
+  ...listContractTypes().map((type) => (
+    { env: "CLICKUP_ASSIGNEES_" + type.id.toUpperCase(), group: "clickup", key: "assignees_" + type.id, parse: isIdList }
+  )),
+
+  { env: "APPROVAL_CHANNEL_ID", group: "approval", key: "channel_id" },
+  { env: "APPROVAL_AMOUNT_THRESHOLD", group: "approval", key: "amount_threshold", parse: isPositiveNumber },
+  { env: "APPROVAL_CONTRACT_TYPES", group: "approval", key: "contract_types", parse: isContractTypeList },
+  { env: "APPROVAL_NONSTANDARD_TERMS", group: "approval", key: "nonstandard_terms", default: "true", parse: oneOf("true", "false") },
+
+  { env: "STORE_ADAPTER", group: "store", key: "adapter", default: "file", parse: (value) => oneOf("file", "kv", "memory")(value.toLowerCase()), check: sharedOnVercel },
+  { env: "STORE_DIR", group: "store", key: "dir" },
+  { env: "KV_REST_API_URL", group: "store", key: "kv_url", parse: isUrl, requiredWhen: storeAdapterIs("kv") },
+  { env: "KV_REST_API_TOKEN", group: "store", key: "kv_token", secret: true, requiredWhen: storeAdapterIs("kv") },
+
+  { env: "PUBLIC_BASE_URL", group: "app", key: "public_base_url", parse: isUrl },
+  // Set by Vercel
+  { env: "VERCEL", group: "app", key: "vercel" },
+  { env: "VERCEL_PROJECT_PRODUCTION_URL", group: "app", key: "vercel_production_url" },
+  { env: "API_KEY", group: "app", key: "api_key", secret: true },
+  { env: "INTERNAL_SIGNING_SECRET", group: "app", key: "internal_signing_secret", secret: true },
+  { env: "CRON_SECRET", group: "app", key: "cron_secret", secret: true },
+];
+
+function loadConfig(env = process.env) {
+  const values = {};
+  const missing = [];
+  const invalid = [];
+
+  for (const setting of SETTINGS) {
+    const group = values[setting.group] || (values[setting.group] = {});
+    const raw = typeof env[setting.env] === "string" ? env[setting.env].trim() : "";
+
+    if (!raw) {
+      const required = setting.required || (setting.requiredWith && env[setting.requiredWith])
+        || (setting.requiredWhen && setting.requiredWhen(env));
+      if (required) missing.push(setting.env);
+      group[setting.key] = setting.default !== undefined ? setting.default : null;
+    } else {
+      try {
+        group[setting.key] = setting.parse ? setting.parse(raw) : raw;
+      } catch (e) {
+        invalid.push({ name: setting.env, reason: e.message });
+        group[setting.key] = null;
+        continue;
+      }
+    }
+    const reason = setting.check && group[setting.key] !== null && setting.check(group[setting.key], env);
+    if (reason) invalid.push({ name: setting.env, reason });
+  }
+
+  return { values, missing, invalid };
+}
+
+let loaded = null;
+
+function load() {
+  if (!loaded) {
+    loaded = loadConfig();
+    if (loaded.missing.length || loaded.invalid.length) {
+      console.error("CONFIG: " + new ConfigError(loaded.missing, loaded.invalid).message);
+    }
+  }
+  return loaded;
+}
+
+function getConfig() {
+  const { values, missing, invalid } = load();
+  if (missing.length || invalid.length) throw new ConfigError(missing, invalid);
+  return values;
+}
+
+function describeConfig() {
+  const { missing, invalid } = load();
+  const settings = {};
+  for (const setting of SETTINGS) {
+    const raw = (process.env[setting.env] || "").trim();
+    let shown;
+    if (!raw) shown = setting.default !== undefined ? setting.default + " (default)" : null;
+    else if (setting.secret) shown = "[redacted]";
+    else shown = raw;
+    settings[setting.env] = shown;
+  }
+  return { ok: !missing.length && !invalid.length, missing, invalid, settings };
+}
+
+function resetConfig() {
+  loaded = null;
+}
+
+// Validate as the instance starts, so problems are logged up front
+load();
+
+module.exports = { ConfigError, SETTINGS, loadConfig, getConfig, describeConfig, resetConfig };
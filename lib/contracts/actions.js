@@ -0,0 +1,224 @@
+/**
+ * AEO Labs — Contract actions
+ *
+ * What the buttons on a contract's "New Contract Created" Slack message
+ * do. /api/slack-interact queues them and POST /api/contracts/:id/actions
+ * runs them:
+ *
+ *   resend_link   cancel the client's signing link and create a new one
+ *   void_invoice  void the Stripe invoice and cancel the subscription —
+ *                 or, before anything was invoiced, drop the pending billing
+ *   cancel        cancel the signing link and terminate the contract
+ *   mark_signed   mark the contract signed without SignNow (e.g. signed on
+ *                 paper), billing it like a signature would
+ *   download      the contract as .docx — a link, answered by
+ *                 /api/slack-interact itself (see contractDocx)
+ *
+ * Each is offered only while the contract's state allows it
+ * (availableActions); running one anyway is refused with a
+ * ContractActionError. Outcomes are posted in the contract's Slack thread.
+ */
+
+const { prepareContract, generateContract } = require("./generate");
+const { getContract, updateContract, setContractStatus } = require("./registry");
+const { snAuthenticate, snCancelInvites, snCreateSigningLink } = require("../signnow");
+const { voidInvoice, cancelSubscription } = require("../stripe");
+const { billOnSignature } = require("../billing");
+const { syncClickUpTask } = require("../clickup");
+const { postContractUpdate } = require("../slack");
+
+class ContractActionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "ContractActionError";
+    this.status = status;
+  }
+}
+
+// Still waiting for the client's signature
+const UNSIGNED = ["draft", "sent", "viewed"];
+
+// Held until approved (lib/contracts/approval.js): nothing went to the client yet
+const awaitingApproval = (contract) => !!contract.approval && contract.approval.status === "pending";
+
+const by = (user) => user ? ` by <@${user}>` : "";
+
+// How long a running action keeps others off the contract, should its
+// invocation die before clearing it (maxDuration is 60s)
+const ACTION_LEASE_MS = 60 * 1000;
+
+// Whether anything is left to void: a plan not yet invoiced, or an invoice not yet paid
+function hasOpenBilling(contract) {
+  const billing = contract.billing || {};
+  const external = contract.external || {};
+  if (billing.voided_at) return false;
+  if (billing.pending) return true;
+  return !!external.stripe_invoice_id && !["paid", "void"].includes(billing.invoice_status);
+}
+
+// Signing links stop working once their invites are canceled. Best-effort:
+// SignNow answers an error when there is nothing left to cancel.
+async function cancelSigningLinks(token, contract) {
+  try {
+    await snCancelInvites(token, contract.external.signnow_document_id);
+  } catch (err) {
+    console.log("CONTRACT-ACTION: Couldn't cancel invites for " + contract.id + ": " + err.message);
+  }
+}
+
+// ==================== ACTIONS ====================
+
+async function resendSigningLink(contract, user) {
+  const token = await snAuthenticate();
+  await cancelSigningLinks(token, contract);
+  const link = await snCreateSigningLink(token, contract.external.signnow_document_id, contract.inputs.client_email);
+  await updateContract(contract.id, { external: { signing_link: link } });
+  return `:link: New signing link created${by(user)} — <${link}|Send to Client for Signing>`;
+}
+
+async function voidBilling(contract, user) {
+  const billing = contract.billing || {};
+  const voided = { voided_at: new Date().toISOString(), voided_by: user || null };
+
+  if (billing.pending) {
+    await updateContract(contract.id, { billing: { ...voided, pending: null } });
+    return `:no_entry_sign: Billing canceled${by(user)} before an invoice was created`;
+  }
+
+  const { stripe_subscription_id: subscriptionId, stripe_invoice_id: invoiceId } = contract.external;
+  if (subscriptionId) await cancelSubscription(subscriptionId);
+  await voidInvoice(invoiceId);
+  await updateContract(contract.id, {
+    billing: {
+      ...voided,
+      invoice_status: "void",
+      ...(subscriptionId ? { subscription_status: "canceled" } : {}),
+    },
+  });
+  return `:no_entry_sign: Stripe invoice voided${subscriptionId ? " and subscription canceled" : ""}${by(user)}`;
+}
+
+async function cancelContract(contract, user) {
+  if (UNSIGNED.includes(contract.status) && contract.external.signnow_document_id) {
+    await cancelSigningLinks(await snAuthenticate(), contract);
+  }
+  // A canceled contract is never billed; an invoice already sent stays
+  // until it is voided
+  const billing = contract.billing || {};
+  if (billing.pending) await updateContract(contract.id, { billing: { pending: null } });
+
+  const updated = await setContractStatus(contract.id, "terminated", "Canceled in Slack" + (user ? " by " + user : ""));
+  await syncClickUpTask(updated);
+  return `:octagonal_sign: Contract canceled${by(user)}` + (hasOpenBilling(updated) ? " — its Stripe invoice is still open" : "");
+}
+
+async function markSigned(contract, user) {
+  await setContractStatus(contract.id, "signed", "Marked signed in Slack" + (user ? " by " + user : ""));
+  return `:white_check_mark: Contract marked as signed${by(user)}`;
+}
+
+// Then what a SignNow signature would have set off
+async function afterMarkSigned(contract) {
+  await billOnSignature(contract);
+  await syncClickUpTask(await getContract(contract.id));
+}
+
+/**
+ * Buttons in the order they appear. `run` returns the line posted in the
+ * contract's thread, `after` follows up once it is posted. `confirm` is
+ * the question Slack asks before running a button that can't be undone.
+ */
+const CONTRACT_ACTIONS = {
+  resend_link: {
+    label: "Resend signing link",
+    available: (c) => UNSIGNED.includes(c.status) && !!c.external.signnow_document_id,
+    run: resendSigningLink,
+  },
+  mark_signed: {
+    label: "Mark as signed manually",
+    confirm: "Mark this contract as signed? Contracts billed on signature are invoiced right away.",
+    available: (c) => UNSIGNED.includes(c.status) && !awaitingApproval(c),
+    run: markSigned,
+    after: afterMarkSigned,
+  },
+  void_invoice: {
+    label: "Void invoice",
+    confirm: "Void this contract's Stripe invoice (and cancel its subscription)?",
+    danger: true,
+    available: (c) => c.status !== "paid" && hasOpenBilling(c),
+    run: voidBilling,
+  },
+  cancel: {
+    label: "Cancel contract",
+    confirm: "Cancel this contract? The client's signing link stops working.",
+    danger: true,
+    available: (c) => c.status !== "terminated",
+    run: cancelContract,
+  },
+  download: {
+    label: "Download .docx",
+    available: () => true,
+  },
+};
+
+// The action names a contract's state allows, in button order
+function availableActions(contract) {
+  return Object.keys(CONTRACT_ACTIONS).filter((name) => CONTRACT_ACTIONS[name].available(contract));
+}
+
+/**
+ * Runs a state-changing action for `user` (a Slack user id, or null for
+ * API callers) and posts the outcome in the contract's thread.
+ * Resolves to { contract, text } with the updated record; throws a
+ * ContractActionError (status 404/409) when the action doesn't apply or
+ * another one is still running on the contract.
+ */
+async function runContractAction(contractId, name, user) {
+  const action = CONTRACT_ACTIONS[name];
+  if (!action || !action.run) throw new ContractActionError("Unknown contract action: " + name, 400);
+
+  if (!(await getContract(contractId))) throw new ContractActionError("Contract not found: " + contractId, 404);
+
+  // Checked and claimed in one step: a second action waits for this one
+  // to finish, then sees the state it left behind
+  const contract = await updateContract(contractId, (current) => {
+    const running = current.action;
+    if (running && Date.parse(running.expires_at) > Date.now()) {
+      throw new ContractActionError(`"${CONTRACT_ACTIONS[running.name].label}" is still running for contract ${contractId}`);
+    }
+    if (!action.available(current)) {
+      throw new ContractActionError(`"${action.label}" isn't available for contract ${contractId} (${current.status})`);
+    }
+    return { action: { name, user: user || null, expires_at: new Date(Date.now() + ACTION_LEASE_MS).toISOString() } };
+  });
+
+  console.log("CONTRACT-ACTION: " + name + " on " + contractId + (user ? " by " + user : ""));
+  try {
+    const text = await action.run(contract, user);
+    await postContractUpdate(await getContract(contractId), text);
+    if (action.after) await action.after(await getContract(contractId), user);
+    return { contract: await updateContract(contractId, { action: null }), text };
+  } catch (err) {
+    // Should this fail too, the lease runs out instead
+    await updateContract(contractId, { action: null }).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * Renders a recorded contract again as .docx from its saved inputs, the
+ * same document the pipeline generated: inputs carry the pinned date,
+ * and the clauses are the versions it was issued with
+ * (artifacts.clauses), whatever the template uses today.
+ * Resolves to { buffer, mimeType, fileName }.
+ */
+async function contractDocx(contract) {
+  const prepared = prepareContract({ ...contract.inputs, contract_type: contract.contract_type, format: "docx" });
+  if (prepared.error) throw new Error("Can't regenerate " + contract.id + ": " + prepared.error);
+  // Custom clauses come back from the inputs
+  const issued = (contract.artifacts.clauses || []).filter((ref) => ref !== "custom");
+  const generated = await generateContract(prepared.data, "docx", { clauses: issued.length ? issued : undefined });
+  return { buffer: generated.buffer, mimeType: generated.mimeType, fileName: prepared.fileName };
+}
+
+module.exports = { CONTRACT_ACTIONS, ContractActionError, availableActions, runContractAction, contractDocx };
@@ -0,0 +1,312 @@
+/**
+ * AEO Labs — Contract approvals
+ *
+ * Contracts that need a second pair of eyes are held before anything
+ * reaches the client. The pipeline's approval step (lib/pipeline/contract.js)
+ * posts them to APPROVAL_CHANNEL_ID and stops short of SignNow and Stripe;
+ * which contracts is set in lib/config.js (see approvalReasons).
+ *
+ * The approval message has three buttons, handled by /api/slack-interact:
+ *
+ *   Approve  resumes the run, which uploads to SignNow, creates the
+ *            signing link and invoice, and posts the usual summary
+ *   Edit     opens the contract's form (lib/contracts/modal.js);
+ *            submitting it approves the edited contract
+ *   Reject   terminates the contract and tells the requester
+ *
+ * Whoever requested a contract can't decide on it. Decisions go through
+ * POST /api/contracts/:id/approval (queued as "contract_approval" jobs)
+ * and are kept on the contract:
+ *
+ *   approval: { status: "pending" | "approved" | "rejected", reasons,
+ *               requested_at, decided_by, decided_at, edited,
+ *               slack: { channel, ts } }  — the approval message
+ */
+
+const { prepareContract } = require("./generate");
+const { renderContract } = require("./engine");
+const { resolveContractType, billingInterval, contractTerm } = require("./types");
+const { getContract, updateContract, setContractStatus } = require("./registry");
+const { ContractActionError } = require("./actions");
+const { getRun, saveRun } = require("../pipeline/runs");
+const { postMessage, slackAPI } = require("../slack");
+const { getConfig } = require("../config");
+
+// Approval buttons: action_id is the prefix plus approve | edit | reject, value the contract id
+const APPROVAL_ACTION_PREFIX = "contract_approval:";
+
+const formatDollars = (amount) => "$" + Number(amount).toLocaleString("en-US");
+const formatTerm = (term) => `${term.length} ${term.unit}${term.length === 1 ? "" : "s"}`;
+
+/**
+ * Why a submission needs approval under the configured rules — empty when
+ * it doesn't, or while approvals are off (no APPROVAL_CHANNEL_ID).
+ * `prepared` is prepareContract(body).
+ */
+function approvalReasons(prepared, body) {
+  const { approval } = getConfig();
+  if (!approval.channel_id) return [];
+
+  const { type, amount } = prepared;
+  const reasons = [];
+  if (approval.amount_threshold && Number(amount) > approval.amount_threshold) {
+    reasons.push(`${formatDollars(amount)} is over the ${formatDollars(approval.amount_threshold)} threshold`);
+  }
+  if ((approval.contract_types || []).includes(type.id)) {
+    reasons.push(`${type.name} contracts always need approval`);
+  }
+  if (approval.nonstandard_terms === "true") {
+    if (String(body.custom_clauses || "").trim()) reasons.push("Custom clauses");
+    const interval = billingInterval(type, body);
+    if (type.billing.mode === "recurring" && interval !== type.billing.interval) reasons.push(`Billed every ${interval} instead of every ${type.billing.interval}`);
+    const term = contractTerm(type, body);
+    if (term.length !== type.defaultTerm.length || term.unit !== type.defaultTerm.unit) {
+      reasons.push(`Initial term of ${formatTerm(term)} instead of ${formatTerm(type.defaultTerm)}`);
+    }
+  }
+  return reasons;
+}
+
+// ==================== SLACK MESSAGE ====================
+
+function approvalButtons(contract) {
+  const button = (action, text, extra) => ({
+    type: "button",
+    action_id: APPROVAL_ACTION_PREFIX + action,
+    text: { type: "plain_text", text, emoji: true },
+    value: contract.id,
+    ...extra
+  });
+  const confirm = (title, text, yes) => ({
+    title: { type: "plain_text", text: title },
+    text: { type: "plain_text", text },
+    confirm: { type: "plain_text", text: yes },
+    deny: { type: "plain_text", text: "No" }
+  });
+  return {
+    type: "actions",
+    block_id: "contract_approval",
+    elements: [
+      button("approve", "Approve", {
+        style: "primary",
+        confirm: confirm("Approve contract", "Send this contract to the client for signing and set up its invoice?", "Approve")
+      }),
+      button("edit", "Edit"),
+      button("reject", "Reject", {
+        style: "danger",
+        confirm: confirm("Reject contract", "Reject this contract? Nothing is sent to the client.", "Reject")
+      })
+    ]
+  };
+}
+
+function decisionLine(approval) {
+  const by = approval.decided_by ? ` by <@${approval.decided_by}>` : "";
+  if (approval.status === "approved") return `:white_check_mark: *Approved*${by}${approval.edited ? " with edits" : ""}`;
+  if (approval.status === "rejected") return `:no_entry: *Rejected*${by}`;
+  return null;
+}
+
+/**
+ * The approval message for a contract: its terms, why it needs approval,
+ * and the buttons — or, once decided, who decided what.
+ */
+function buildApprovalBlocks(contract) {
+  const { inputs, approval } = contract;
+  const type = resolveContractType(contract.contract_type);
+  const interval = type.billing.mode === "recurring" ? billingInterval(type, inputs) : null;
+  const term = contractTerm(type, inputs);
+  const scope = inputs.scope || inputs.deliverable || "";
+
+  const blocks = [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `:raised_hand: *Approval needed:* ${type.name} contract for *${inputs.client_company}*` +
+          (contract.requested_by ? ` — requested by <@${contract.requested_by}>` : "")
+      }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Client:*\n${inputs.client_first} ${inputs.client_last}, ${inputs.client_title}\n${inputs.client_email}` },
+        { type: "mrkdwn", text: `*Amount:*\n${formatDollars(inputs.amount)}${interval ? " / " + interval : ""}` },
+        { type: "mrkdwn", text: `*Start Date:*\n${inputs.date}` },
+        { type: "mrkdwn", text: `*Initial Term:*\n${formatTerm(term)}` }
+      ]
+    },
+    // Slack caps section text at 3000 characters
+    { type: "section", text: { type: "mrkdwn", text: `*${inputs.scope ? "Scope" : "Deliverable"}:*\n${scope}`.substring(0, 3000) } }
+  ];
+  if (inputs.custom_clauses) {
+    blocks.push({ type: "section", text: { type: "mrkdwn", text: `*Custom Clauses:*\n${inputs.custom_clauses}`.substring(0, 3000) } });
+  }
+  blocks.push({
+    type: "context",
+    elements: [{ type: "mrkdwn", text: "Needs approval: " + ((approval && approval.reasons) || []).join(" · ") }]
+  });
+
+  const decision = approval && decisionLine(approval);
+  blocks.push(decision
+    ? { type: "context", elements: [{ type: "mrkdwn", text: decision }] }
+    : approvalButtons(contract));
+  return blocks;
+}
+
+async function refreshApprovalMessage(contract) {
+  const { slack } = contract.approval;
+  if (!slack) return;
+  try {
+    const result = await slackAPI("chat.update", {
+      channel: slack.channel,
+      ts: slack.ts,
+      text: "Approval for " + contract.inputs.client_company + ": " + contract.approval.status,
+      blocks: buildApprovalBlocks(contract)
+    });
+    if (!result.ok) console.error("APPROVAL: chat.update failed: " + result.error);
+  } catch (err) {
+    console.error("APPROVAL: chat.update failed: " + err.message);
+  }
+}
+
+// ==================== REQUEST / DECIDE ====================
+
+/**
+ * Posts a contract to the approvers channel and marks it pending.
+ * Throws when Slack refuses the message, so the pipeline step fails and
+ * can be retried.
+ */
+async function requestApproval(contract, reasons) {
+  const approval = { status: "pending", reasons, requested_at: new Date().toISOString() };
+  const post = await postMessage({
+    channel: getConfig().approval.channel_id,
+    text: "Approval needed: contract for " + contract.inputs.client_company,
+    blocks: buildApprovalBlocks({ ...contract, approval })
+  });
+  if (!post.ok) throw new Error("Slack: " + post.error);
+
+  approval.slack = { channel: post.channel, ts: post.ts };
+  await updateContract(contract.id, { approval });
+  console.log("APPROVAL: Requested for " + contract.id + " (" + reasons.join("; ") + ")");
+  return approval;
+}
+
+// Applies an edit's values to a body: "" clears a field
+function applyChanges(body, changes) {
+  const edited = { ...body };
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === "" || value === null || value === undefined) delete edited[field];
+    else edited[field] = value;
+  }
+  return edited;
+}
+
+// An approver's edits applied to the run the contract is resumed from:
+// { run, body, fileName, clauses }, checked like a new submission but not
+// saved. `clauses` are the refs the edited contract renders with — a new
+// term or billing interval can swap some
+async function prepareEdits(contract, changes) {
+  const run = contract.run_id && await getRun(contract.run_id);
+  if (!run) throw new ContractActionError("Contract " + contract.id + " has no run to apply edits to");
+
+  const body = applyChanges(run.input.body, changes);
+  // A cleared start date means today, pinned like a new run's
+  if (!body.date) body.date = new Date().toISOString().split("T")[0];
+  const prepared = prepareContract(body);
+  if (prepared.error) throw new ContractActionError(prepared.error, 400);
+  const clauses = renderContract(prepared.data.contractType.template, prepared.data).sections.map((s) => s.ref);
+  return { run, body, fileName: prepared.fileName, clauses };
+}
+
+// Saves prepared edits to the run; resolves to the contract's changes,
+// for updateContract()
+async function saveEdits(contract, changes, { run, body, fileName, clauses }) {
+  run.input.body = body;
+  await saveRun(run);
+  return {
+    inputs: applyChanges(contract.inputs, { ...changes, date: body.date }),
+    artifacts: { file_name: fileName, clauses }
+  };
+}
+
+/**
+ * Why `user` can't decide on `contract` right now, or null if they can:
+ * it isn't waiting for approval, was canceled, or `user` requested it —
+ * the point of approval is a second pair of eyes.
+ */
+function decisionProblem(contract, user) {
+  const approval = contract.approval;
+  if (!approval || approval.status !== "pending") {
+    return `Contract ${contract.id} isn't waiting for approval` +
+      (approval ? ` (already ${approval.status}${approval.decided_by ? " by <@" + approval.decided_by + ">" : ""})` : "");
+  }
+  if (contract.status === "terminated") return `Contract ${contract.id} was canceled`;
+  if (user && user === contract.requested_by) {
+    return `<@${user}> requested contract ${contract.id}, so someone else has to approve or reject it`;
+  }
+  return null;
+}
+
+/**
+ * Records `user`'s decision ("approve" | "reject") on a contract waiting
+ * for approval; `changes` are form values an approver edited (approve
+ * only). Rejecting terminates the contract and its run. Resolves to the
+ * updated contract — resuming an approved run is up to the caller.
+ * Throws a ContractActionError when the contract isn't waiting (409, also
+ * for the decision that lost a race with another) or `user` requested
+ * it (403).
+ */
+async function decideApproval(contractId, decision, user, changes) {
+  if (decision !== "approve" && decision !== "reject") {
+    throw new ContractActionError("Unknown approval decision: " + decision, 400);
+  }
+  const contract = await getContract(contractId);
+  if (!contract) throw new ContractActionError("Contract not found: " + contractId, 404);
+  const problem = decisionProblem(contract, user);
+  if (problem) throw new ContractActionError(problem, user && user === contract.requested_by ? 403 : 409);
+
+  const edited = decision === "approve" && !!changes && Object.keys(changes).length > 0;
+  const edits = edited ? await prepareEdits(contract, changes) : null;
+
+  // Checked again under the contract's lock: of two decisions at once
+  // (a double click, two approvers) only the first is recorded — and
+  // with its edits, or not at all when they can't be saved
+  await updateContract(contractId, async (current) => {
+    const late = decisionProblem(current, user);
+    if (late) throw new ContractActionError(late);
+    return {
+      ...(edits ? await saveEdits(current, changes, edits) : {}),
+      approval: {
+        ...current.approval,
+        status: decision === "approve" ? "approved" : "rejected",
+        decided_by: user || null,
+        decided_at: new Date().toISOString(),
+        edited,
+      }
+    };
+  });
+  console.log("APPROVAL: " + contractId + " " + decision + "d" + (user ? " by " + user : "") + (edited ? " with edits" : ""));
+
+  if (decision === "reject") {
+    await setContractStatus(contractId, "terminated", "Rejected" + (user ? " by " + user : ""));
+    const run = contract.run_id && await getRun(contract.run_id);
+    if (run) {
+      run.status = "rejected";
+      await saveRun(run);
+    }
+  }
+
+  const updated = await getContract(contractId);
+  await refreshApprovalMessage(updated);
+  return updated;
+}
+
+module.exports = {
+  APPROVAL_ACTION_PREFIX,
+  approvalReasons,
+  buildApprovalBlocks,
+  requestApproval,
+  decisionProblem,
+  decideApproval,
+};
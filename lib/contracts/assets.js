@@ -0,0 +1,22 @@
+/**
+ * Brand images shared by the .docx and PDF renderers. Loaded from
+ * /assets when bundled, falling back to base64 env vars (production).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+function loadImage(fileName, envVar) {
+  try {
+    const filePath = path.join(__dirname, "..", "..", "assets", fileName);
+    if (fs.existsSync(filePath)) return fs.readFileSync(filePath);
+  } catch {}
+  if (process.env[envVar]) return Buffer.from(process.env[envVar], "base64");
+  return null;
+}
+
+module.exports = {
+  LOGO_BLACK_BUFFER: loadImage("aeo_logo_black.png", "AEO_LOGO_BLACK_BASE64"),
+  LOGO_WHITE_BUFFER: loadImage("aeo_logo_white.png", "AEO_LOGO_WHITE_BASE64"),
+  JEFF_SIG_BUFFER: loadImage("jeff_signature.png", "JEFF_SIGNATURE_BASE64"),
+};
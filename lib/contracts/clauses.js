@@ -0,0 +1,252 @@
+/**
+ * AEO Labs — Contract Clause Library
+ *
+ * Every Master Services Agreement section lives here exactly once,
+ * keyed by a stable clause ID plus a version number. Templates in
+ * ./templates reference clauses as "id@version" and the engine
+ * (./engine.js) numbers them and fills in variables.
+ *
+ * Clause IDs are "<family>.<variant>" (e.g. "termination.early-fee"),
+ * or just "<family>" for the default wording. Clause text may use:
+ *   {{clientCompany}}        — any template variable (see engine.js)
+ *   {{section:termination}}  — the number assigned to whichever clause
+ *                              of that family the template includes
+ *
+ * Changing the wording of an existing clause means adding a NEW
+ * version, never editing the old one, so previously issued contracts
+ * can always be regenerated word for word.
+ */
+
+const CLAUSES = [
+  // ==================== SERVICES ====================
+  {
+    id: "services.one-time",
+    version: 1,
+    title: "Services",
+    body: [
+      "AEO Labs LLC (\u201CService Provider\u201D) agrees to provide Answer Engine Optimization services to {{clientCompany}} (\u201CClient\u201D) as described in the Statement of Work attached hereto. Services shall not commence until full payment has been received by Service Provider.",
+    ],
+  },
+  {
+    id: "services.ongoing",
+    version: 1,
+    title: "Services",
+    body: [
+      "AEO Labs LLC (\u201CService Provider\u201D) agrees to provide ongoing Answer Engine Optimization services to {{clientCompany}} (\u201CClient\u201D) as described in the Statement of Work attached hereto. Services shall not commence until initial payment has been received by Service Provider.",
+    ],
+  },
+
+  // ==================== TERM ====================
+  {
+    id: "term.sprint-60-day",
+    version: 1,
+    title: "Term",
+    body: [
+      "This Agreement shall commence on {{formattedDate}} and shall continue for a period of sixty (60) calendar days (\u201CSprint Period\u201D), unless terminated earlier in accordance with Section {{section:termination}}.",
+    ],
+  },
+  {
+    id: "term.month-to-month",
+    version: 1,
+    title: "Term & Renewal",
+    body: [
+      "This Agreement shall commence on {{formattedDate}} and shall continue on a month-to-month basis, automatically renewing at the beginning of each billing period, unless terminated in accordance with Section {{section:termination}}. Each billing period begins on the first of the month following the commencement date.",
+    ],
+  },
+  {
+    id: "term.renewing",
+    version: 1,
+    title: "Term & Renewal",
+    body: [
+      "This Agreement shall commence on {{formattedDate}} and shall continue for an initial term of {{initialTerm}}, automatically renewing at the end of each billing period thereafter, unless terminated in accordance with Section {{section:termination}}. Each billing period is one {{billingPeriod}}, beginning on the commencement date.",
+    ],
+  },
+
+  // ==================== PAYMENT ====================
+  {
+    id: "payment.upfront",
+    version: 1,
+    title: "Payment Terms",
+    body: [
+      "Client shall pay Service Provider the total fee of ${{formattedAmount}} USD upon execution of this Agreement. Payment is due prior to commencement of services. If payment is not received within seven (7) days of the Agreement date, Service Provider reserves the right to suspend all services until payment is received. All fees are non-refundable once work has commenced, except as provided under the Performance Guarantee in Section {{section:performance-guarantee}}. Late payments shall accrue interest at a rate of 1.5% per month.",
+    ],
+  },
+  {
+    id: "payment.monthly-retainer",
+    version: 1,
+    title: "Payment Terms",
+    body: [
+      "Client shall pay Service Provider a monthly retainer fee of ${{formattedAmount}} USD, due on the first of each month. The initial payment is due upon execution of this Agreement. If payment is not received within seven (7) days of the due date, Service Provider reserves the right to suspend all services until payment is received. Late payments shall accrue interest at a rate of 1.5% per month. Retainer fees may be adjusted by mutual written agreement between both parties.",
+    ],
+  },
+  {
+    id: "payment.retainer",
+    version: 1,
+    title: "Payment Terms",
+    body: [
+      "Client shall pay Service Provider a retainer fee of ${{formattedAmount}} USD per {{billingPeriod}}, due at the start of each billing period. The initial payment is due upon execution of this Agreement. If payment is not received within seven (7) days of the due date, Service Provider reserves the right to suspend all services until payment is received. Late payments shall accrue interest at a rate of 1.5% per month. Retainer fees may be adjusted by mutual written agreement between both parties.",
+    ],
+  },
+
+  // ==================== DELIVERABLES & IP ====================
+  {
+    id: "acceptance",
+    version: 1,
+    title: "Deliverable Acceptance",
+    body: [
+      "Upon delivery of any work product, Client shall have four (4) business days to review and provide written objection. If no written objection is received within this period, deliverables shall be deemed accepted.",
+    ],
+  },
+  {
+    id: "acceptance.sprint-schedule",
+    version: 1,
+    title: "Deliverable Acceptance",
+    body: [
+      "Upon delivery of any work product, Client shall have four (4) business days to review and provide written objection. If no written objection is received within this period, deliverables shall be deemed accepted. This acceptance timeline is critical to maintaining the Sprint schedule.",
+    ],
+  },
+  {
+    id: "ip.full-payment",
+    version: 1,
+    title: "Intellectual Property",
+    body: [
+      "All work product created by Service Provider in the performance of this Agreement shall become the property of Client upon receipt of full payment. Until full payment is received, all intellectual property rights remain exclusively with Service Provider. Service Provider retains the right to use general knowledge, skills, and experience gained during the engagement, as well as any tools, frameworks, or methodologies that existed prior to or were developed independently of this Agreement.",
+    ],
+  },
+  {
+    id: "ip.per-billing-period",
+    version: 1,
+    title: "Intellectual Property",
+    body: [
+      "All work product created by Service Provider in the performance of this Agreement shall become the property of Client upon receipt of full payment for the applicable billing period. Until full payment is received, all intellectual property rights remain exclusively with Service Provider. Service Provider retains the right to use general knowledge, skills, and experience gained during the engagement, as well as any tools, frameworks, or methodologies that existed prior to or were developed independently of this Agreement.",
+    ],
+  },
+
+  // ==================== STANDARD PROTECTIONS ====================
+  {
+    id: "confidentiality",
+    version: 1,
+    title: "Confidentiality",
+    body: [
+      "Each party agrees to maintain the confidentiality of any proprietary or confidential information disclosed by the other party during the term of this Agreement. This obligation shall survive termination for a period of two (2) years. Confidential information does not include information that: (a) is or becomes publicly available through no fault of the receiving party; (b) was known to the receiving party prior to disclosure; (c) is independently developed by the receiving party; or (d) is disclosed with the prior written consent of the disclosing party.",
+    ],
+  },
+  {
+    id: "non-solicitation",
+    version: 1,
+    title: "Non-Solicitation",
+    body: [
+      "During the term of this Agreement and for twelve (12) months following its termination, Client shall not directly or indirectly solicit, recruit, or hire any employee, contractor, or consultant of Service Provider who was involved in performing services under this Agreement.",
+    ],
+  },
+  {
+    id: "liability.fees-paid",
+    version: 1,
+    title: "Limitation of Liability",
+    body: [
+      "In no event shall either party be liable to the other for any indirect, incidental, special, consequential, or punitive damages, regardless of the cause of action or the theory of liability. Service Provider\u2019s total aggregate liability under this Agreement shall not exceed the total fees paid by Client under this Agreement.",
+    ],
+  },
+  {
+    id: "liability.three-months-fees",
+    version: 1,
+    title: "Limitation of Liability",
+    body: [
+      "In no event shall either party be liable to the other for any indirect, incidental, special, consequential, or punitive damages, regardless of the cause of action or the theory of liability. Service Provider\u2019s total aggregate liability under this Agreement shall not exceed the total fees paid by Client in the three (3) months preceding the claim.",
+    ],
+  },
+  {
+    id: "performance-guarantee",
+    version: 1,
+    title: "Performance Guarantee",
+    body: [
+      "AEO Labs guarantees that the Client\u2019s brand will achieve a minimum of three (3) new verified AI prompt appearances within thirty (30) calendar days following completion of all Sprint deliverables (\u201CGuarantee Period\u201D). A \u201Cverified AI prompt appearance\u201D is defined as the Client\u2019s brand being directly referenced in an AI-generated response to a relevant industry query on a tracked LLM platform, as documented through AEO Labs\u2019 proprietary tracking dashboard, which shall be made accessible to the Client for the duration of the engagement.",
+      "In the event that fewer than three (3) verified appearances are recorded during the Guarantee Period, the Client shall be entitled to a full refund of the Sprint fee, provided that: (i) the Client has not made material modifications to their website architecture, content strategy, or domain configuration during the Guarantee Period without prior written approval from AEO Labs; (ii) the Client\u2019s brand and/or domain has not been subject to penalties, deindexing, or sanctions by any search engine, AI platform, or content discovery system during the Guarantee Period; and (iii) no algorithm update, model retraining, platform policy change, data refresh, or systemic modification to any AI system \u2014 including but not limited to OpenAI (ChatGPT), Anthropic (Claude), Google (Gemini, AI Overviews, SGE), Perplexity, Microsoft (Copilot, Bing Chat), Meta AI, or any successor or emerging AI platform \u2014 has occurred during the Guarantee Period that materially impacts AI-generated response behavior or prompt appearance rates across AEO Labs\u2019 client portfolio.",
+      "The Guarantee Period shall not commence until AEO Labs has confirmed in writing that all deliverables have been completed and all Client-side implementations are verified as live.",
+    ],
+  },
+
+  // ==================== TERMINATION ====================
+  {
+    id: "termination",
+    version: 1,
+    title: "Termination",
+    body: [
+      "Either party may terminate this Agreement with thirty (30) days written notice. In the event of termination, Client shall pay for all services rendered through the date of termination. All fees paid prior to termination are non-refundable once work has commenced, except as provided under the Performance Guarantee in Section {{section:performance-guarantee}}. Service Provider may terminate this Agreement immediately if Client fails to make payment within seven (7) days of the due date.",
+    ],
+  },
+  {
+    id: "termination.early-fee",
+    version: 1,
+    title: "Termination",
+    body: [
+      "Either party may terminate this Agreement with thirty (30) days written notice, effective at the end of the current billing period. Failure to provide the required thirty (30) days written notice shall result in an early termination fee of $5,000 USD, payable immediately. Client shall pay for all services rendered through the effective date of termination. Service Provider may terminate this Agreement immediately if Client fails to make payment within seven (7) days of the due date.",
+    ],
+  },
+
+  // ==================== BOILERPLATE ====================
+  {
+    id: "indemnification",
+    version: 1,
+    title: "Indemnification",
+    body: [
+      "Each party shall indemnify and hold harmless the other party from any third-party claims, damages, or expenses arising from the indemnifying party\u2019s breach of this Agreement or negligent acts.",
+    ],
+  },
+  {
+    id: "force-majeure",
+    version: 1,
+    title: "Force Majeure",
+    body: [
+      "Neither party shall be liable for any failure or delay in performance under this Agreement due to circumstances beyond its reasonable control, including but not limited to acts of God, natural disasters, pandemic, government actions, war, terrorism, labor disputes, power failures, internet disruptions, or third-party service outages. The affected party shall provide prompt notice and use reasonable efforts to mitigate the impact.",
+    ],
+  },
+  {
+    id: "reporting",
+    version: 1,
+    title: "Reporting",
+    body: [
+      "Service Provider shall deliver monthly performance reports to Client, summarizing work completed, key metrics, and recommendations for the upcoming period.",
+    ],
+  },
+  {
+    id: "governing-law",
+    version: 1,
+    title: "Governing Law & Dispute Resolution",
+    body: [
+      "This Agreement shall be governed by and construed in accordance with the laws of the State of Wyoming. Any disputes arising under this Agreement shall be resolved through binding arbitration in the State of Wyoming, in accordance with the rules of the American Arbitration Association. The prevailing party shall be entitled to recover reasonable attorneys\u2019 fees and costs.",
+    ],
+  },
+  {
+    id: "general-provisions",
+    version: 1,
+    title: "General Provisions",
+    body: [
+      "This Agreement constitutes the entire agreement between the parties and supersedes all prior negotiations, representations, or agreements relating to the subject matter hereof. This Agreement may not be amended except by written instrument signed by both parties. If any provision of this Agreement is held to be unenforceable, the remaining provisions shall remain in full force and effect.",
+    ],
+  },
+];
+
+// ==================== LOOKUP ====================
+
+const BY_REF = new Map();
+const LATEST = new Map();
+for (const clause of CLAUSES) {
+  const ref = clause.id + "@" + clause.version;
+  if (BY_REF.has(ref)) throw new Error("Duplicate clause " + ref);
+  BY_REF.set(ref, clause);
+  const latest = LATEST.get(clause.id);
+  if (!latest || latest.version < clause.version) LATEST.set(clause.id, clause);
+}
+
+/**
+ * Resolves "id@version" to a clause. A bare "id" resolves to the
+ * latest version, but templates should pin versions.
+ */
+function getClause(ref) {
+  const clause = ref.includes("@") ? BY_REF.get(ref) : LATEST.get(ref);
+  if (!clause) throw new Error("Unknown clause: " + ref);
+  return clause;
+}
+
+module.exports = { CLAUSES, getClause };
@@ -0,0 +1,391 @@
+/**
+ * AEO Labs — .docx Contract Renderer
+ *
+ * Option B "Bold Header" branded design. Lays out a rendered contract
+ * (see ./engine.js) with the docx package; SignNow converts the result
+ * to PDF on upload.
+ */
+
+const {
+  Document, Packer, Paragraph, TextRun,
+  Header, Footer, AlignmentType, BorderStyle,
+  PageNumber, PageBreak, TabStopType, TabStopPosition,
+  ImageRun,
+} = require("docx");
+const { LOGO_BLACK_BUFFER, JEFF_SIG_BUFFER } = require("./assets");
+
+// ==================== DESIGN ====================
+
+const HEADING_FONT = "Tektur";
+const BODY_FONT = "Space Grotesk";
+const BLACK = "000000";
+const DARK_GRAY = "333333";
+const MEDIUM_GRAY = "666666";
+const LIGHT_GRAY = "999999";
+const NEON_GREEN = "94F721";
+
+function sectionTitle(number, title) {
+  return new Paragraph({
+    spacing: { before: 380, after: 160 },
+    border: { bottom: { style: BorderStyle.SINGLE, size: 2, color: NEON_GREEN, space: 6 } },
+    children: [
+      new TextRun({ text: `${number}.  `, bold: true, font: HEADING_FONT, size: 24, color: NEON_GREEN }),
+      new TextRun({ text: title, bold: true, font: HEADING_FONT, size: 24, color: BLACK }),
+    ],
+  });
+}
+
+function bodyText(text) {
+  return new Paragraph({
+    spacing: { after: 160, line: 276 },
+    children: [new TextRun({ text, font: BODY_FONT, size: 20, color: DARK_GRAY })],
+  });
+}
+
+function boldBodyText(label, text) {
+  return new Paragraph({
+    spacing: { after: 140, line: 276 },
+    children: [
+      new TextRun({ text: label, bold: true, font: BODY_FONT, size: 20, color: BLACK }),
+      new TextRun({ text, font: BODY_FONT, size: 20, color: DARK_GRAY }),
+    ],
+  });
+}
+
+function heading(text) {
+  return new Paragraph({
+    spacing: { before: 340, after: 140 },
+    children: [new TextRun({ text, bold: true, font: HEADING_FONT, size: 24, color: BLACK })],
+  });
+}
+
+// Jeff pre-filled signature page (separate page)
+function jeffSignaturePage(formattedDate) {
+  const elements = [
+    new Paragraph({ children: [new PageBreak()] }),
+    new Paragraph({
+      spacing: { before: 200, after: 240 }, alignment: AlignmentType.CENTER,
+      border: {
+        bottom: { style: BorderStyle.SINGLE, size: 2, color: NEON_GREEN, space: 8 },
+        top: { style: BorderStyle.SINGLE, size: 4, color: BLACK, space: 8 },
+      },
+      children: [new TextRun({ text: "SIGNATURES", bold: true, font: HEADING_FONT, size: 26, color: BLACK })],
+    }),
+    bodyText("IN WITNESS WHEREOF, the parties have executed this Agreement as of the date first written above."),
+    new Paragraph({ spacing: { before: 300 }, children: [] }),
+    new Paragraph({
+      spacing: { before: 200, after: 80 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: BLACK, space: 4 } },
+      children: [new TextRun({ text: "SERVICE PROVIDER", bold: true, font: HEADING_FONT, size: 22, color: BLACK })],
+    }),
+    new Paragraph({ spacing: { before: 300 }, children: [] }),
+  ];
+
+  // Signature image
+  if (JEFF_SIG_BUFFER) {
+    elements.push(new Paragraph({
+      spacing: { after: 8 },
+      children: [new ImageRun({
+        data: JEFF_SIG_BUFFER,
+        transformation: { width: 200, height: 58 },
+        type: "png",
+      })],
+    }));
+  }
+
+  elements.push(
+    new Paragraph({
+      spacing: { after: 8 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 3, color: BLACK, space: 1 } },
+      children: [new TextRun({ text: " ", font: BODY_FONT, size: 20, color: "FFFFFF" })],
+    }),
+    new Paragraph({
+      spacing: { after: 60 },
+      children: [new TextRun({ text: "Signature", font: BODY_FONT, size: 17, color: MEDIUM_GRAY, italics: true })],
+    }),
+    new Paragraph({
+      spacing: { before: 100, after: 30 },
+      children: [new TextRun({ text: "Jeffrey Peroutka", bold: true, font: BODY_FONT, size: 22, color: BLACK })],
+    }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [new TextRun({ text: "CEO", font: BODY_FONT, size: 20, color: MEDIUM_GRAY })],
+    }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [new TextRun({ text: "AEO Labs LLC", font: BODY_FONT, size: 20, color: MEDIUM_GRAY })],
+    }),
+    new Paragraph({ spacing: { before: 140 }, children: [] }),
+    new Paragraph({
+      spacing: { after: 8 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 3, color: BLACK, space: 1 } },
+      children: [new TextRun({ text: formattedDate, font: BODY_FONT, size: 20, color: DARK_GRAY })],
+    }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [new TextRun({ text: "Date", font: BODY_FONT, size: 17, color: MEDIUM_GRAY, italics: true })],
+    }),
+  );
+
+  return elements;
+}
+
+// Client signature page (separate page, generous space for SignNow)
+function clientSignaturePage(clientName, clientTitle, clientCompany) {
+  return [
+    new Paragraph({ children: [new PageBreak()] }),
+    new Paragraph({ spacing: { before: 300 }, children: [] }),
+    new Paragraph({
+      spacing: { before: 200, after: 80 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: BLACK, space: 4 } },
+      children: [new TextRun({ text: "CLIENT", bold: true, font: HEADING_FONT, size: 22, color: BLACK })],
+    }),
+    new Paragraph({ spacing: { before: 200, after: 30 }, children: [] }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [
+        new TextRun({ text: "Name:  ", font: BODY_FONT, size: 20, color: MEDIUM_GRAY }),
+        new TextRun({ text: clientName, bold: true, font: BODY_FONT, size: 22, color: BLACK }),
+      ],
+    }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [
+        new TextRun({ text: "Title:  ", font: BODY_FONT, size: 20, color: MEDIUM_GRAY }),
+        new TextRun({ text: clientTitle, font: BODY_FONT, size: 20, color: DARK_GRAY }),
+      ],
+    }),
+    new Paragraph({
+      spacing: { after: 60 },
+      children: [
+        new TextRun({ text: "Company:  ", font: BODY_FONT, size: 20, color: MEDIUM_GRAY }),
+        new TextRun({ text: clientCompany, font: BODY_FONT, size: 20, color: DARK_GRAY }),
+      ],
+    }),
+    // Large signing area
+    new Paragraph({ spacing: { before: 500 }, children: [] }),
+    new Paragraph({ spacing: { before: 200 }, children: [] }),
+    new Paragraph({
+      spacing: { after: 8 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 3, color: BLACK, space: 1 } },
+      children: [new TextRun({ text: " ", font: BODY_FONT, size: 60, color: "FFFFFF" })],
+    }),
+    new Paragraph({
+      spacing: { after: 60 },
+      children: [new TextRun({ text: "Signature", font: BODY_FONT, size: 17, color: MEDIUM_GRAY, italics: true })],
+    }),
+    // Date line
+    new Paragraph({ spacing: { before: 300 }, children: [] }),
+    new Paragraph({
+      spacing: { after: 8 },
+      border: { bottom: { style: BorderStyle.SINGLE, size: 3, color: BLACK, space: 1 } },
+      children: [new TextRun({ text: " ", font: BODY_FONT, size: 28, color: "FFFFFF" })],
+    }),
+    new Paragraph({
+      spacing: { after: 30 },
+      children: [new TextRun({ text: "Date", font: BODY_FONT, size: 17, color: MEDIUM_GRAY, italics: true })],
+    }),
+  ];
+}
+
+function titlePage(subtitle, clientCompany, clientFirst, clientLast, clientTitle, formattedDate) {
+  const elements = [];
+  elements.push(new Paragraph({ spacing: { before: 1200 }, children: [] }));
+
+  // Logo at top center
+  if (LOGO_BLACK_BUFFER) {
+    elements.push(new Paragraph({
+      alignment: AlignmentType.CENTER,
+      spacing: { after: 200 },
+      children: [new ImageRun({
+        data: LOGO_BLACK_BUFFER,
+        transformation: { width: 280, height: 48 },
+        type: "png",
+        altText: { title: "AEO Labs", description: "AEO Labs Logo", name: "aeo-logo" },
+      })],
+    }));
+  } else {
+    elements.push(new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 200 },
+      children: [new TextRun({ text: "AEO Labs", bold: true, font: HEADING_FONT, size: 52, color: BLACK })],
+    }));
+  }
+
+  // Green accent line
+  elements.push(new Paragraph({
+    alignment: AlignmentType.CENTER,
+    border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: NEON_GREEN, space: 12 } },
+    spacing: { after: 400 }, children: [],
+  }));
+
+  elements.push(
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 60 },
+      children: [new TextRun({ text: "MASTER SERVICES AGREEMENT", bold: true, font: HEADING_FONT, size: 30, color: BLACK })],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 60 },
+      children: [new TextRun({ text: "&", font: BODY_FONT, size: 24, color: MEDIUM_GRAY })],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 280 },
+      children: [new TextRun({ text: "STATEMENT OF WORK", bold: true, font: HEADING_FONT, size: 30, color: BLACK })],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 100 },
+      children: [new TextRun({ text: subtitle, bold: true, font: BODY_FONT, size: 22, color: DARK_GRAY })],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 500 },
+      children: [new TextRun({ text: formattedDate, font: BODY_FONT, size: 20, color: MEDIUM_GRAY })],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER,
+      border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: BLACK, space: 8 } },
+      spacing: { after: 200 }, children: [],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 60 },
+      children: [
+        new TextRun({ text: "Prepared for  ", font: BODY_FONT, size: 20, color: MEDIUM_GRAY }),
+        new TextRun({ text: clientCompany, bold: true, font: HEADING_FONT, size: 22, color: BLACK }),
+      ],
+    }),
+    new Paragraph({
+      alignment: AlignmentType.CENTER, spacing: { after: 60 },
+      children: [new TextRun({ text: `${clientFirst} ${clientLast}, ${clientTitle}`, font: BODY_FONT, size: 20, color: MEDIUM_GRAY })],
+    }),
+  );
+
+  return elements;
+}
+
+function partiesIntro(clientCompany, formattedDate) {
+  return new Paragraph({
+    spacing: { before: 200, after: 200, line: 276 },
+    children: [
+      new TextRun({ text: "This Master Services Agreement and Statement of Work (collectively, this \u201CAgreement\u201D) is entered into as of ", font: BODY_FONT, size: 20, color: DARK_GRAY }),
+      new TextRun({ text: formattedDate, bold: true, font: BODY_FONT, size: 20, color: BLACK }),
+      new TextRun({ text: " by and between ", font: BODY_FONT, size: 20, color: DARK_GRAY }),
+      new TextRun({ text: "AEO Labs LLC", bold: true, font: BODY_FONT, size: 20, color: BLACK }),
+      new TextRun({ text: " (\u201CService Provider\u201D) and ", font: BODY_FONT, size: 20, color: DARK_GRAY }),
+      new TextRun({ text: clientCompany, bold: true, font: BODY_FONT, size: 20, color: BLACK }),
+      new TextRun({ text: " (\u201CClient\u201D).", font: BODY_FONT, size: 20, color: DARK_GRAY }),
+    ],
+  });
+}
+
+function banner(text) {
+  return new Paragraph({
+    spacing: { before: 200, after: 240 }, alignment: AlignmentType.CENTER,
+    border: {
+      bottom: { style: BorderStyle.SINGLE, size: 2, color: NEON_GREEN, space: 8 },
+      top: { style: BorderStyle.SINGLE, size: 4, color: BLACK, space: 8 },
+    },
+    children: [new TextRun({ text, bold: true, font: HEADING_FONT, size: 26, color: BLACK })],
+  });
+}
+
+// Lays out a rendered contract (see ./engine.js) in the branded design
+function buildContractBody(contract, data) {
+  const { clientCompany, clientFirst, clientLast, clientTitle, formattedDate } = data;
+  const clientName = `${clientFirst} ${clientLast}`;
+
+  const renderBlock = (item) => typeof item === "string"
+    ? bodyText(item)
+    : boldBodyText(item.label, item.text);
+
+  return [
+    ...titlePage(contract.subtitle, clientCompany, clientFirst, clientLast, clientTitle, formattedDate),
+    new Paragraph({ children: [new PageBreak()] }),
+    partiesIntro(clientCompany, formattedDate),
+    banner("MASTER SERVICES AGREEMENT"),
+
+    ...contract.sections.flatMap((section) => [
+      sectionTitle(section.number, section.title),
+      ...section.body.map(renderBlock),
+    ]),
+
+    new Paragraph({ children: [new PageBreak()] }),
+    banner("STATEMENT OF WORK"),
+
+    ...contract.statementOfWork.flatMap((block) => [
+      heading(block.heading),
+      ...block.body.map(renderBlock),
+    ]),
+
+    ...jeffSignaturePage(formattedDate),
+    ...clientSignaturePage(clientName, clientTitle, clientCompany),
+  ];
+}
+
+/**
+ * Renders a contract to a .docx buffer.
+ *
+ * @param {object} contract — output of renderContract()
+ * @param {object} data — clientCompany, clientFirst, clientLast, clientTitle, formattedDate
+ */
+async function renderDocx(contract, data) {
+  const children = buildContractBody(contract, data);
+
+  // Build header children - logo + green accent line
+  const headerChildren = [];
+  if (LOGO_BLACK_BUFFER) {
+    headerChildren.push(new Paragraph({
+      spacing: { after: 40 },
+      children: [new ImageRun({
+        data: LOGO_BLACK_BUFFER,
+        transformation: { width: 120, height: 20 },
+        type: "png",
+        altText: { title: "AEO Labs", description: "AEO Labs Logo", name: "header-logo" },
+      })],
+    }));
+  } else {
+    headerChildren.push(new Paragraph({
+      spacing: { after: 40 },
+      children: [new TextRun({ text: "AEO Labs", bold: true, font: HEADING_FONT, size: 18, color: BLACK })],
+    }));
+  }
+  // Green accent line under header
+  headerChildren.push(new Paragraph({
+    border: { bottom: { style: BorderStyle.SINGLE, size: 4, color: NEON_GREEN, space: 1 } },
+    children: [],
+  }));
+
+  const doc = new Document({
+    styles: {
+      default: { document: { run: { font: BODY_FONT, size: 20 } } },
+    },
+    sections: [{
+      properties: {
+        page: {
+          size: { width: 12240, height: 15840 },
+          margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 },
+        },
+      },
+      headers: {
+        default: new Header({ children: headerChildren }),
+      },
+      footers: {
+        default: new Footer({
+          children: [
+            new Paragraph({
+              border: { top: { style: BorderStyle.SINGLE, size: 1, color: LIGHT_GRAY, space: 4 } },
+              tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+              children: [
+                new TextRun({ text: "AEO Labs LLC  |  Confidential", font: BODY_FONT, size: 14, color: LIGHT_GRAY }),
+                new TextRun({ text: "\tPage " }),
+                new TextRun({ children: [PageNumber.CURRENT], font: BODY_FONT, size: 14, color: LIGHT_GRAY }),
+              ],
+            }),
+          ],
+        }),
+      },
+      children,
+    }],
+  });
+
+  return await Packer.toBuffer(doc);
+}
+
+module.exports = { renderDocx };
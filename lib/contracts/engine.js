@@ -0,0 +1,131 @@
+/**
+ * AEO Labs — Contract Template Engine
+ *
+ * Turns a template (./templates) plus contract data into a plain
+ * document model that the .docx renderer lays out:
+ *
+ * {
+ *   templateId, subtitle,
+ *   sections: [{ number, ref, title, body: [string] }],   (ref "custom" for custom clauses)
+ *   statementOfWork: [{ heading, body: [string | { label, text }] }]
+ * }
+ *
+ * Sections are numbered in template order. Placeholders are resolved
+ * strictly: an unknown {{variable}} or {{section:family}} throws, so a
+ * typo in a template fails loudly instead of reaching a client.
+ */
+
+const { getClause } = require("./clauses");
+const { getTemplate } = require("./templates");
+
+const PLACEHOLDER = /\{\{\s*([\w:.-]+)\s*\}\}/g;
+
+function clauseFamily(id) {
+  return id.split(".")[0];
+}
+
+function interpolate(text, vars, sectionNumbers, where) {
+  return text.replace(PLACEHOLDER, (match, key) => {
+    if (key.startsWith("section:")) {
+      const family = key.slice("section:".length);
+      if (!sectionNumbers.has(family)) {
+        throw new Error(`${where}: references section "${family}" which this template does not include`);
+      }
+      return sectionNumbers.get(family);
+    }
+    if (vars[key] === undefined || vars[key] === null) {
+      throw new Error(`${where}: no value for {{${key}}}`);
+    }
+    return String(vars[key]);
+  });
+}
+
+function renderBody(body, vars, sectionNumbers, where) {
+  return body.map((item) => typeof item === "string"
+    ? interpolate(item, vars, sectionNumbers, where)
+    : {
+      label: interpolate(item.label, vars, sectionNumbers, where),
+      text: interpolate(item.text, vars, sectionNumbers, where),
+    });
+}
+
+// The template with its customTerms swapped in: replaced clauses keep
+// their place, so the sections are numbered as in the default wording
+function withCustomTerms(template) {
+  const custom = template.customTerms;
+  const swap = custom.clauses || {};
+  const blocks = custom.statementOfWork || {};
+  return {
+    ...template,
+    subtitle: custom.subtitle || template.subtitle,
+    clauses: template.clauses.map((ref) => swap[ref] || ref),
+    statementOfWork: (template.statementOfWork || []).map((block) => (
+      blocks[block.heading] ? { ...block, body: blocks[block.heading] } : block
+    )),
+  };
+}
+
+/**
+ * Renders a template for one contract.
+ *
+ * @param {string|object} templateOrId — template object or its id
+ * @param {object} data — clientCompany, clientFirst, clientLast, clientTitle,
+ *   formattedAmount, formattedDate, deliverable, scope, ..., plus
+ *   customClauses: [paragraph] for an extra "Additional Terms" section and
+ *   customTerms: true for the template's customTerms wording
+ * @param {object} [options]
+ * @param {string[]} [options.clauses] — clause refs to render instead of the
+ *   template's, e.g. the ones a contract was issued with
+ */
+function renderContract(templateOrId, data, { clauses: refs } = {}) {
+  let template = typeof templateOrId === "string" ? getTemplate(templateOrId) : templateOrId;
+  if (data.customTerms && template.customTerms) template = withCustomTerms(template);
+  if (refs) template = { ...template, clauses: refs };
+
+  // Empty inputs fall back to the template's defaults (e.g. default scope text)
+  const vars = { ...data };
+  for (const [key, value] of Object.entries(template.defaults || {})) {
+    if (vars[key] === undefined || vars[key] === null || vars[key] === "") vars[key] = value;
+  }
+  vars.clientName = `${vars.clientFirst} ${vars.clientLast}`;
+
+  const clauses = template.clauses.map(getClause);
+  const sectionNumbers = new Map();
+  clauses.forEach((clause, i) => {
+    const family = clauseFamily(clause.id);
+    if (sectionNumbers.has(family)) {
+      throw new Error(`Template ${template.id}: includes more than one "${family}" clause`);
+    }
+    sectionNumbers.set(family, String(i + 1));
+  });
+
+  const sections = clauses.map((clause, i) => {
+    const ref = clause.id + "@" + clause.version;
+    return {
+      number: String(i + 1),
+      ref,
+      title: clause.title,
+      body: renderBody(clause.body, vars, sectionNumbers, `Clause ${ref}`),
+    };
+  });
+
+  // Custom clauses are typed into the form: added last, as written, and
+  // never interpolated (a stray "{{" is the client's text, not a typo)
+  if (data.customClauses && data.customClauses.length > 0) {
+    sections.push({ number: String(sections.length + 1), ref: "custom", title: "Additional Terms", body: data.customClauses });
+  }
+
+  const statementOfWork = (template.statementOfWork || []).map((block) => ({
+    heading: block.heading,
+    body: renderBody(block.body, vars, sectionNumbers, `Template ${template.id} SOW "${block.heading}"`),
+  }));
+
+  return {
+    templateId: template.id,
+    subtitle: interpolate(template.subtitle, vars, sectionNumbers, `Template ${template.id} subtitle`),
+    sections,
+    statementOfWork,
+  };
+}
+
+module.exports = { renderContract };
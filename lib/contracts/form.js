@@ -0,0 +1,143 @@
+/**
+ * AEO Labs — Contract form validation
+ *
+ * The checks a "new contract" form submission has to pass, shared by the
+ * Slack modal (/api/slack-interact, which shows them inline under each
+ * field) and /api/slack-contract (which posts them to the channel for
+ * callers without a modal, e.g. Workflow Builder).
+ *
+ * Field names are the modal's block_ids (see lib/contracts/modal.js), so
+ * errors can be handed to Slack as they are.
+ */
+
+const { resolveContractType, listContractTypes } = require("./types");
+
+// Required fields with friendly names, in form order
+const FORM_FIELDS = {
+  contract_type: "Contract Type",
+  client_company: "Company Name",
+  client_first: "First Name",
+  client_last: "Last Name",
+  client_title: "Title",
+  client_email: "Email",
+  amount: "Amount",
+};
+
+const MAX_TERM_MONTHS = 60;
+const MAX_CUSTOM_CLAUSES_LENGTH = 3000;
+
+/**
+ * Fields only some contract types have (a type's `form` lists its own).
+ * `required` ones may be given under their `alias` instead, since the
+ * pipeline reads deliverable and scope interchangeably; `check` returns
+ * the problem with a value that was given, or null.
+ */
+const TYPE_FIELDS = {
+  deliverable: { label: "Deliverable", required: true, alias: "scope" },
+  scope: { label: "Scope of Work", required: true, alias: "deliverable" },
+  date: {
+    label: "Start Date",
+    check: (value) => isDate(value) ? null : `"${value}" must be a date (YYYY-MM-DD)`,
+  },
+  billing_interval: {
+    label: "Billing Interval",
+    check: (value, type) => {
+      const intervals = type.billing.intervals || [type.billing.interval];
+      return intervals.includes(value) ? null : `"${value}" must be one of ${intervals.map((i) => `"${i}"`).join(", ")}`;
+    },
+  },
+  term_months: {
+    label: "Initial Term",
+    check: (value) => /^\d+$/.test(String(value).trim()) && value >= 1 && value <= MAX_TERM_MONTHS
+      ? null
+      : `"${value}" must be a whole number of months from 1 to ${MAX_TERM_MONTHS}`,
+  },
+  custom_clauses: {
+    label: "Custom Clauses",
+    check: (value) => String(value).length <= MAX_CUSTOM_CLAUSES_LENGTH
+      ? null
+      : `must be at most ${MAX_CUSTOM_CLAUSES_LENGTH} characters`,
+  },
+};
+
+for (const type of listContractTypes()) {
+  for (const field of type.form) {
+    if (!TYPE_FIELDS[field]) throw new Error(`Contract type ${type.id} has an unknown form field: ${field}`);
+  }
+}
+
+function isBlank(value) {
+  return !value || (typeof value === "string" && value.trim() === "");
+}
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value + "T12:00:00"));
+}
+
+/**
+ * Checks the values given for a type's own fields (see TYPE_FIELDS).
+ * Blank fields pass — the pipeline falls back to the type's defaults —
+ * so this is also what /api/generate-and-send holds its callers to.
+ * Returns the same { field, label, problem } list as validateContractForm.
+ */
+function validateTypeFields(type, body) {
+  const errors = [];
+  for (const field of type.form) {
+    const { label, check } = TYPE_FIELDS[field];
+    const problem = check && !isBlank(body[field]) ? check(body[field], type) : null;
+    if (problem) errors.push({ field, label, problem });
+  }
+  return errors;
+}
+
+function validateContractForm(body) {
+  const errors = [];
+  const fail = (field, problem) => errors.push({ field, label: FORM_FIELDS[field], problem });
+
+  for (const field of Object.keys(FORM_FIELDS)) {
+    if (isBlank(body[field])) fail(field, "is missing");
+  }
+  const missing = (field) => errors.some((e) => e.field === field);
+
+  if (!missing("client_email") && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(body.client_email).trim())) {
+    fail("client_email", `"${body.client_email}" doesn't look like a valid email`);
+  }
+
+  if (!missing("amount")) {
+    const cleanAmount = String(body.amount).replace(/[$,\s]/g, "");
+    if (isNaN(cleanAmount) || parseFloat(cleanAmount) <= 0) {
+      fail("amount", `"${body.amount}" must be a positive number`);
+    }
+  }
+
+  const type = missing("contract_type") ? null : resolveContractType(body.contract_type);
+  if (!missing("contract_type") && !type) {
+    const names = listContractTypes().map((t) => `"${t.name}"`).join(", ");
+    fail("contract_type", `"${body.contract_type}" must be one of ${names}`);
+  }
+
+  if (type) {
+    for (const field of type.form) {
+      const { label, required, alias } = TYPE_FIELDS[field];
+      if (required && isBlank(body[field]) && isBlank(body[alias])) errors.push({ field, label, problem: "is missing" });
+    }
+    errors.push(...validateTypeFields(type, body));
+  }
+
+  return errors;
+}
+
+// The same errors as a Slack `response_action: "errors"` map (block_id → message)
+function modalErrors(errors) {
+  return Object.fromEntries(errors.map((e) => [e.field, `${e.label} ${e.problem}`]));
+}
+
+// ...and as mrkdwn lines for a channel message
+function describeErrors(errors) {
+  return errors.map((e) => `*${e.label}* ${e.problem}`);
+}
+
+module.exports = {
+  FORM_FIELDS, TYPE_FIELDS, MAX_TERM_MONTHS, MAX_CUSTOM_CLAUSES_LENGTH,
+  validateContractForm, validateTypeFields, modalErrors, describeErrors,
+};
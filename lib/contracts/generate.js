@@ -0,0 +1,111 @@
+/**
+ * AEO Labs — Contract Generation
+ *
+ * Shared by /api/generate-and-send and /api/preview: turns a request
+ * body into normalized contract data, then renders it as .docx or PDF.
+ * Nothing here talks to SignNow, Stripe or Slack.
+ */
+
+const { renderContract } = require("./engine");
+const { resolveContractType, listContractTypes, billingInterval, contractTerm } = require("./types");
+const { validateTypeFields } = require("./form");
+const { renderDocx } = require("./docx");
+const { renderPdf } = require("./pdf");
+
+const CONTRACT_FORMATS = ["docx", "pdf"];
+
+const REQUIRED_FIELDS = ["contract_type", "client_company", "client_first", "client_last", "client_title", "client_email", "amount"];
+
+const MIME_TYPES = {
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  pdf: "application/pdf",
+};
+
+/**
+ * Validates and normalizes a /api/generate-and-send style body.
+ *
+ * Returns { type, format, data, amount, formattedAmount, clientName, fileName, term }
+ * or, when the body can't be used, { error } — with `missingField` set
+ * when the problem is an incomplete submission rather than a bad value.
+ */
+function prepareContract(body) {
+  body = body || {};
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!body[field]) {
+      return { missingField: field, error: "Incomplete submission - missing field: " + field };
+    }
+  }
+
+  const type = resolveContractType(body.contract_type);
+  if (!type) {
+    const known = listContractTypes().map((t) => t.id).join(", ");
+    return { error: `Unknown contract_type "${body.contract_type}". Expected one of: ${known}` };
+  }
+
+  const format = String(body.format || "docx").toLowerCase();
+  if (!CONTRACT_FORMATS.includes(format)) {
+    return { error: `Unknown format "${body.format}". Expected one of: ${CONTRACT_FORMATS.join(", ")}` };
+  }
+
+  const [invalid] = validateTypeFields(type, body);
+  if (invalid) {
+    return { error: `Invalid ${invalid.field}: ${invalid.problem}` };
+  }
+
+  const amount = String(body.amount).replace(/[,$]/g, "");
+  const contractDate = body.date || new Date().toISOString().split("T")[0];
+  const dateObj = new Date(contractDate + "T12:00:00");
+  const formattedDate = dateObj.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  const formattedAmount = Number(amount).toLocaleString("en-US");
+  const term = contractTerm(type, body);
+  const interval = billingInterval(type, body);
+
+  const data = {
+    contractType: type,
+    clientCompany: body.client_company,
+    clientFirst: body.client_first,
+    clientLast: body.client_last,
+    clientTitle: body.client_title,
+    formattedAmount,
+    formattedDate,
+    deliverable: body.deliverable || body.scope || "",
+    scope: body.scope || body.deliverable || "",
+    billingPeriod: interval,
+    initialTerm: term.unit === "month" ? `${term.length} month${term.length === 1 ? "" : "s"}` : null,
+    // The type's standard wording covers only its default term and interval
+    customTerms: interval !== billingInterval(type, {})
+      || term.length !== type.defaultTerm.length || term.unit !== type.defaultTerm.unit,
+    // The client's own wording, added to the agreement as written
+    customClauses: String(body.custom_clauses || "").split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean),
+  };
+
+  const clientName = `${body.client_first} ${body.client_last}`;
+  const fileName = `${type.fileLabel}_${body.client_company.replace(/[^a-zA-Z0-9]/g, "")}_MSA_SOW.${format}`;
+
+  return { type, format, data, amount, formattedAmount, clientName, fileName, term };
+}
+
+/**
+ * Renders the contract in the requested format.
+ * Returns { buffer, format, mimeType, pageCount, fields, clauses } — pageCount and
+ * the client signature/date field positions are only known up front for
+ * PDFs; for .docx they are null and SignNow's conversion decides the layout.
+ *
+ * `clauses` pins the clause refs (without "custom") instead of taking
+ * the template's current ones, to reproduce an issued contract.
+ */
+async function generateContract(data, format = "docx", { clauses: refs } = {}) {
+  const contract = renderContract(data.contractType.template, data, { clauses: refs });
+  const clauses = contract.sections.map((s) => s.ref);
+
+  if (format === "pdf") {
+    const pdf = await renderPdf(contract, data);
+    return { buffer: pdf.buffer, format, mimeType: MIME_TYPES.pdf, pageCount: pdf.pageCount, fields: pdf.fields, clauses };
+  }
+
+  const buffer = await renderDocx(contract, data);
+  return { buffer, format: "docx", mimeType: MIME_TYPES.docx, pageCount: null, fields: null, clauses };
+}
+
+module.exports = { CONTRACT_FORMATS, prepareContract, generateContract };
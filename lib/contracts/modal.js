@@ -0,0 +1,193 @@
+/**
+ * AEO Labs — New Contract Modal
+ *
+ * The Slack modal /new-contract opens (/api/slack-command). Its fields
+ * follow the selected contract type: the type select has dispatch_action
+ * set, so picking a type sends a block_actions payload to
+ * /api/slack-interact, which swaps in that type's fields with views.update.
+ * Which fields a type gets is its `form` in lib/contracts/types.js.
+ *
+ * Approvers get the same fields, filled in, to edit a contract before
+ * approving it (buildApprovalEditModal; see lib/contracts/approval.js).
+ *
+ * Block ids are the field names lib/contracts/form.js validates, and
+ * every input's action_id is "value".
+ */
+
+const { listContractTypes, resolveContractType } = require("./types");
+const { TYPE_FIELDS, MAX_TERM_MONTHS, MAX_CUSTOM_CLAUSES_LENGTH } = require("./form");
+
+const CONTRACT_MODAL_CALLBACK_ID = "new_contract_submit";
+const APPROVAL_EDIT_CALLBACK_ID = "approval_edit_submit";
+
+const INTERVAL_NAMES = { day: "Daily", week: "Weekly", month: "Monthly", year: "Yearly" };
+
+const plainText = (text) => ({ type: "plain_text", text });
+
+// `initial_value` in `extra` pre-fills the field (left out when empty)
+function textInput(blockId, label, placeholder, extra = {}) {
+  const { optional, hint, initial_value, ...element } = extra;
+  if (initial_value) element.initial_value = String(initial_value);
+  return {
+    type: "input",
+    block_id: blockId,
+    ...(optional ? { optional: true } : {}),
+    label: plainText(label),
+    ...(hint ? { hint: plainText(hint) } : {}),
+    element: { type: "plain_text_input", action_id: "value", placeholder: plainText(placeholder), ...element }
+  };
+}
+
+// ==================== TYPE-SPECIFIC FIELDS ====================
+
+// One block per field a contract type's `form` can list, given the type
+// and the field's current value (undefined in a new contract's modal)
+const TYPE_FIELD_BLOCKS = {
+  deliverable: (type, value) => textInput("deliverable", "Deliverable", "e.g. AEO audit and content plan for 20 priority queries", { multiline: true, initial_value: value }),
+
+  scope: (type, value) => textInput("scope", "Scope of Work", "e.g. SEO authority link building - 10 links/month", { multiline: true, initial_value: value }),
+
+  date: (type, value) => ({
+    type: "input",
+    block_id: "date",
+    optional: true,
+    label: plainText("Start Date"),
+    hint: plainText("Leave empty to start today"),
+    element: { type: "datepicker", action_id: "value", placeholder: plainText("Select a date"), ...(value ? { initial_date: value } : {}) }
+  }),
+
+  billing_interval: (type, value) => {
+    const option = (interval) => ({ text: plainText(INTERVAL_NAMES[interval] || interval), value: interval });
+    return {
+      type: "input",
+      block_id: "billing_interval",
+      label: plainText("Billing Interval"),
+      element: {
+        type: "static_select",
+        action_id: "value",
+        options: (type.billing.intervals || [type.billing.interval]).map(option),
+        initial_option: option(value || type.billing.interval)
+      }
+    };
+  },
+
+  term_months: (type, value) => ({
+    type: "input",
+    block_id: "term_months",
+    label: plainText("Initial Term (months)"),
+    element: {
+      type: "number_input",
+      action_id: "value",
+      is_decimal_allowed: false,
+      min_value: "1",
+      max_value: String(MAX_TERM_MONTHS),
+      ...(value ? { initial_value: String(value) }
+        : type.defaultTerm.unit === "month" ? { initial_value: String(type.defaultTerm.length) } : {})
+    }
+  }),
+
+  custom_clauses: (type, value) => textInput("custom_clauses", "Custom Clauses", "e.g. Client may pause services for up to one month per year.", {
+    optional: true,
+    initial_value: value,
+    multiline: true,
+    max_length: MAX_CUSTOM_CLAUSES_LENGTH,
+    hint: "Added to the agreement as written. Separate clauses with a blank line."
+  }),
+};
+
+// ==================== MODAL ====================
+
+// The fields every contract type has, pre-filled from `values` when given
+function clientBlocks(type, values = {}) {
+  return [
+    textInput("client_company", "Company Name", "e.g. Acme Corp", { initial_value: values.client_company }),
+    textInput("client_first", "Client First Name", "e.g. John", { initial_value: values.client_first }),
+    textInput("client_last", "Client Last Name", "e.g. Doe", { initial_value: values.client_last }),
+    textInput("client_title", "Client Title", "e.g. CEO, VP Marketing", { initial_value: values.client_title }),
+    textInput("client_email", "Client Email", "e.g. john@acme.com", { initial_value: values.client_email }),
+    textInput("amount", type && type.billing.mode === "recurring" ? "Retainer Amount per Billing Period ($)" : "Contract Amount ($)", "e.g. 5000", { initial_value: values.amount }),
+  ];
+}
+
+/**
+ * Builds the modal for a contract type id (or no type yet, which shows
+ * only the fields every type shares). Used for views.open and for each
+ * views.update when the type changes; Slack keeps what was typed into
+ * fields whose block_id survives the update.
+ */
+function buildContractModal(typeId) {
+  const type = typeId ? resolveContractType(typeId) : null;
+  const typeOption = (t) => ({ text: plainText(t.name), value: t.id });
+
+  const typeBlocks = type
+    ? type.form.map((field) => TYPE_FIELD_BLOCKS[field](type))
+    : [{ type: "context", elements: [{ type: "mrkdwn", text: "Pick a contract type to see the rest of its fields." }] }];
+
+  return {
+    type: "modal",
+    callback_id: CONTRACT_MODAL_CALLBACK_ID,
+    title: plainText("New Contract"),
+    submit: plainText("Generate Contract"),
+    close: plainText("Cancel"),
+    blocks: [
+      {
+        type: "input",
+        block_id: "contract_type",
+        dispatch_action: true,
+        label: plainText("Contract Type"),
+        element: {
+          type: "static_select",
+          action_id: "value",
+          placeholder: plainText("Select contract type"),
+          options: listContractTypes().map(typeOption),
+          ...(type ? { initial_option: typeOption(type) } : {})
+        }
+      },
+      ...clientBlocks(type),
+      ...typeBlocks,
+      {
+        type: "input",
+        block_id: "dry_run",
+        optional: true,
+        label: plainText("Dry Run"),
+        element: {
+          type: "checkboxes",
+          action_id: "value",
+          options: [
+            {
+              text: plainText("Dry run"),
+              description: plainText("Show the SignNow and Stripe calls without sending anything"),
+              value: "true"
+            }
+          ]
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * The modal an approver edits a contract waiting for approval in: its
+ * type's fields, filled in from the contract's inputs. The type can't be
+ * changed here; private_metadata carries the contract id and type.
+ */
+function buildApprovalEditModal(contract) {
+  const type = resolveContractType(contract.contract_type);
+  const values = contract.inputs;
+  return {
+    type: "modal",
+    callback_id: APPROVAL_EDIT_CALLBACK_ID,
+    private_metadata: JSON.stringify({ contract_id: contract.id, contract_type: type.id }),
+    title: plainText("Edit & Approve"),
+    submit: plainText("Approve"),
+    close: plainText("Cancel"),
+    blocks: [
+      { type: "context", elements: [{ type: "mrkdwn", text: `*${type.name}* contract · submitting approves it with these terms` }] },
+      ...clientBlocks(type, values),
+      // deliverable and scope stand in for each other (see TYPE_FIELDS)
+      ...type.form.map((field) => TYPE_FIELD_BLOCKS[field](type, values[field] || values[TYPE_FIELDS[field].alias]))
+    ]
+  };
+}
+
+module.exports = { CONTRACT_MODAL_CALLBACK_ID, APPROVAL_EDIT_CALLBACK_ID, buildContractModal, buildApprovalEditModal };
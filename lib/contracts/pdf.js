@@ -0,0 +1,314 @@
+/**
+ * AEO Labs — PDF Contract Renderer
+ *
+ * Lays out a rendered contract (see ./engine.js) as a PDF in the same
+ * "Bold Header" design as the .docx, using pdfkit (pure JS, standard
+ * fonts, no external services).
+ *
+ * Unlike the .docx path, where SignNow converts the file and we have to
+ * guess the page count and where the client signature lines ended up,
+ * this renderer records the exact page and coordinates of the client's
+ * signature and date lines while drawing them:
+ *
+ * {
+ *   buffer, pageCount,
+ *   fields: {
+ *     signature: { page, x, y, width, height },
+ *     date:      { page, x, y, width, height }
+ *   }
+ * }
+ *
+ * Coordinates are PDF points from the top-left of the page, pages are
+ * zero-based — the same convention SignNow uses for field placement.
+ */
+
+const PDFDocument = require("pdfkit");
+const { LOGO_BLACK_BUFFER, JEFF_SIG_BUFFER } = require("./assets");
+
+// ==================== DESIGN ====================
+
+const FONT = "Helvetica";
+const FONT_BOLD = "Helvetica-Bold";
+const FONT_ITALIC = "Helvetica-Oblique";
+const BLACK = "#000000";
+const DARK_GRAY = "#333333";
+const MEDIUM_GRAY = "#666666";
+const LIGHT_GRAY = "#999999";
+const NEON_GREEN = "#94F721";
+
+const PAGE = { width: 612, height: 792 }; // US Letter
+const MARGIN = 72;
+const CONTENT_WIDTH = PAGE.width - MARGIN * 2;
+const HEADER_TOP = 36;
+const FOOTER_TOP = PAGE.height - 48;
+
+// ==================== PRIMITIVES ====================
+
+function rule(doc, y, color, thickness) {
+  doc.save()
+    .moveTo(MARGIN, y).lineTo(MARGIN + CONTENT_WIDTH, y)
+    .lineWidth(thickness).strokeColor(color).stroke()
+    .restore();
+}
+
+// Starts a new page if fewer than `needed` points remain above the bottom margin
+function ensureSpace(doc, needed) {
+  if (doc.y + needed > PAGE.height - MARGIN) doc.addPage();
+}
+
+function currentPage(doc) {
+  return doc.bufferedPageRange().count - 1;
+}
+
+function drawHeader(doc) {
+  if (LOGO_BLACK_BUFFER) {
+    doc.image(LOGO_BLACK_BUFFER, MARGIN, HEADER_TOP, { width: 90, height: 15 });
+  } else {
+    doc.font(FONT_BOLD).fontSize(9).fillColor(BLACK).text("AEO Labs", MARGIN, HEADER_TOP, { lineBreak: false });
+  }
+  rule(doc, HEADER_TOP + 22, NEON_GREEN, 1);
+  doc.x = MARGIN;
+  doc.y = MARGIN;
+}
+
+function drawFooter(doc, pageNumber) {
+  // Writing inside the bottom margin would otherwise trigger an automatic page break
+  const bottom = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.save()
+    .moveTo(MARGIN, FOOTER_TOP).lineTo(MARGIN + CONTENT_WIDTH, FOOTER_TOP)
+    .lineWidth(0.5).strokeColor(LIGHT_GRAY).stroke()
+    .restore();
+  doc.font(FONT).fontSize(7).fillColor(LIGHT_GRAY);
+  doc.text("AEO Labs LLC  |  Confidential", MARGIN, FOOTER_TOP + 6, { lineBreak: false });
+  doc.text("Page " + pageNumber, MARGIN, FOOTER_TOP + 6, { width: CONTENT_WIDTH, align: "right", lineBreak: false });
+  doc.page.margins.bottom = bottom;
+}
+
+function sectionTitle(doc, number, title) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.9);
+  doc.font(FONT_BOLD).fontSize(12).fillColor(NEON_GREEN).text(`${number}.  `, { continued: true });
+  doc.fillColor(BLACK).text(title);
+  rule(doc, doc.y + 3, NEON_GREEN, 1);
+  doc.y += 10;
+}
+
+function bodyText(doc, text) {
+  doc.font(FONT).fontSize(10).fillColor(DARK_GRAY).text(text, { lineGap: 2 });
+  doc.moveDown(0.6);
+}
+
+function boldBodyText(doc, label, text) {
+  doc.font(FONT_BOLD).fontSize(10).fillColor(BLACK).text(label, { continued: true, lineGap: 2 });
+  doc.font(FONT).fillColor(DARK_GRAY).text(text, { lineGap: 2 });
+  doc.moveDown(0.5);
+}
+
+function heading(doc, text) {
+  ensureSpace(doc, 50);
+  doc.moveDown(0.8);
+  doc.font(FONT_BOLD).fontSize(12).fillColor(BLACK).text(text);
+  doc.moveDown(0.4);
+}
+
+function banner(doc, text) {
+  doc.moveDown(0.5);
+  rule(doc, doc.y, BLACK, 2);
+  doc.y += 8;
+  doc.font(FONT_BOLD).fontSize(13).fillColor(BLACK).text(text, { align: "center" });
+  rule(doc, doc.y + 4, NEON_GREEN, 1);
+  doc.y += 16;
+}
+
+// ==================== PAGES ====================
+
+function titlePage(doc, subtitle, data) {
+  const { clientCompany, clientFirst, clientLast, clientTitle, formattedDate } = data;
+  doc.y = MARGIN + 60;
+
+  if (LOGO_BLACK_BUFFER) {
+    doc.image(LOGO_BLACK_BUFFER, (PAGE.width - 210) / 2, doc.y, { width: 210, height: 36 });
+    doc.y += 46;
+  } else {
+    doc.font(FONT_BOLD).fontSize(26).fillColor(BLACK).text("AEO Labs", { align: "center" });
+    doc.moveDown(0.4);
+  }
+
+  rule(doc, doc.y + 6, NEON_GREEN, 3);
+  doc.y += 32;
+
+  doc.font(FONT_BOLD).fontSize(15).fillColor(BLACK).text("MASTER SERVICES AGREEMENT", { align: "center" });
+  doc.font(FONT).fontSize(12).fillColor(MEDIUM_GRAY).text("&", { align: "center" });
+  doc.font(FONT_BOLD).fontSize(15).fillColor(BLACK).text("STATEMENT OF WORK", { align: "center" });
+  doc.moveDown(1);
+  doc.font(FONT_BOLD).fontSize(11).fillColor(DARK_GRAY).text(subtitle, { align: "center" });
+  doc.moveDown(0.3);
+  doc.font(FONT).fontSize(10).fillColor(MEDIUM_GRAY).text(formattedDate, { align: "center" });
+  doc.moveDown(2);
+
+  rule(doc, doc.y, BLACK, 2);
+  doc.y += 14;
+
+  doc.font(FONT).fontSize(10).fillColor(MEDIUM_GRAY).text("Prepared for  ", { align: "center", continued: true });
+  doc.font(FONT_BOLD).fontSize(11).fillColor(BLACK).text(clientCompany);
+  doc.moveDown(0.3);
+  doc.font(FONT).fontSize(10).fillColor(MEDIUM_GRAY)
+    .text(`${clientFirst} ${clientLast}, ${clientTitle}`, { align: "center" });
+}
+
+function partiesIntro(doc, clientCompany, formattedDate) {
+  const run = (bold) => doc.font(bold ? FONT_BOLD : FONT).fillColor(bold ? BLACK : DARK_GRAY);
+  doc.fontSize(10);
+  run(false).text("This Master Services Agreement and Statement of Work (collectively, this \u201CAgreement\u201D) is entered into as of ", { continued: true, lineGap: 2 });
+  run(true).text(formattedDate, { continued: true });
+  run(false).text(" by and between ", { continued: true });
+  run(true).text("AEO Labs LLC", { continued: true });
+  run(false).text(" (\u201CService Provider\u201D) and ", { continued: true });
+  run(true).text(clientCompany, { continued: true });
+  run(false).text(" (\u201CClient\u201D).");
+  doc.moveDown(1);
+}
+
+function signatureLine(doc, height) {
+  const top = doc.y;
+  const lineY = top + height;
+  rule(doc, lineY, BLACK, 0.75);
+  doc.y = lineY + 3;
+  return { page: currentPage(doc), x: MARGIN, y: top, width: 250, height };
+}
+
+function caption(doc, text) {
+  doc.font(FONT_ITALIC).fontSize(8.5).fillColor(MEDIUM_GRAY).text(text);
+}
+
+function jeffSignaturePage(doc, formattedDate) {
+  doc.addPage();
+  banner(doc, "SIGNATURES");
+  bodyText(doc, "IN WITNESS WHEREOF, the parties have executed this Agreement as of the date first written above.");
+  doc.moveDown(1);
+
+  doc.font(FONT_BOLD).fontSize(11).fillColor(BLACK).text("SERVICE PROVIDER");
+  rule(doc, doc.y + 2, BLACK, 1);
+  doc.y += 30;
+
+  if (JEFF_SIG_BUFFER) {
+    doc.image(JEFF_SIG_BUFFER, MARGIN, doc.y, { width: 150, height: 44 });
+  }
+  doc.y += 44;
+  rule(doc, doc.y, BLACK, 0.75);
+  doc.y += 3;
+  caption(doc, "Signature");
+
+  doc.moveDown(0.8);
+  doc.font(FONT_BOLD).fontSize(11).fillColor(BLACK).text("Jeffrey Peroutka");
+  doc.font(FONT).fontSize(10).fillColor(MEDIUM_GRAY).text("CEO");
+  doc.text("AEO Labs LLC");
+
+  doc.moveDown(1);
+  doc.font(FONT).fontSize(10).fillColor(DARK_GRAY).text(formattedDate);
+  rule(doc, doc.y + 1, BLACK, 0.75);
+  doc.y += 4;
+  caption(doc, "Date");
+}
+
+function clientSignaturePage(doc, data) {
+  const { clientFirst, clientLast, clientTitle, clientCompany } = data;
+  doc.addPage();
+  doc.y += 15;
+
+  doc.font(FONT_BOLD).fontSize(11).fillColor(BLACK).text("CLIENT");
+  rule(doc, doc.y + 2, BLACK, 1);
+  doc.y += 20;
+
+  const labelled = (label, value, bold) => {
+    doc.font(FONT).fontSize(10).fillColor(MEDIUM_GRAY).text(label, { continued: true });
+    doc.font(bold ? FONT_BOLD : FONT).fontSize(bold ? 11 : 10).fillColor(bold ? BLACK : DARK_GRAY).text(value);
+    doc.moveDown(0.2);
+  };
+  labelled("Name:  ", `${clientFirst} ${clientLast}`, true);
+  labelled("Title:  ", clientTitle, false);
+  labelled("Company:  ", clientCompany, false);
+
+  // Large signing area
+  doc.y += 40;
+  const signature = signatureLine(doc, 60);
+  caption(doc, "Signature");
+
+  doc.y += 30;
+  const date = signatureLine(doc, 30);
+  caption(doc, "Date");
+
+  return { signature, date };
+}
+
+// ==================== DOCUMENT ====================
+
+/**
+ * Renders a contract to PDF.
+ *
+ * @param {object} contract — output of renderContract()
+ * @param {object} data — clientCompany, clientFirst, clientLast, clientTitle, formattedDate
+ */
+function renderPdf(contract, data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      margins: { top: MARGIN, right: MARGIN, bottom: MARGIN, left: MARGIN },
+      bufferPages: true,
+      info: {
+        Title: `${data.clientCompany} \u2014 Master Services Agreement & Statement of Work`,
+        Author: "AEO Labs LLC",
+      },
+    });
+
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("error", reject);
+
+    doc.on("pageAdded", () => drawHeader(doc));
+    drawHeader(doc);
+
+    let fields;
+    try {
+      titlePage(doc, contract.subtitle, data);
+
+      doc.addPage();
+      partiesIntro(doc, data.clientCompany, data.formattedDate);
+      banner(doc, "MASTER SERVICES AGREEMENT");
+
+      const renderBlock = (item) => typeof item === "string"
+        ? bodyText(doc, item)
+        : boldBodyText(doc, item.label, item.text);
+
+      for (const section of contract.sections) {
+        sectionTitle(doc, section.number, section.title);
+        section.body.forEach(renderBlock);
+      }
+
+      doc.addPage();
+      banner(doc, "STATEMENT OF WORK");
+      for (const block of contract.statementOfWork) {
+        heading(doc, block.heading);
+        block.body.forEach(renderBlock);
+      }
+
+      jeffSignaturePage(doc, data.formattedDate);
+      fields = clientSignaturePage(doc, data);
+
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        drawFooter(doc, i + 1);
+      }
+    } catch (err) {
+      return reject(err);
+    }
+
+    const pageCount = doc.bufferedPageRange().count;
+    doc.on("end", () => resolve({ buffer: Buffer.concat(chunks), pageCount, fields }));
+    doc.end();
+  });
+}
+
+module.exports = { renderPdf };
@@ -0,0 +1,182 @@
+/**
+ * AEO Labs — Contract Registry
+ *
+ * Durable record of every contract the pipeline creates: the inputs it
+ * was generated from, the generated artifact, the SignNow/Stripe IDs
+ * and where the contract is in its lifecycle.
+ *
+ * Status lifecycle (forward only; any status may jump ahead, e.g. when
+ * a "viewed" event is missed, and terminated is reachable from all):
+ *
+ *   draft → sent → viewed → signed → paid → active → terminated
+ *
+ * Record shape:
+ * {
+ *   id, status, created_at, updated_at,
+ *   contract_type,
+ *   requested_by, — Slack user id of whoever submitted it, when known
+ *   run_id,    — the pipeline run that created it (lib/pipeline/runs.js)
+ *   signed_at, — when SignNow reported the document complete
+ *   inputs:    { client_company, client_first, client_last, client_title, client_email, amount, scope,
+ *                deliverable, date, billing_interval, term_months, custom_clauses, format },
+ *   artifacts: { file_name, format, bytes, page_count, clauses: ["confidentiality@1", ...] },
+ *   external:  { signnow_document_id, signing_link, stripe_customer_id, stripe_invoice_id,
+ *                stripe_subscription_id, stripe_invoice_url, clickup_task_id, clickup_task_url },
+ *   billing:   { trigger, pending, partial, invoiced_at, invoiced_by, last_error,  — see lib/billing.js
+ *                voided_at, voided_by,  — the "Void invoice" button (lib/contracts/actions.js)
+ *                invoice_id, invoice_status, subscription_id, subscription_status,
+ *                last_event, last_event_at }  — kept current by /api/stripe-webhook
+ *   slack:     { channel, ts }  — the "New Contract Created" message, for threaded updates
+ *   approval:  { status, reasons, requested_at, decided_by, decided_at, edited, slack }
+ *              — only for contracts held for approval (lib/contracts/approval.js)
+ *   action:    { name, user, expires_at }  — the Slack button action running on it, if
+ *              any (lib/contracts/actions.js); cleared when it finishes
+ *   history:   [{ status, at, note }]
+ * }
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("../store");
+const { withLock } = require("../store/locks");
+
+const COLLECTION = "contracts";
+
+const STATUSES = ["draft", "sent", "viewed", "signed", "paid", "active", "terminated"];
+
+const INPUT_FIELDS = [
+  "client_company", "client_first", "client_last", "client_title", "client_email", "amount",
+  "scope", "deliverable", "date", "billing_interval", "term_months", "custom_clauses", "format",
+];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function newContractId() {
+  return "ctr_" + crypto.randomBytes(8).toString("hex");
+}
+
+function canTransition(from, to) {
+  if (!STATUSES.includes(to)) return false;
+  if (from === "terminated") return false;
+  if (to === "terminated") return true;
+  return STATUSES.indexOf(to) > STATUSES.indexOf(from);
+}
+
+/**
+ * Records a new contract in "draft".
+ * `body` is the pipeline request body; only known input fields are kept.
+ */
+async function createContract({ contractType, body, artifacts }) {
+  const inputs = {};
+  for (const field of INPUT_FIELDS) {
+    if (body[field] !== undefined && body[field] !== "") inputs[field] = body[field];
+  }
+
+  const at = now();
+  const record = {
+    id: newContractId(),
+    status: "draft",
+    created_at: at,
+    updated_at: at,
+    contract_type: contractType,
+    requested_by: body.requested_by || null,
+    inputs,
+    artifacts: artifacts || {},
+    external: {},
+    history: [{ status: "draft", at, note: "Contract generated" }],
+  };
+  return getStore().put(COLLECTION, record.id, record);
+}
+
+async function getContract(id) {
+  return getStore().get(COLLECTION, id);
+}
+
+/**
+ * Lists contracts, newest first.
+ * Filters: { status, contract_type, client_email, limit }
+ */
+async function listContracts(filters = {}) {
+  let records = await getStore().list(COLLECTION);
+  if (filters.status) records = records.filter((r) => r.status === filters.status);
+  if (filters.contract_type) records = records.filter((r) => r.contract_type === filters.contract_type);
+  if (filters.client_email) {
+    const email = String(filters.client_email).toLowerCase();
+    records = records.filter((r) => String(r.inputs.client_email || "").toLowerCase() === email);
+  }
+  records.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  return filters.limit ? records.slice(0, filters.limit) : records;
+}
+
+/**
+ * Finds the contract holding an external ID, e.g.
+ * findContractByExternalId("signnow_document_id", docId).
+ */
+async function findContractByExternalId(key, value) {
+  if (!value) return null;
+  const records = await getStore().list(COLLECTION);
+  return records.find((r) => r.external && r.external[key] === value) || null;
+}
+
+// Webhooks, pipeline steps and Slack buttons update the same contract
+// from different invocations: every read-modify-write holds its lock
+function lockContract(id, fn) {
+  return withLock("contract:" + id, fn);
+}
+
+/**
+ * Merges `changes` into a contract. `external`, `artifacts` and
+ * `billing` are merged key by key; other top-level keys are replaced.
+ *
+ * `changes` may also be a function of the current record returning
+ * them — it runs under the contract's lock, so it can check the record
+ * and change it in one step (throw to change nothing).
+ */
+async function updateContract(id, changes) {
+  return lockContract(id, async () => {
+    const record = await getContract(id);
+    if (!record) throw new Error("Contract not found: " + id);
+
+    const { external, artifacts, billing, ...rest } = typeof changes === "function" ? await changes(record) : changes;
+    Object.assign(record, rest);
+    if (external) record.external = { ...record.external, ...external };
+    if (artifacts) record.artifacts = { ...record.artifacts, ...artifacts };
+    if (billing) record.billing = { ...record.billing, ...billing };
+    record.updated_at = now();
+    return getStore().put(COLLECTION, id, record);
+  });
+}
+
+/**
+ * Moves a contract to `status`. Moving backwards (or out of
+ * terminated) is refused; repeating the current status is a no-op.
+ * Returns the updated record.
+ */
+async function setContractStatus(id, status, note) {
+  return lockContract(id, async () => {
+    const record = await getContract(id);
+    if (!record) throw new Error("Contract not found: " + id);
+    if (record.status === status) return record;
+    if (!canTransition(record.status, status)) {
+      throw new Error(`Contract ${id} cannot move from ${record.status} to ${status}`);
+    }
+
+    const at = now();
+    record.status = status;
+    record.updated_at = at;
+    record.history.push({ status, at, note: note || null });
+    return getStore().put(COLLECTION, id, record);
+  });
+}
+
+module.exports = {
+  STATUSES,
+  canTransition,
+  createContract,
+  getContract,
+  listContracts,
+  findContractByExternalId,
+  updateContract,
+  setContractStatus,
+};
@@ -0,0 +1,25 @@
+/**
+ * Contract template registry. Adding a new offering means adding a
+ * template file next to this one and listing it below.
+ *
+ * A template may also have `customTerms` — the wording for a contract
+ * whose initial term or billing interval differs from its type's
+ * default (see renderContract in ../engine.js):
+ *   { subtitle?, clauses?: { "<ref it replaces>": "<ref>" },
+ *     statementOfWork?: { "<heading>": [body it replaces] } }
+ */
+
+const TEMPLATES = [
+  require("./sprint1"),
+  require("./phase2"),
+];
+
+const BY_ID = new Map(TEMPLATES.map((t) => [t.id, t]));
+
+function getTemplate(id) {
+  const template = BY_ID.get(id);
+  if (!template) throw new Error("Unknown contract template: " + id);
+  return template;
+}
+
+module.exports = { TEMPLATES, getTemplate };
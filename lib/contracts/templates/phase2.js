@@ -0,0 +1,72 @@
+/**
+ * Phase 2 — ongoing month-to-month retainer, billed monthly. A contract
+ * with its own initial term or billing interval gets the customTerms
+ * wording instead.
+ */
+
+module.exports = {
+  id: "phase2",
+  subtitle: "Phase 2 \u2014 Ongoing Monthly Retainer",
+
+  defaults: {
+    scope: "As mutually agreed upon by both parties.",
+  },
+
+  clauses: [
+    "services.ongoing@1",
+    "term.month-to-month@1",
+    "payment.monthly-retainer@1",
+    "acceptance@1",
+    "ip.per-billing-period@1",
+    "confidentiality@1",
+    "non-solicitation@1",
+    "liability.three-months-fees@1",
+    "termination.early-fee@1",
+    "indemnification@1",
+    "force-majeure@1",
+    "reporting@1",
+    "governing-law@1",
+    "general-provisions@1",
+  ],
+
+  statementOfWork: [
+    {
+      heading: "Project Overview",
+      body: [
+        "Service Provider shall deliver ongoing Answer Engine Optimization services for Client, including continuous strategy, optimization, and performance monitoring across AI-powered answer engines and search platforms.",
+      ],
+    },
+    {
+      heading: "Scope of Services",
+      body: ["{{scope}}"],
+    },
+    {
+      heading: "Reporting",
+      body: ["Monthly performance reports will be delivered summarizing work completed, key metrics, and strategic recommendations."],
+    },
+    {
+      heading: "Investment",
+      body: [
+        { label: "Monthly Retainer:  ", text: "${{formattedAmount}} USD" },
+        { label: "Payment Due:  ", text: "First of each month" },
+        { label: "Initial Payment:  ", text: "Due upon execution of this Agreement" },
+      ],
+    },
+  ],
+
+  customTerms: {
+    subtitle: "Phase 2 \u2014 Ongoing Retainer",
+    clauses: {
+      "term.month-to-month@1": "term.renewing@1",
+      "payment.monthly-retainer@1": "payment.retainer@1",
+    },
+    statementOfWork: {
+      Investment: [
+        { label: "Retainer Fee:  ", text: "${{formattedAmount}} USD per {{billingPeriod}}" },
+        { label: "Initial Term:  ", text: "{{initialTerm}}" },
+        { label: "Payment Due:  ", text: "Start of each billing period" },
+        { label: "Initial Payment:  ", text: "Due upon execution of this Agreement" },
+      ],
+    },
+  },
+};
@@ -0,0 +1,54 @@
+/**
+ * Sprint 1 — fixed-fee 60-day engagement, paid up front.
+ */
+
+module.exports = {
+  id: "sprint1",
+  subtitle: "Sprint 1 \u2014 60-Day Engagement",
+
+  defaults: {
+    deliverable: "Comprehensive AEO audit, content strategy, and optimization implementation.",
+  },
+
+  clauses: [
+    "services.one-time@1",
+    "term.sprint-60-day@1",
+    "payment.upfront@1",
+    "acceptance.sprint-schedule@1",
+    "ip.full-payment@1",
+    "confidentiality@1",
+    "non-solicitation@1",
+    "liability.fees-paid@1",
+    "performance-guarantee@1",
+    "termination@1",
+    "indemnification@1",
+    "force-majeure@1",
+    "governing-law@1",
+    "general-provisions@1",
+  ],
+
+  statementOfWork: [
+    {
+      heading: "Project Overview",
+      body: [
+        "Service Provider shall deliver a comprehensive Answer Engine Optimization sprint for Client, focused on improving Client\u2019s visibility and performance across AI-powered answer engines and search platforms.",
+      ],
+    },
+    {
+      heading: "Deliverable",
+      body: ["{{deliverable}}"],
+    },
+    {
+      heading: "Timeline",
+      body: ["All deliverables shall be completed within sixty (60) calendar days from the date of payment receipt."],
+    },
+    {
+      heading: "Investment",
+      body: [
+        { label: "Total Sprint Fee:  ", text: "${{formattedAmount}} USD" },
+        { label: "Payment Terms:  ", text: "Due upon execution, prior to commencement of services." },
+        "All fees are non-refundable once work has commenced, except as provided under the Performance Guarantee in Section {{section:performance-guarantee}} of the Master Services Agreement.",
+      ],
+    },
+  ],
+};
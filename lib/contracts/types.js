@@ -0,0 +1,123 @@
+/**
+ * AEO Labs — Contract Type Registry
+ *
+ * The single list of offerings we can contract for. The Slack modal,
+ * the field validator, the document generator and the Stripe step all
+ * read from here, so adding a type means adding an entry below (plus
+ * its template in ./templates) and nothing else.
+ *
+ * Each entry:
+ *   id          — canonical value sent through the pipeline
+ *   name        — display name (Slack modal, messages)
+ *   aliases     — extra spellings accepted from forms/webhooks
+ *   template    — template id in ./templates
+ *   fileLabel   — prefix for the generated file name
+ *   billing     — { mode: "one_time" | "recurring", interval?, intervals?, description,
+ *                   trigger: "on_send" | "on_signature" | "manual" } (see lib/billing.js);
+ *                   recurring types bill every `interval` unless the form picks
+ *                   another of `intervals`
+ *   defaultTerm — { length, unit: "day" | "month", autoRenew }
+ *   form        — the type-specific fields the new contract modal shows
+ *                 once this type is picked, in order (see TYPE_FIELDS in ./form.js)
+ *
+ * Who a type's ClickUp onboarding task is assigned to is configured per
+ * type with CLICKUP_ASSIGNEES_<ID> (lib/config.js).
+ */
+
+const { getTemplate } = require("./templates");
+
+// When the Stripe invoice/subscription is created (see lib/billing.js)
+const BILLING_TRIGGERS = ["on_send", "on_signature", "manual"];
+
+const CONTRACT_TYPES = [
+  {
+    id: "sprint1",
+    name: "Sprint 1",
+    aliases: ["sprint 1", "s1"],
+    template: "sprint1",
+    fileLabel: "Sprint1",
+    billing: {
+      mode: "one_time",
+      trigger: "on_signature",
+      description: () => "AEO Labs - AI Visibility Sprint",
+    },
+    defaultTerm: { length: 60, unit: "day", autoRenew: false },
+    form: ["deliverable", "date", "custom_clauses"],
+  },
+  {
+    id: "phase2",
+    name: "Phase 2",
+    aliases: ["phase 2", "p2"],
+    template: "phase2",
+    fileLabel: "Phase2",
+    billing: {
+      mode: "recurring",
+      interval: "month",
+      intervals: ["month", "year"],
+      trigger: "on_signature",
+      description: (scope) => "AEO Labs - Phase 2 Retainer: " + (scope || "Monthly Retainer"),
+    },
+    defaultTerm: { length: 1, unit: "month", autoRenew: true },
+    form: ["scope", "date", "billing_interval", "term_months", "custom_clauses"],
+  },
+];
+
+// ==================== LOOKUP ====================
+
+const BY_KEY = new Map();
+for (const type of CONTRACT_TYPES) {
+  getTemplate(type.template); // fail at load time if the template is missing
+  if (type.billing.mode === "recurring" && !type.billing.interval) {
+    throw new Error(`Contract type ${type.id} is recurring but has no billing interval`);
+  }
+  if (type.billing.intervals && !type.billing.intervals.includes(type.billing.interval)) {
+    throw new Error(`Contract type ${type.id} bills every ${type.billing.interval}, which isn't one of its intervals`);
+  }
+  if (!BILLING_TRIGGERS.includes(type.billing.trigger)) {
+    throw new Error(`Contract type ${type.id} has an unknown billing trigger: ${type.billing.trigger}`);
+  }
+  for (const key of [type.id, type.name, ...type.aliases]) {
+    const normalized = key.toLowerCase().trim();
+    if (BY_KEY.has(normalized) && BY_KEY.get(normalized) !== type) {
+      throw new Error(`Contract type alias "${key}" is used by both ${BY_KEY.get(normalized).id} and ${type.id}`);
+    }
+    BY_KEY.set(normalized, type);
+  }
+}
+
+/**
+ * Resolves an id, display name or alias ("Phase 2", "p2", "phase2")
+ * to its contract type, or null if it isn't one we offer.
+ */
+function resolveContractType(raw) {
+  if (raw === undefined || raw === null) return null;
+  return BY_KEY.get(String(raw).toLowerCase().trim()) || null;
+}
+
+function getContractType(id) {
+  const type = resolveContractType(id);
+  if (!type) throw new Error("Unknown contract type: " + id);
+  return type;
+}
+
+function listContractTypes() {
+  return CONTRACT_TYPES.slice();
+}
+
+// ==================== PER-CONTRACT TERMS ====================
+
+// How often a recurring contract bills: the form's billing_interval, else the type's
+function billingInterval(type, body) {
+  if (type.billing.mode !== "recurring") return null;
+  return (type.form.includes("billing_interval") && body.billing_interval) || type.billing.interval;
+}
+
+// The type's default term, with the initial length from the form's term_months
+function contractTerm(type, body) {
+  if (!type.form.includes("term_months") || !body.term_months) return type.defaultTerm;
+  return { ...type.defaultTerm, length: parseInt(body.term_months, 10), unit: "month" };
+}
+
+module.exports = {
+  BILLING_TRIGGERS, resolveContractType, getContractType, listContractTypes, billingInterval, contractTerm,
+};
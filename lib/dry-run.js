@@ -0,0 +1,85 @@
+/**
+ * AEO Labs — Dry-Run Recorder
+ *
+ * When a pipeline request has dry_run: true, every outgoing SignNow,
+ * Stripe and ClickUp call is handed to a recorder instead of the
+ * network. The recorder keeps the call (method, path, decoded payload,
+ * secrets redacted) and answers with a canned response shaped like the
+ * real API's, so the following steps still run and build their payloads.
+ *
+ *   const dryRun = createDryRun();
+ *   const res = dryRun.record("stripe", "POST", "/customers", formBody);
+ *   dryRun.calls  // => [{ service, method, path, payload, note? }]
+ */
+
+const querystring = require("querystring");
+
+const DRY_RUN_ID = "dry_run";
+
+// Canned responses, first match wins. Each returns the parsed response body.
+const RESPONSES = [
+  // ---- SignNow ----
+  { service: "signnow", method: "POST", path: /^\/oauth2\/token$/, body: () => ({ access_token: "dry-run-token", expires_in: 3600 }) },
+  { service: "signnow", method: "POST", path: /^\/document$/, body: () => ({ id: DRY_RUN_ID + "_document" }) },
+  { service: "signnow", method: "GET", path: /^\/document\/[^/]+$/, body: () => ({ id: DRY_RUN_ID + "_document", roles: [{ name: "Client", unique_id: DRY_RUN_ID + "_role" }] }) },
+  { service: "signnow", method: "PUT", path: /^\/document\/[^/]+$/, body: () => ({ id: DRY_RUN_ID + "_document" }) },
+  { service: "signnow", method: "POST", path: /\/embedded-invites$/, body: () => ({ data: [{ id: DRY_RUN_ID + "_invite" }] }) },
+  { service: "signnow", method: "POST", path: /\/embedded-invites\/[^/]+\/link$/, body: () => ({ data: { link: null } }) },
+  { service: "signnow", method: "POST", path: /\/invite$/, body: () => ({ status: "success" }) },
+  { service: "signnow", method: "POST", path: /^\/api\/v2\/events$/, body: () => ({ id: DRY_RUN_ID + "_subscription" }) },
+
+  // ---- Stripe ----
+  { service: "stripe", method: "GET", path: /^\/customers(\/search)?$/, body: () => ({ object: "list", data: [] }) },
+  { service: "stripe", method: "POST", path: /^\/customers$/, body: () => ({ id: "cus_" + DRY_RUN_ID }) },
+  { service: "stripe", method: "POST", path: /^\/customers\/[^/]+$/, body: () => ({ id: "cus_" + DRY_RUN_ID }) },
+  { service: "stripe", method: "POST", path: /^\/prices$/, body: () => ({ id: "price_" + DRY_RUN_ID }) },
+  { service: "stripe", method: "POST", path: /^\/subscriptions$/, body: () => ({ id: "sub_" + DRY_RUN_ID, status: "incomplete", latest_invoice: "in_" + DRY_RUN_ID }) },
+  { service: "stripe", method: "POST", path: /^\/invoices$/, body: () => ({ id: "in_" + DRY_RUN_ID, status: "draft" }) },
+  { service: "stripe", method: "POST", path: /^\/invoiceitems$/, body: () => ({ id: "ii_" + DRY_RUN_ID }) },
+  { service: "stripe", method: "POST", path: /^\/invoices\/[^/]+\/finalize$/, body: () => ({ id: "in_" + DRY_RUN_ID, status: "open", hosted_invoice_url: null, invoice_pdf: null }) },
+
+  // ---- ClickUp ----
+  { service: "clickup", method: "POST", path: /^\/list\/[^/]+\/task$/, body: () => ({ id: DRY_RUN_ID + "_task", url: null }) },
+];
+
+// Turns a request body into something readable in a JSON response
+function decodePayload(payload) {
+  if (payload === undefined || payload === null || payload === "") return null;
+  if (Buffer.isBuffer(payload)) return { bytes: payload.length };
+  if (typeof payload !== "string") return payload;
+  try { return JSON.parse(payload); } catch {}
+  const form = querystring.parse(payload);
+  for (const key of ["password", "client_secret"]) {
+    if (form[key]) form[key] = "[redacted]";
+  }
+  return form;
+}
+
+function createDryRun() {
+  const calls = [];
+
+  return {
+    calls,
+
+    /**
+     * Records a call and returns the canned response body for it.
+     * `payload` may be a JSON string, a form-encoded string, an object,
+     * or a descriptor such as { fileName, mimeType, bytes } for uploads.
+     */
+    record(service, method, path, payload) {
+      const pathname = path.split("?")[0];
+      const match = RESPONSES.find((r) => r.service === service && r.method === method && r.path.test(pathname));
+      const call = { service, method, path, payload: decodePayload(payload) };
+      calls.push(call);
+      console.log(`[DRY RUN] ${service} ${method} ${path}`);
+      return match ? match.body() : {};
+    },
+
+    // Attaches a note to the most recently recorded call
+    noteLast(note) {
+      if (calls.length) calls[calls.length - 1].note = note;
+    },
+  };
+}
+
+module.exports = { createDryRun, DRY_RUN_ID };
@@ -0,0 +1,182 @@
+/**
+ * AEO Labs — HTTP client
+ *
+ * The one place outbound API calls (Slack, SignNow, Stripe, ClickUp) go
+ * through, so they all get the same timeouts, retries and errors:
+ *
+ *   request({
+ *     service: "stripe",              — for logs and errors
+ *     method: "POST",
+ *     url: "https://api.stripe.com/v1/customers",
+ *     headers: { ... },
+ *     body,                           — string/Buffer as is; objects are sent as JSON
+ *     timeoutMs: 15000,               — per attempt
+ *     retries: 2,                     — extra attempts for retryable failures
+ *     responseType: "json",           — "json" | "text" | "buffer"
+ *     throwHttpErrors: true,          — false to get 4xx/5xx responses back
+ *   }) → { status, headers, body }
+ *
+ * Retries: 429 always (the request wasn't processed), and timeouts,
+ * network errors and 5xx only when repeating the request is safe — an
+ * idempotent method, or an Idempotency-Key header. Waits back off
+ * exponentially (with jitter) and honor Retry-After.
+ *
+ * Failures throw an HttpError carrying service, method, path, status,
+ * body and code ("timeout", "network_error", "invalid_json", "http_error"),
+ * including a 2xx response whose body isn't the JSON that was expected.
+ *
+ * setTransport(fn) swaps how requests are sent (tests): fn({ method, url,
+ * headers, body, timeoutMs }) → Promise<{ status, headers, body: Buffer }>,
+ * rejecting with err.code "ETIMEDOUT" on timeouts. Pass null to restore
+ * the default, nodeTransport — which a test transport can also wrap, e.g.
+ * to send requests to local fakes instead (test/helpers/fakes.js).
+ */
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 500;
+// A Retry-After longer than this isn't worth waiting for inside a request
+const MAX_RETRY_DELAY_MS = 30000;
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+
+class HttpError extends Error {
+  constructor(message, { service, method, path, status = null, body = null, headers = {}, code = "http_error" } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.service = service;
+    this.method = method;
+    this.path = path;
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+    this.code = code;
+  }
+}
+
+function nodeTransport({ method, url, headers, body, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const req = (target.protocol === "http:" ? http : https).request(target, { method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (c) => chunks.push(c));
+      res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      res.on("error", reject);
+    });
+    req.setTimeout(timeoutMs, () => {
+      const err = new Error(`timed out after ${timeoutMs}ms`);
+      err.code = "ETIMEDOUT";
+      req.destroy(err);
+    });
+    req.on("error", reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+let transport = nodeTransport;
+
+function setTransport(fn) {
+  transport = fn || nodeTransport;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+function backoffMs(attempt, retryAfter) {
+  const hinted = retryAfterMs(retryAfter);
+  if (hinted !== null) return hinted;
+  const exp = BACKOFF_BASE_MS * Math.pow(2, attempt);
+  return exp / 2 + Math.random() * exp / 2;
+}
+
+function hasHeader(headers, name) {
+  return Object.keys(headers).some((h) => h.toLowerCase() === name.toLowerCase());
+}
+
+function parseBody(buffer, responseType) {
+  if (responseType === "buffer") return { body: buffer };
+  const text = buffer.toString("utf8");
+  if (responseType === "text") return { body: text };
+  if (!text.trim()) return { body: null };
+  try { return { body: JSON.parse(text) }; }
+  catch (e) { return { body: text, invalidJson: true }; }
+}
+
+async function request({
+  service = "http",
+  method = "GET",
+  url,
+  headers = {},
+  body,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  responseType = "json",
+  throwHttpErrors = true,
+}) {
+  method = method.toUpperCase();
+  const path = new URL(url).pathname;
+  const sendHeaders = { ...headers };
+  let payload = body;
+  if (payload !== undefined && payload !== null && !Buffer.isBuffer(payload) && typeof payload !== "string") {
+    payload = JSON.stringify(payload);
+    if (!hasHeader(sendHeaders, "Content-Type")) sendHeaders["Content-Type"] = "application/json";
+  }
+  if (payload === null || payload === "") payload = undefined;
+  if (payload !== undefined && !hasHeader(sendHeaders, "Content-Length")) {
+    sendHeaders["Content-Length"] = Buffer.byteLength(payload);
+  }
+  const safeToRepeat = IDEMPOTENT_METHODS.includes(method) || hasHeader(sendHeaders, "Idempotency-Key");
+  const context = { service, method, path };
+
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let failure = null;
+    try {
+      res = await transport({ method, url, headers: sendHeaders, body: payload, timeoutMs });
+    } catch (err) {
+      failure = err;
+    }
+
+    const retryable = failure ? safeToRepeat : res.status === 429 || (res.status >= 500 && safeToRepeat);
+    if (retryable && attempt < retries) {
+      const delay = backoffMs(attempt, res && res.headers && res.headers["retry-after"]);
+      if (delay <= MAX_RETRY_DELAY_MS) {
+        console.log(`HTTP: ${service} ${method} ${path} ${failure ? failure.message : "responded " + res.status}, retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+        continue;
+      }
+    }
+
+    if (failure) {
+      const code = failure.code === "ETIMEDOUT" ? "timeout" : "network_error";
+      throw new HttpError(`${service} ${method} ${path} failed: ${failure.message}`, { ...context, code });
+    }
+
+    const { body: parsed, invalidJson } = parseBody(res.body, responseType);
+    const ok = res.status >= 200 && res.status < 300;
+    if (!ok && throwHttpErrors) {
+      const detail = typeof parsed === "string" ? parsed : JSON.stringify(parsed);
+      throw new HttpError(`${service} ${method} ${path} responded ${res.status}: ${String(detail).substring(0, 300)}`,
+        { ...context, status: res.status, body: parsed, headers: res.headers });
+    }
+    if (ok && invalidJson) {
+      throw new HttpError(`${service} ${method} ${path} returned invalid JSON: ${parsed.substring(0, 200)}`,
+        { ...context, status: res.status, body: parsed, headers: res.headers, code: "invalid_json" });
+    }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+}
+
+module.exports = { HttpError, request, setTransport, nodeTransport };
@@ -0,0 +1,119 @@
+/**
+ * AEO Labs — Idempotency keys
+ *
+ * Lets a client safely repeat a request that has side effects. The first
+ * request with a given Idempotency-Key claims it and, once it finishes,
+ * its response is saved under the key. Repeats within KEY_TTL_MS get the
+ * saved response back instead of running again:
+ *
+ *   claimKey(key, body)  → { claimed: true, run_id }
+ *                        | { replay: { status, body } }       — finished before
+ *                        | { conflict: "in_progress" | "mismatch", record }
+ *   attachRun(key, runId) — the pipeline run the claimed request started
+ *   completeKey(key, status, body)
+ *   releaseKey(key)      — give up a claim (e.g. the request crashed) so the
+ *                          key can be used again
+ *
+ * A key is bound to its request body: reusing it with a different body is
+ * a "mismatch" rather than a replay.
+ *
+ * An in-progress claim is a lease (lib/store/locks.js) that runs out a
+ * little after the functions' maxDuration, so a request that was killed
+ * doesn't block its key for the whole TTL: a repeat after that takes the
+ * claim over. If the first request had got as far as starting a run, the
+ * claim comes with its run_id, for the repeat to resume rather than
+ * creating a second SignNow document.
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { acquireLock, releaseLock } = require("./store/locks");
+
+const COLLECTION = "idempotency_keys";
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+const CLAIM_LEASE_MS = 70 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{1,200}$/;
+
+function isValidKey(key) {
+  return typeof key === "string" && KEY_PATTERN.test(key);
+}
+
+// Stable JSON (sorted keys) so field order doesn't change the fingerprint
+function canonical(value) {
+  if (Array.isArray(value)) return "[" + value.map(canonical).join(",") + "]";
+  if (value && typeof value === "object") {
+    return "{" + Object.keys(value).sort().map((k) => JSON.stringify(k) + ":" + canonical(value[k])).join(",") + "}";
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function fingerprint(body) {
+  return crypto.createHash("sha256").update(canonical(body || {})).digest("hex");
+}
+
+function isExpired(record) {
+  return Date.now() - new Date(record.created_at).getTime() > KEY_TTL_MS;
+}
+
+const claimLock = (key) => "idempotency:" + key;
+
+async function claimKey(key, body) {
+  const store = getStore();
+  const record = {
+    key,
+    fingerprint: fingerprint(body),
+    status: "in_progress",
+    run_id: null,
+    created_at: new Date().toISOString(),
+  };
+
+  let existing = (await store.create(COLLECTION, key, record)) ? null : await store.get(COLLECTION, key);
+  if (existing && isExpired(existing)) {
+    // Expired — start over as a new key
+    await store.put(COLLECTION, key, record);
+    existing = null;
+  }
+  if (existing) {
+    if (existing.fingerprint !== record.fingerprint) return { conflict: "mismatch", record: existing };
+    if (existing.status === "completed") return { replay: existing.response };
+  }
+
+  // Held by a request that's still running, unless its lease ran out
+  const token = await acquireLock(claimLock(key), CLAIM_LEASE_MS);
+  if (!token) return { conflict: "in_progress", record: existing || record };
+  const claimed = { ...(existing || record), status: "in_progress", lock_token: token };
+  await store.put(COLLECTION, key, claimed);
+  if (existing) console.log("IDEMPOTENCY: Took over key " + key + " from a request that didn't finish" + (claimed.run_id ? " (run " + claimed.run_id + ")" : ""));
+  return { claimed: true, run_id: claimed.run_id };
+}
+
+async function attachRun(key, runId) {
+  const store = getStore();
+  const existing = await store.get(COLLECTION, key);
+  if (!existing) return;
+  existing.run_id = runId;
+  await store.put(COLLECTION, key, existing);
+}
+
+async function completeKey(key, status, body) {
+  const store = getStore();
+  const existing = await store.get(COLLECTION, key);
+  if (!existing) return;
+  existing.status = "completed";
+  existing.completed_at = new Date().toISOString();
+  existing.response = { status, body };
+  await store.put(COLLECTION, key, existing);
+  await releaseLock(claimLock(key), existing.lock_token);
+}
+
+// Once a run was started the key stays tied to it, so the next repeat
+// resumes that run; otherwise the key is forgotten
+async function releaseKey(key) {
+  const store = getStore();
+  const existing = await store.get(COLLECTION, key);
+  if (!existing) return;
+  if (!existing.run_id) await store.delete(COLLECTION, key);
+  await releaseLock(claimLock(key), existing.lock_token);
+}
+
+module.exports = { isValidKey, claimKey, attachRun, completeKey, releaseKey };
@@ -0,0 +1,543 @@
+/**
+ * AEO Labs — Contract Pipeline
+ *
+ * The steps /api/generate-and-send runs for one contract, in order:
+ *
+ *   generate      render the .docx/PDF                          critical
+ *   record        create the registry record                    (skipped in dry runs)
+ *   approval      hold the contract for approval when the rules in      critical
+ *                 lib/contracts/approval.js call for it — nothing below
+ *                 runs until it is approved
+ *   upload        SignNow auth + upload + page count            critical
+ *   fields        place the client signature fields             critical
+ *   signing_link  embedded signing link (falls back to webapp URL)
+ *   invite        SignNow email invite                          (disabled for now)
+ *   events        subscribe /api/signnow-webhook to the document
+ *   invoice       Stripe invoice/subscription, or defer it per the billing trigger
+ *   task          ClickUp onboarding task
+ *   notify        Slack summary of every step                   always runs
+ *
+ * Registry writes ride along inside the steps (see track()) and never
+ * fail them: the contract already exists in SignNow/Stripe by then.
+ *
+ * Live runs are saved step by step (./runs.js) and can be resumed with
+ * resumeContractRun(): steps that succeeded are reused — the same SignNow
+ * document, Stripe customer and ClickUp task — and only the rest run again.
+ * A run held for approval is saved as "awaiting_approval" and resumed the
+ * same way once approved (POST /api/contracts/:id/approval).
+ *
+ * The person who submitted the contract (body.requested_by) is kept up to
+ * date by DM as the steps settle (./progress.js).
+ *
+ * ctx: { prepared (from prepareContract), body, dryRun, idempotencyKey, record,
+ *        run, runLock, approval, billingDeferred, snToken, progress, outputs, steps } — outputs/steps
+ *        filled in by the runner
+ */
+
+const { prepareContract, generateContract } = require("../contracts/generate");
+const { createContract, getContract, updateContract, setContractStatus } = require("../contracts/registry");
+const { approvalReasons, requestApproval } = require("../contracts/approval");
+const {
+  snAuthenticate, snUpload, snGetDocInfo, snAddFields,
+  snCreateSigningLink, snSendInvite, snSubscribeEvents,
+} = require("../signnow");
+const { billingPlan, invoicePlan, stripeExternalIds } = require("../billing");
+const { isClickUpEnabled, createClickUpTask } = require("../clickup");
+const { postMessage } = require("../slack");
+const { buildPipelineBlocks } = require("./notify");
+const { updateRequester } = require("./progress");
+const { runSteps, skipped } = require("./runner");
+const { createRun, getRun, saveRun, claimRun, releaseRun, runStatus } = require("./runs");
+const { attachRun } = require("../idempotency");
+const { baseUrl } = require("../self");
+const { getConfig } = require("../config");
+
+const DISABLE_SIGNNOW_INVITE = true; // Set to false to re-enable
+
+// One SignNow token per attempt (lib/signnow.js caches and renews it
+// across invocations); never persisted with the run, since tokens expire
+async function signNowToken(ctx) {
+  if (!ctx.snToken) {
+    ctx.snToken = await snAuthenticate(ctx.dryRun);
+    console.log("SignNow authenticated");
+  }
+  return ctx.snToken;
+}
+
+// Registry bookkeeping: logged on failure, never fails the step
+async function track(ctx, label, fn) {
+  if (!ctx.record) return null;
+  try {
+    return await fn(ctx.record.id);
+  } catch (err) {
+    console.error("REGISTRY ERROR (" + label + "): " + err.message);
+    return null;
+  }
+}
+
+const CONTRACT_STEPS = [
+  {
+    name: "generate",
+    label: "Contract",
+    critical: true,
+    // Rendering is deterministic and the buffer isn't saved, so a resumed run renders again
+    persist: false,
+    rerun: true,
+    async run(ctx) {
+      const { data, format, fileName } = ctx.prepared;
+      const generated = await generateContract(data, format);
+      console.log(`Contract generated: ${fileName} (${generated.buffer.length} bytes)`);
+      return generated;
+    },
+    summarize: (g) => ({ bytes: g.buffer.length, page_count: g.pageCount, clauses: g.clauses }),
+  },
+  {
+    name: "record",
+    label: "Contract registry",
+    needs: ["generate"],
+    skip: (ctx) => ctx.dryRun ? "dry run" : null,
+    async run(ctx) {
+      const { type, format, fileName } = ctx.prepared;
+      const generated = ctx.outputs.generate;
+      ctx.record = await createContract({
+        contractType: type.id,
+        body: { ...ctx.body, format },
+        artifacts: {
+          file_name: fileName,
+          format,
+          bytes: generated.buffer.length,
+          page_count: generated.pageCount,
+          clauses: generated.clauses,
+        },
+      });
+      console.log("Contract recorded: " + ctx.record.id);
+      if (ctx.run) {
+        ctx.run.contract_id = ctx.record.id;
+        await track(ctx, "run", (id) => updateContract(id, { run_id: ctx.run.id }));
+      }
+      return { contract_id: ctx.record.id };
+    },
+  },
+  {
+    name: "approval",
+    label: "Approval",
+    needs: ["generate"],
+    // A contract that couldn't be held mustn't look sent
+    critical: true,
+    async run(ctx) {
+      const current = ctx.record && await getContract(ctx.record.id);
+      let approval = current && current.approval;
+      if (!approval) {
+        const reasons = approvalReasons(ctx.prepared, ctx.body);
+        if (reasons.length === 0) return { required: false };
+        if (ctx.dryRun) return { required: true, status: "dry_run", reasons };
+        if (!ctx.record) throw new Error("Needs approval (" + reasons.join("; ") + ") but the contract wasn't recorded");
+        approval = await requestApproval(current, reasons);
+      }
+
+      const { status, reasons, decided_by = null, decided_at = null, edited = false } = approval;
+      if (status === "approved") return { required: true, status, reasons, decided_by, decided_at, edited };
+
+      // Held: the steps that need approval are skipped, and the run is
+      // resumed from here once it is approved
+      ctx.approval = { required: true, status, reasons, decided_by, channel: approval.slack ? approval.slack.channel : null };
+      return skipped(status === "rejected"
+        ? "rejected" + (decided_by ? ` by <@${decided_by}>` : "")
+        : "pending" + (ctx.approval.channel ? ` in <#${ctx.approval.channel}>` : ""));
+    },
+  },
+  {
+    name: "upload",
+    label: "SignNow upload",
+    needs: ["generate", "approval"],
+    critical: true,
+    async run(ctx) {
+      const { dryRun } = ctx;
+      const generated = ctx.outputs.generate;
+      const token = await signNowToken(ctx);
+
+      const docId = await snUpload(token, generated.buffer, ctx.prepared.fileName, dryRun);
+      console.log(`Uploaded to SignNow: ${docId}`);
+
+      // Page count is known up front for PDFs; ask SignNow after .docx conversion
+      let pageCount = generated.pageCount;
+      if (!pageCount) {
+        const docInfo = await snGetDocInfo(token, docId, dryRun);
+        if (dryRun) dryRun.noteLast("Page count comes from SignNow's .docx conversion; use format: \"pdf\" for an exact field layout");
+        pageCount = docInfo.page_count || (docInfo.pages ? docInfo.pages.length : 1);
+      }
+      console.log(`Document has ${pageCount} pages`);
+
+      await track(ctx, "upload", (id) => updateContract(id, {
+        artifacts: { page_count: pageCount },
+        external: { signnow_document_id: docId },
+      }));
+      return { docId, pageCount };
+    },
+    summarize: (o) => ({ document_id: o.docId, page_count: o.pageCount }),
+  },
+  {
+    name: "fields",
+    label: "Signature fields",
+    needs: ["upload"],
+    critical: true,
+    async run(ctx) {
+      const { docId, pageCount } = ctx.outputs.upload;
+      const token = await signNowToken(ctx);
+      await snAddFields(token, docId, pageCount, ctx.outputs.generate.fields, ctx.dryRun);
+      console.log("Client signature fields added");
+    },
+  },
+  {
+    name: "signing_link",
+    label: "Signing link",
+    needs: ["fields"],
+    async run(ctx) {
+      const { docId } = ctx.outputs.upload;
+      const token = await signNowToken(ctx);
+      let link;
+      let fallbackReason = null;
+      try {
+        link = await snCreateSigningLink(token, docId, ctx.body.client_email, ctx.dryRun);
+        console.log(`Signing link created: ${link}`);
+      } catch (linkErr) {
+        console.error("Signing link error (falling back to webapp URL): " + linkErr.message);
+        link = `https://app.signnow.com/webapp/document/${docId}`;
+        fallbackReason = linkErr.message;
+      }
+
+      await track(ctx, "signing_link", async (id) => {
+        await updateContract(id, { external: { signing_link: link } });
+        await setContractStatus(id, "sent", "Uploaded to SignNow, signing link created");
+      });
+      return fallbackReason ? { link, fallback: fallbackReason } : { link };
+    },
+  },
+  {
+    name: "invite",
+    label: "SignNow email invite",
+    needs: ["fields"],
+    skip: () => DISABLE_SIGNNOW_INVITE ? "email invites disabled, signing link used instead" : null,
+    async run(ctx) {
+      await snSendInvite(await signNowToken(ctx), ctx.outputs.upload.docId, ctx.body.client_email, ctx.prepared.clientName, ctx.dryRun);
+      console.log(`Email invite sent to ${ctx.prepared.clientName} (${ctx.body.client_email})`);
+    },
+  },
+  {
+    name: "events",
+    label: "SignNow event subscriptions",
+    needs: ["upload"],
+    async run(ctx) {
+      const ids = await snSubscribeEvents(await signNowToken(ctx), ctx.outputs.upload.docId,
+        baseUrl() + "/api/signnow-webhook", getConfig().signnow.webhook_secret, ctx.dryRun);
+      console.log("SignNow event subscriptions created");
+      return { subscriptions: ids.length };
+    },
+  },
+  {
+    name: "invoice",
+    label: "Stripe invoice",
+    needs: ["fields"],
+    async run(ctx) {
+      // The contract type's billing trigger decides whether the invoice is
+      // created now or stored on the contract until signature / manual billing.
+      const { type, clientName, amount } = ctx.prepared;
+      const trigger = type.billing.trigger;
+
+      // A resumed run must never bill twice (the signature webhook or a
+      // manual invoice may also have run in the meantime)
+      const current = ctx.record && await getContract(ctx.record.id);
+      if (current && (current.external.stripe_invoice_id || current.external.stripe_subscription_id || (current.billing && current.billing.invoiced_at))) {
+        return skipped("already invoiced");
+      }
+
+      const plan = billingPlan(type, ctx.body, clientName, amount);
+      const deferredNote = "Deferred until " + (trigger === "on_signature" ? "the contract is signed" : "invoiced via /api/contracts/:id/invoice") + " (billing trigger: " + trigger + ")";
+
+      // Billing on signature waits for SignNow's document_complete event:
+      // without a subscription (the events step failed) it would never come
+      let defer = trigger !== "on_send";
+      if (trigger === "on_signature" && !ctx.outputs.events) {
+        console.error("BILLING: No SignNow event subscription to bill on signature from, invoicing now instead");
+        defer = false;
+      }
+
+      if (defer && !ctx.dryRun) {
+        const stored = await track(ctx, "billing", (id) => updateContract(id, { billing: { trigger, pending: plan } }));
+        if (stored) {
+          console.log("BILLING: " + deferredNote);
+          ctx.billingDeferred = true;
+          return skipped(deferredNote);
+        }
+        console.error("BILLING: Couldn't store pending billing, invoicing now instead");
+      } else {
+        await track(ctx, "billing", (id) => updateContract(id, { billing: { trigger, pending: null } }));
+      }
+
+      const firstCall = ctx.dryRun ? ctx.dryRun.calls.length : 0;
+      // What an earlier attempt created is kept on the contract and reused
+      const stripeResult = await invoicePlan(plan, {
+        contract_id: ctx.record ? ctx.record.id : null,
+        run_id: ctx.run ? ctx.run.id : null,
+        contract_type: type.id,
+      }, ctx.dryRun, {
+        partial: current && current.billing && current.billing.partial,
+        onProgress: (partial) => track(ctx, "stripe", (id) => updateContract(id, { billing: { partial } })),
+      });
+      console.log("STRIPE: Success - Invoice URL: " + (stripeResult.invoiceUrl || "N/A") + " recurring=" + !!stripeResult.recurring);
+      if (ctx.dryRun && defer) {
+        for (const call of ctx.dryRun.calls.slice(firstCall)) call.note = deferredNote;
+      }
+
+      await track(ctx, "stripe", (id) => updateContract(id, { external: stripeExternalIds(stripeResult), billing: { partial: null } }));
+      return stripeResult;
+    },
+  },
+  {
+    name: "task",
+    label: "ClickUp task",
+    needs: ["upload"],
+    skip: (ctx) => isClickUpEnabled() || ctx.dryRun ? null : "CLICKUP_API_TOKEN not set",
+    async run(ctx) {
+      const invoice = ctx.outputs.invoice;
+      const task = await createClickUpTask(ctx.prepared.type, {
+        contract_id: ctx.record ? ctx.record.id : null,
+        client_company: ctx.body.client_company,
+        client_email: ctx.body.client_email,
+        amount: ctx.prepared.amount,
+        signnow_document_id: ctx.outputs.upload.docId,
+        signing_link: ctx.outputs.signing_link && ctx.outputs.signing_link.link,
+        invoice_url: invoice && invoice.invoiceUrl,
+      }, ctx.dryRun);
+      if (ctx.dryRun && !isClickUpEnabled()) ctx.dryRun.noteLast("Skipped live: CLICKUP_API_TOKEN not set");
+
+      await track(ctx, "clickup", (id) => updateContract(id, {
+        external: { clickup_task_id: task.id, clickup_task_url: task.url || null },
+      }));
+      return { taskId: task.id, url: task.url || null };
+    },
+  },
+  {
+    name: "notify",
+    label: "Slack notification",
+    always: true,
+    rerun: true,
+    skip: (ctx) => ctx.dryRun ? "dry run"
+      : ctx.approval ? "contract " + (ctx.approval.status === "rejected" ? "rejected" : "waiting for approval")
+      : !getConfig().slack.bot_token ? "SLACK_BOT_TOKEN not set" : null,
+    async run(ctx) {
+      const result = buildResponse(ctx, { ok: !ctx.steps.some((s) => s.critical && s.status === "failed"), steps: ctx.steps });
+      const company = ctx.body.client_company;
+      // Retries reply under the contract's original message when there is one
+      const thread = ctx.record && ctx.record.slack;
+      const post = await postMessage({
+        channel: thread ? thread.channel : undefined,
+        thread_ts: thread ? thread.ts : undefined,
+        text: (result.success ? "New contract created for " : "Contract pipeline failed for ") + company,
+        blocks: buildPipelineBlocks(result, ctx.record && await getContract(ctx.record.id)),
+      });
+      if (!post.ok) throw new Error("Slack: " + post.error);
+
+      // Remember the message so webhook updates can be threaded under it
+      if (!thread) await track(ctx, "slack", (id) => updateContract(id, { slack: { channel: post.channel, ts: post.ts } }));
+      return { channel: post.channel, ts: post.ts };
+    },
+  },
+];
+
+// Saves a run's step results and persistable outputs
+async function recordProgress(ctx, result) {
+  const run = ctx.run;
+  run.steps = ctx.steps.map((s) => ({ ...s }));
+  for (const step of CONTRACT_STEPS) {
+    if (step.persist !== false && ctx.outputs[step.name] !== undefined) run.outputs[step.name] = ctx.outputs[step.name];
+  }
+  if (ctx.progress) run.progress_message = ctx.progress;
+  if (result) {
+    run.status = !ctx.approval ? runStatus(result)
+      : ctx.approval.status === "rejected" ? "rejected" : "awaiting_approval";
+  }
+  try {
+    await saveRun(run);
+  } catch (err) {
+    console.error("RUN ERROR: couldn't save " + run.id + ": " + err.message);
+  }
+}
+
+async function execute(ctx, previous) {
+  try {
+    await updateRequester(ctx);
+    const result = await runSteps(CONTRACT_STEPS, ctx, {
+      previous,
+      onStep: async () => {
+        if (ctx.run) await recordProgress(ctx);
+        await updateRequester(ctx);
+      },
+    });
+    await updateRequester(ctx, buildResponse(ctx, result));
+    if (ctx.run) await recordProgress(ctx, result);
+    return result;
+  } finally {
+    if (ctx.runLock) await releaseRun(ctx.run.id, ctx.runLock).catch(() => {});
+  }
+}
+
+/**
+ * Runs the pipeline for a new submission. Live runs are saved (ctx.run);
+ * dry runs aren't, since there's nothing to resume.
+ */
+async function runContractPipeline(ctx) {
+  if (!ctx.dryRun) {
+    // Pin the date so a retry (or a later download) on another day renders
+    // the same contract
+    const body = { ...ctx.body, date: ctx.body.date || new Date().toISOString().split("T")[0] };
+    ctx.body = body;
+    try {
+      ctx.run = await createRun(body);
+      ctx.runLock = await claimRun(ctx.run.id);
+      // A repeat of this request resumes the run if this invocation dies
+      if (ctx.idempotencyKey) await attachRun(ctx.idempotencyKey, ctx.run.id);
+      console.log("Run started: " + ctx.run.id);
+    } catch (err) {
+      console.error("RUN ERROR: couldn't create run (continuing without retry support): " + err.message);
+    }
+  }
+  return execute(ctx, null);
+}
+
+// Why a saved run can't be resumed, as { status, error }, or null
+function refuseResume(run) {
+  if (run.status === "succeeded") return { status: 409, error: "Run " + run.id + " has nothing to retry" };
+  if (run.status === "rejected") return { status: 409, error: "Run " + run.id + " was rejected at approval" };
+  const prepared = prepareContract(run.input.body);
+  return prepared.error ? { status: 400, error: prepared.error } : null;
+}
+
+/**
+ * Resumes a saved run: steps that succeeded are reused, everything else
+ * (failed, or skipped because of a failure) runs again.
+ * Returns { ctx, result }, or { error, status } when the run can't be
+ * resumed — a 409 while another invocation is still executing it.
+ */
+async function resumeContractRun(runId) {
+  if (!(await getRun(runId))) return { status: 404, error: "Run not found: " + runId };
+  const runLock = await claimRun(runId);
+  if (!runLock) return { status: 409, error: "Run " + runId + " is already running" };
+
+  // Read under the lock: whoever held it may just have finished the run
+  const run = await getRun(runId);
+  const refused = refuseResume(run);
+  if (refused) {
+    await releaseRun(runId, runLock);
+    return refused;
+  }
+
+  const ctx = {
+    prepared: prepareContract(run.input.body),
+    body: run.input.body,
+    dryRun: null,
+    record: run.contract_id ? await getContract(run.contract_id) : null,
+    run,
+    runLock,
+    outputs: { ...run.outputs },
+    progress: run.progress_message || null,
+  };
+  run.attempts = (run.attempts || 1) + 1;
+  run.status = "running";
+  console.log("Retrying run " + run.id + " (attempt " + run.attempts + ")");
+
+  const result = await execute(ctx, run.steps);
+  return { ctx, result };
+}
+
+function stepResult(run, name) {
+  return run.steps.find((s) => s.name === name) || { status: "skipped" };
+}
+
+// Legacy `stripe` / `clickup` response fields, derived from their steps
+function integrationResult(step, output) {
+  if (step.status === "ok") return output;
+  if (step.status === "failed") return { error: step.error };
+  return { skipped: true, reason: step.reason };
+}
+
+// What a run that didn't fail did, e.g. "Contract generated, uploaded to
+// SignNow, Stripe invoice created" — only the parts that actually ran
+function summaryMessage(run, stripe, trigger) {
+  const done = ["Contract generated"];
+  if (stepResult(run, "upload").status === "ok") done.push("uploaded to SignNow");
+  if (stripe.deferred) done.push("Stripe invoice deferred (" + trigger + ")");
+  else if (!stripe.error && !stripe.skipped) done.push("Stripe invoice created");
+  return done.join(", ");
+}
+
+/**
+ * The JSON /api/generate-and-send responds with (also what the Slack
+ * summary is built from). `run` is runSteps' result.
+ */
+function buildResponse(ctx, run) {
+  const { type, format, formattedAmount, clientName, fileName, term } = ctx.prepared;
+  const out = ctx.outputs;
+  const invoiceStep = stepResult(run, "invoice");
+  const failed = run.steps.find((s) => s.critical && s.status === "failed");
+
+  const stripe = ctx.billingDeferred
+    ? { deferred: true, trigger: type.billing.trigger, reason: invoiceStep.reason }
+    : integrationResult(invoiceStep, out.invoice);
+
+  const common = {
+    success: run.ok,
+    contract_type: type.id,
+    contract_type_name: type.name,
+    format,
+    term,
+    billing_trigger: type.billing.trigger,
+    client: clientName,
+    company: ctx.body.client_company,
+    amount: formattedAmount,
+    scope: ctx.body.scope || ctx.body.deliverable || null,
+    requested_by: ctx.body.requested_by || null,
+    // Set when the contract needed approval (see the approval step)
+    approval: ctx.approval || (out.approval && out.approval.required ? out.approval : null),
+  };
+
+  if (ctx.dryRun) {
+    const generated = out.generate || {};
+    return {
+      ...common,
+      dry_run: true,
+      message: "Dry run: contract generated, nothing was sent to SignNow, Stripe or ClickUp",
+      document: {
+        file_name: fileName,
+        bytes: generated.buffer ? generated.buffer.length : 0,
+        page_count: generated.pageCount,
+        fields: generated.fields,
+      },
+      stripe: stripe.error ? stripe : undefined,
+      clickup: stepResult(run, "task").status === "failed" ? { error: stepResult(run, "task").error } : undefined,
+      steps: run.steps,
+      planned_calls: ctx.dryRun.calls,
+    };
+  }
+
+  return {
+    ...common,
+    message: failed
+      ? failed.label + " failed: " + failed.error
+      : ctx.approval
+      ? "Contract generated, " + (ctx.approval.status === "rejected" ? "rejected at approval" : "waiting for approval before it is sent")
+      : summaryMessage(run, stripe, type.billing.trigger),
+    error: failed ? failed.error : undefined,
+    failed_step: failed ? failed.name : undefined,
+    run_id: ctx.run ? ctx.run.id : null,
+    attempt: ctx.run ? ctx.run.attempts : undefined,
+    contract_id: ctx.record ? ctx.record.id : null,
+    document_id: out.upload ? out.upload.docId : null,
+    signing_link: out.signing_link ? out.signing_link.link : null,
+    stripe,
+    clickup: integrationResult(stepResult(run, "task"), out.task),
+    steps: run.steps,
+  };
+}
+
+module.exports = { CONTRACT_STEPS, runContractPipeline, resumeContractRun, buildResponse };
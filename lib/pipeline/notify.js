@@ -0,0 +1,187 @@
+/**
+ * AEO Labs — Pipeline Slack summary
+ *
+ * Builds the "New Contract Created" message from a /api/generate-and-send
+ * response: who the contract is for, then one line per pipeline step
+ * saying whether it succeeded, failed or was skipped (and why), tagging
+ * whoever submitted it. When a saved run has failed steps, a "Retry
+ * failed steps" button resumes it; a contract that was sent gets its
+ * action buttons (lib/contracts/actions.js). Both are handled by
+ * /api/slack-interact.
+ */
+
+const { CONTRACT_ACTIONS, availableActions } = require("../contracts/actions");
+
+const INTERVAL_LABELS = { day: "daily", week: "weekly", month: "monthly", year: "yearly" };
+
+const RETRY_ACTION_ID = "retry_pipeline_run";
+
+// Contract buttons: action_id is the prefix plus the action name, value the contract id
+const CONTRACT_ACTION_PREFIX = "contract_action:";
+const CONTRACT_ACTIONS_BLOCK_ID = "contract_actions";
+const CONTRACT_STATUS_BLOCK_ID = "contract_status";
+
+const STATUS_ICONS = { ok: ":white_check_mark:", failed: ":x:", skipped: ":heavy_minus_sign:" };
+
+// Steps that are bookkeeping or this message itself — not worth a line
+const QUIET_STEPS = ["record", "notify"];
+
+// Also quiet: an approval the contract didn't need
+function isQuietStep(step) {
+  if (step.name === "approval") return step.status === "ok" && !(step.output && step.output.required);
+  return QUIET_STEPS.includes(step.name);
+}
+
+// Extra detail for a successful step, e.g. the link to act on
+function stepDetail(step, result) {
+  switch (step.name) {
+    case "generate":
+      return result.format ? ` (${result.format.toUpperCase()})` : "";
+    case "signing_link":
+      return result.signing_link ? ` — <${result.signing_link}|Send to Client for Signing>` : "";
+    case "invoice": {
+      const stripe = result.stripe || {};
+      const recurring = stripe.recurring ? ` (recurring ${INTERVAL_LABELS[stripe.interval] || "monthly"})` : "";
+      // A reused company customer keeps its billing contact (lib/stripe.js)
+      const sentTo = stripe.customerMatchedBy === "company" && stripe.invoiceEmail
+        ? ` — emailed to ${stripe.invoiceEmail}, ${result.company}'s existing billing contact` : "";
+      return recurring + sentTo + (stripe.invoiceUrl ? ` — <${stripe.invoiceUrl}|View Invoice>` : "");
+    }
+    case "task":
+      return result.clickup && result.clickup.url ? ` — <${result.clickup.url}|Open Task>` : "";
+    case "approval": {
+      const approval = result.approval || {};
+      if (approval.status === "dry_run") return " needed — " + approval.reasons.join(", ");
+      return approval.decided_by ? ` — approved by <@${approval.decided_by}>${approval.edited ? " with edits" : ""}` : "";
+    }
+  }
+  return "";
+}
+
+function describeStep(step, result) {
+  const icon = STATUS_ICONS[step.status] || "";
+  if (step.status === "failed") return `${icon} *${step.label}* failed: ${step.error}`;
+  // A held contract: the reason is where its approval stands
+  if (step.name === "approval" && step.status === "skipped") return `:raised_hand: *${step.label}* ${step.reason}`;
+  if (step.status === "skipped") return `${icon} *${step.label}* skipped — ${step.reason}`;
+  return `${icon} *${step.label}*${stepDetail(step, result)}`;
+}
+
+// The buttons a contract's state allows (see availableActions)
+function contractActionsBlock(contract) {
+  return {
+    type: "actions",
+    block_id: CONTRACT_ACTIONS_BLOCK_ID,
+    elements: availableActions(contract).map((name) => {
+      const action = CONTRACT_ACTIONS[name];
+      const button = {
+        type: "button",
+        action_id: CONTRACT_ACTION_PREFIX + name,
+        text: { type: "plain_text", text: action.label, emoji: true },
+        value: contract.id
+      };
+      if (action.danger) button.style = "danger";
+      if (action.confirm) {
+        button.confirm = {
+          title: { type: "plain_text", text: action.label },
+          text: { type: "plain_text", text: action.confirm },
+          confirm: { type: "plain_text", text: "Yes" },
+          deny: { type: "plain_text", text: "No" }
+        };
+      }
+      return button;
+    })
+  };
+}
+
+/**
+ * A contract message's blocks after one of its buttons ran: the buttons
+ * are redrawn for the contract's new state and `note` (what just
+ * happened) replaces the previous note.
+ */
+function refreshContractBlocks(blocks, contract, note) {
+  const kept = (blocks || []).filter((b) => b.block_id !== CONTRACT_ACTIONS_BLOCK_ID && b.block_id !== CONTRACT_STATUS_BLOCK_ID);
+  const actions = contractActionsBlock(contract);
+  return [
+    ...kept,
+    {
+      type: "context",
+      block_id: CONTRACT_STATUS_BLOCK_ID,
+      elements: [{ type: "mrkdwn", text: `${note} · status: *${contract.status}*` }]
+    },
+    ...(actions.elements.length > 0 ? [actions] : [])
+  ];
+}
+
+// `contract` is the registry record, when there is one, for its buttons
+function buildPipelineBlocks(result, contract) {
+  const steps = (result.steps || []).filter((s) => !isQuietStep(s));
+  const retryable = result.run_id && (result.steps || []).some((s) => s.status === "failed");
+
+  const blocks = [
+    {
+      type: "header",
+      text: {
+        type: "plain_text",
+        text: result.success ? "New Contract Created" : "Contract Pipeline Failed",
+        emoji: true
+      }
+    },
+    {
+      type: "section",
+      fields: [
+        { type: "mrkdwn", text: `*Client:*\n${result.client}` },
+        { type: "mrkdwn", text: `*Company:*\n${result.company}` },
+        { type: "mrkdwn", text: `*Type:*\n${result.contract_type_name || result.contract_type}` },
+        { type: "mrkdwn", text: `*Amount:*\n$${result.amount}` }
+      ]
+    },
+    {
+      type: "divider"
+    },
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        // Slack caps section text at 3000 characters
+        text: ("*Pipeline Results:*\n" + steps.map((s) => describeStep(s, result)).join("\n")).substring(0, 3000)
+      }
+    },
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `Scope: ${result.scope || "N/A"}${result.contract_id ? ` · ${result.contract_id}` : ""}${result.attempt > 1 ? ` · attempt ${result.attempt}` : ""}`
+            + (result.requested_by ? ` · requested by <@${result.requested_by}>` : "")
+        }
+      ]
+    }
+  ];
+
+  if (contract && result.success && !result.dry_run) {
+    blocks.push(contractActionsBlock(contract));
+  }
+
+  if (retryable) {
+    blocks.push({
+      type: "actions",
+      elements: [
+        {
+          type: "button",
+          action_id: RETRY_ACTION_ID,
+          text: { type: "plain_text", text: "Retry failed steps", emoji: true },
+          value: result.run_id,
+          style: "primary"
+        }
+      ]
+    });
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  RETRY_ACTION_ID, CONTRACT_ACTION_PREFIX,
+  isQuietStep, describeStep, buildPipelineBlocks, refreshContractBlocks,
+};
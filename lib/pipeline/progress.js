@@ -0,0 +1,82 @@
+/**
+ * AEO Labs — Requester progress DM
+ *
+ * When a submission says who asked for it (body.requested_by, the Slack
+ * user id /api/slack-interact passes along), that person gets a DM as the
+ * pipeline starts, edited in place (chat.update) after every step and
+ * once more with the result. The channel summary tags them too
+ * (./notify.js).
+ *
+ * The DM's { channel, ts } is kept on ctx.progress and saved with the
+ * run, so a retry (or the run resumed after approval) keeps editing the
+ * same message; a rejection replaces it (closeRequester). Dry runs don't DM:
+ * they promise not to contact anything. A Slack failure is logged and
+ * never fails the run.
+ */
+
+const { getConfig } = require("../config");
+const { postMessage, slackAPI } = require("../slack");
+const { isQuietStep, describeStep } = require("./notify");
+
+function progressMessage(ctx, response) {
+  const { type } = ctx.prepared;
+  const company = ctx.body.client_company;
+
+  let headline;
+  if (!response) headline = `:hourglass_flowing_sand: Generating your ${type.name} contract for *${company}*...`;
+  else if (ctx.approval && ctx.approval.status === "pending") headline = `:raised_hand: Your ${type.name} contract for *${company}* is waiting for approval — it is sent to the client once approved`;
+  else if (response.success) headline = `:white_check_mark: Your ${type.name} contract for *${company}* is ready`;
+  else headline = `:x: Your ${type.name} contract for *${company}* failed`
+    + (response.run_id ? " — use *Retry failed steps* on the channel summary to resume it" : "");
+
+  const steps = (ctx.steps || []).filter((s) => !isQuietStep(s));
+  const lines = steps.map((s) => describeStep(s, response || {}));
+  const blocks = [{ type: "section", text: { type: "mrkdwn", text: headline } }];
+  // Slack caps section text at 3000 characters
+  if (lines.length > 0) blocks.push({ type: "section", text: { type: "mrkdwn", text: lines.join("\n").substring(0, 3000) } });
+
+  return { text: headline.replace(/\*/g, ""), blocks };
+}
+
+/**
+ * Posts or updates the requester's DM. `response` is the finished run's
+ * /api/generate-and-send response; leave it out while steps are running.
+ */
+async function updateRequester(ctx, response) {
+  const userId = ctx.body.requested_by;
+  if (!userId || ctx.dryRun || !getConfig().slack.bot_token) return;
+
+  const message = progressMessage(ctx, response);
+  try {
+    if (!ctx.progress) {
+      const post = await postMessage({ channel: userId, ...message });
+      if (!post.ok) throw new Error(post.error);
+      ctx.progress = { channel: post.channel, ts: post.ts };
+    } else {
+      const update = await slackAPI("chat.update", { ...ctx.progress, ...message });
+      if (!update.ok) throw new Error(update.error);
+    }
+  } catch (err) {
+    console.error("SLACK: Progress DM to " + userId + " failed: " + err.message);
+  }
+}
+
+/**
+ * Replaces the requester's DM with a last word once the run won't go on,
+ * e.g. when the contract is rejected at approval. `progress` is the
+ * run's saved progress_message; without one a new DM is posted.
+ */
+async function closeRequester(userId, progress, text) {
+  if (!userId || !getConfig().slack.bot_token) return;
+  const message = { text: text.replace(/\*/g, ""), blocks: [{ type: "section", text: { type: "mrkdwn", text } }] };
+  try {
+    const result = progress
+      ? await slackAPI("chat.update", { ...progress, ...message })
+      : await postMessage({ channel: userId, ...message });
+    if (!result.ok) throw new Error(result.error);
+  } catch (err) {
+    console.error("SLACK: Progress DM to " + userId + " failed: " + err.message);
+  }
+}
+
+module.exports = { updateRequester, closeRequester };
@@ -0,0 +1,118 @@
+/**
+ * AEO Labs — Pipeline Step Runner
+ *
+ * Runs an ordered list of named steps and reports what happened to each.
+ *
+ * A step:
+ * {
+ *   name:      "upload",                 — unique id, used in `needs` and results
+ *   label:     "Upload to SignNow",      — for humans (Slack, logs)
+ *   needs:     ["generate"],             — steps that must have succeeded first
+ *   critical:  true,                     — a failure stops every later step
+ *   always:    false,                    — run even after a critical failure
+ *                                          (e.g. notifications about it)
+ *   skip(ctx): "reason" | null,          — optional; decided just before running
+ *   run(ctx):  output,                   — may be async; return skipped("why")
+ *                                          to skip from inside the step
+ *   summarize(output): object,           — optional; what goes in the public
+ *                                          result instead of the raw output
+ *   persist:   true,                     — false when the output can't be saved
+ *                                          (buffers, tokens); see runs.js
+ *   rerun:     false,                    — run again on resume even if it
+ *                                          succeeded (cheap, side-effect free
+ *                                          steps and notifications)
+ * }
+ *
+ * Outputs are kept on ctx.outputs[name] for later steps.
+ *
+ * Options:
+ *   previous — step results of an earlier attempt. Steps that succeeded
+ *              then are reused (not run again; ctx.outputs must already
+ *              hold their outputs) unless marked rerun.
+ *   onStep(result, step) — called after each step settles, e.g. to save
+ *              progress.
+ *
+ * Result: { ok, aborted, steps: [{ name, label, status, critical, output?,
+ *           error?, reason?, duration_ms }] }
+ * status is "ok" | "failed" | "skipped"; ok is false only when a critical
+ * step failed, and aborted names that step.
+ */
+
+const SKIPPED = Symbol("skipped");
+
+// Returned from run() to mark the step skipped instead of ok
+function skipped(reason) {
+  return { [SKIPPED]: true, reason };
+}
+
+function validateSteps(steps) {
+  const seen = new Set();
+  for (const step of steps) {
+    if (seen.has(step.name)) throw new Error("Duplicate pipeline step: " + step.name);
+    for (const dep of step.needs || []) {
+      if (!seen.has(dep)) throw new Error(`Pipeline step ${step.name} needs ${dep}, which doesn't run before it`);
+    }
+    seen.add(step.name);
+  }
+}
+
+async function runSteps(steps, ctx, options = {}) {
+  validateSteps(steps);
+  ctx.outputs = ctx.outputs || {};
+
+  const results = [];
+  ctx.steps = results; // live view for steps that report on earlier ones
+  const byName = {};
+  let aborted = null;
+
+  for (const step of steps) {
+    const result = { name: step.name, label: step.label || step.name, status: "skipped", critical: !!step.critical };
+    results.push(result);
+    byName[step.name] = result;
+
+    const before = (options.previous || []).find((p) => p.name === step.name);
+    if (before && before.status === "ok" && !step.rerun) {
+      Object.assign(result, before, { reused: true });
+      continue;
+    }
+
+    if (aborted && !step.always) {
+      result.reason = `${aborted} failed`;
+      continue;
+    }
+    const unmet = (step.needs || []).find((dep) => byName[dep].status !== "ok");
+    if (unmet) {
+      result.reason = `needs ${unmet}`;
+      continue;
+    }
+    const skipReason = step.skip ? step.skip(ctx) : null;
+    if (skipReason) {
+      result.reason = skipReason;
+      continue;
+    }
+
+    const started = Date.now();
+    try {
+      const output = await step.run(ctx);
+      if (output && output[SKIPPED]) {
+        result.reason = output.reason;
+      } else {
+        result.status = "ok";
+        ctx.outputs[step.name] = output;
+        if (output !== undefined) result.output = step.summarize ? step.summarize(output) : output;
+      }
+    } catch (err) {
+      result.status = "failed";
+      result.error = err.message;
+      console.error(`STEP ${step.name} failed: ${err.message}`);
+      if (step.critical && !aborted) aborted = step.name;
+    }
+    result.duration_ms = Date.now() - started;
+    console.log(`STEP ${step.name}: ${result.status}${result.reason ? " (" + result.reason + ")" : ""}`);
+    if (options.onStep) await options.onStep(result, step);
+  }
+
+  return { ok: !aborted, aborted, steps: results };
+}
+
+module.exports = { runSteps, skipped };
@@ -0,0 +1,84 @@
+/**
+ * AEO Labs — Pipeline Runs
+ *
+ * Every live /api/generate-and-send request is a run: its input and the
+ * state of each step are saved after every step, so a run that failed
+ * part-way (or timed out) can be resumed with POST /api/runs/:id/retry
+ * instead of resubmitting the form and creating a second SignNow document.
+ *
+ * Record shape:
+ * {
+ *   id, status: "running" | "succeeded" | "partial" | "failed" | "awaiting_approval" | "rejected",
+ *   created_at, updated_at, attempts,
+ *   contract_id,
+ *   input:   { body },              — the request body, date pinned
+ *   steps:   [{ name, status, ... }] — latest result per step (see runner.js)
+ *   outputs: { step: output }       — what later steps need from earlier ones
+ *   progress_message: { channel, ts } — the requester's progress DM (./progress.js), if any
+ * }
+ *
+ * partial = every critical step succeeded but something else failed.
+ * awaiting_approval / rejected = held by the contract's approval (see
+ * lib/contracts/approval.js); an approved run is resumed like a retry.
+ *
+ * Whoever executes a run's steps holds its lock (claimRun), so a double
+ * click on "Retry" can't upload the contract to SignNow twice. A run left
+ * "running" by an invocation that died has its lock expire and can be
+ * resumed again.
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("../store");
+const { acquireLock, releaseLock } = require("../store/locks");
+
+const COLLECTION = "runs";
+// A little over the functions' maxDuration, like the job queue's claims
+const RUN_LEASE_MS = 70 * 1000;
+
+function now() {
+  return new Date().toISOString();
+}
+
+async function createRun(body) {
+  const at = now();
+  const run = {
+    id: "run_" + crypto.randomBytes(8).toString("hex"),
+    status: "running",
+    created_at: at,
+    updated_at: at,
+    attempts: 1,
+    contract_id: null,
+    input: { body },
+    steps: [],
+    outputs: {},
+    progress_message: null,
+  };
+  return getStore().put(COLLECTION, run.id, run);
+}
+
+async function getRun(id) {
+  return getStore().get(COLLECTION, id);
+}
+
+async function saveRun(run) {
+  run.updated_at = now();
+  return getStore().put(COLLECTION, run.id, run);
+}
+
+// Takes the run's lock: resolves to a token for releaseRun(), or null
+// while another invocation is executing the run
+function claimRun(id) {
+  return acquireLock("run:" + id, RUN_LEASE_MS);
+}
+
+function releaseRun(id, token) {
+  return releaseLock("run:" + id, token);
+}
+
+// Final status for a finished run from runSteps' result
+function runStatus(result) {
+  if (!result.ok) return "failed";
+  return result.steps.some((s) => s.status === "failed") ? "partial" : "succeeded";
+}
+
+module.exports = { createRun, getRun, saveRun, claimRun, releaseRun, runStatus };
@@ -0,0 +1,254 @@
+/**
+ * AEO Labs — Job Queue
+ *
+ * Durable background work. A route that must hand work off (e.g. the
+ * Slack modal, which has to answer within 3 seconds) saves a job with
+ * enqueue() and wakes the worker (/api/jobs/worker), which runs due jobs
+ * through their handler (./jobs.js). A job that throws is retried with
+ * backoff; after max_attempts it is dead-lettered — kept with its errors
+ * for inspection (GET /api/jobs?status=dead), reported to Slack, and can
+ * be put back with requeueJob().
+ *
+ * Jobs are records in the store's "jobs" collection, so STORE_ADAPTER
+ * decides where the queue lives: in-process (memory) for tests and
+ * scripts, on disk (file) for local development, or a hosted adapter.
+ *
+ * Record shape:
+ * {
+ *   id, type, label, payload,
+ *   status: "queued" | "running" | "done" | "dead",
+ *   attempts, max_attempts,
+ *   run_at,          — not run before this time (backoff)
+ *   locked_until,    — while running; a worker that died mid-job leaves it
+ *                      to expire, after which the job is due again
+ *   result, last_error, errors: [{ attempt, at, error }],
+ *   created_at, updated_at, finished_at
+ * }
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("../store");
+const { takeOverExpired } = require("../store/locks");
+const { postMessage } = require("../slack");
+const { sendSelf } = require("../self");
+const { JOB_HANDLERS } = require("./jobs");
+
+const COLLECTION = "jobs";
+const LOCKS = "job_locks";
+
+const DEFAULT_MAX_ATTEMPTS = 4;
+// Retry delays: 5s, 15s, 45s, ... — short enough that most retries land
+// within the same worker invocation
+const BACKOFF_BASE_MS = 5000;
+// How long a claim holds: a little over the functions' maxDuration
+const LEASE_MS = 70 * 1000;
+
+const STATUSES = ["queued", "running", "done", "dead"];
+
+function now() {
+  return new Date().toISOString();
+}
+
+function backoffMs(attempts) {
+  return BACKOFF_BASE_MS * Math.pow(3, attempts - 1);
+}
+
+function isDue(job, at = Date.now()) {
+  if (job.status === "queued") return Date.parse(job.run_at) <= at;
+  if (job.status === "running") return Date.parse(job.locked_until) <= at;
+  return false;
+}
+
+/**
+ * Saves a job. Pass `id` to make enqueueing idempotent: a job that
+ * already exists with that id is returned unchanged.
+ */
+async function enqueue(type, payload, { id, label, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const store = getStore();
+  const at = now();
+  const job = {
+    id: id || "job_" + crypto.randomBytes(8).toString("hex"),
+    type,
+    label: label || type,
+    payload: payload || {},
+    status: "queued",
+    attempts: 0,
+    max_attempts: maxAttempts,
+    run_at: at,
+    result: null,
+    last_error: null,
+    errors: [],
+    created_at: at,
+    updated_at: at,
+    finished_at: null,
+  };
+  const created = await store.create(COLLECTION, job.id, job);
+  if (created) return created;
+  console.log("QUEUE: Job " + job.id + " already enqueued");
+  return store.get(COLLECTION, job.id);
+}
+
+async function getJob(id) {
+  return getStore().get(COLLECTION, id);
+}
+
+async function listJobs({ status, type, limit = 50 } = {}) {
+  const jobs = await getStore().list(COLLECTION);
+  return jobs
+    .filter((j) => (!status || j.status === status) && (!type || j.type === type))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+// Puts a dead (or finished) job back in the queue with a fresh set of attempts
+async function requeueJob(id) {
+  const job = await getJob(id);
+  if (!job) return null;
+  if (job.status === "queued" || job.status === "running") return job;
+  Object.assign(job, { status: "queued", attempts: 0, run_at: now(), finished_at: null, updated_at: now() });
+  return getStore().put(COLLECTION, id, job);
+}
+
+// Takes the job's lock, or returns null if another worker holds it
+async function claimJob(id) {
+  const store = getStore();
+  const lock = { job_id: id, token: crypto.randomBytes(8).toString("hex"), expires_at: new Date(Date.now() + LEASE_MS).toISOString() };
+  if (!(await store.create(LOCKS, id, lock))) {
+    const held = await store.get(LOCKS, id);
+    if (!held) {
+      if (!(await store.create(LOCKS, id, lock))) return null;
+    } else {
+      if (Date.parse(held.expires_at) > Date.now()) return null;
+      // Left behind by a worker that died — take it over
+      if (!(await takeOverExpired(LOCKS, id, held, lock))) return null;
+    }
+  }
+
+  // Re-read under the lock: another worker may have just finished it
+  const job = await store.get(COLLECTION, id);
+  if (!job || !isDue(job)) {
+    await store.delete(LOCKS, id);
+    return null;
+  }
+  return job;
+}
+
+async function reportDeadJob(job) {
+  try {
+    await postMessage({
+      text: `:rotating_light: Background job *${job.label}* gave up after ${job.attempts} attempt${job.attempts === 1 ? "" : "s"}: ${job.last_error}\n` +
+        `Job \`${job.id}\` — see GET /api/jobs?status=dead, retry with POST /api/jobs/${job.id}/retry`,
+    });
+  } catch (e) {
+    console.log("QUEUE: Failed to report dead job:", e.message);
+  }
+}
+
+async function runJob(job, handlers) {
+  const store = getStore();
+  const handler = handlers[job.type];
+
+  job.status = "running";
+  job.attempts += 1;
+  job.locked_until = new Date(Date.now() + LEASE_MS).toISOString();
+  job.updated_at = now();
+  await store.put(COLLECTION, job.id, job);
+  console.log(`QUEUE: Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  try {
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+    const result = await handler(job.payload, job);
+    job.status = "done";
+    job.result = result === undefined ? null : result;
+    job.last_error = null;
+    job.finished_at = now();
+  } catch (err) {
+    job.last_error = err.message;
+    job.errors.push({ attempt: job.attempts, at: now(), error: err.message });
+    if (!handler || job.attempts >= job.max_attempts) {
+      job.status = "dead";
+      job.finished_at = now();
+      console.error(`QUEUE: Job ${job.id} dead-lettered: ${err.message}`);
+    } else {
+      job.status = "queued";
+      job.run_at = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+      console.log(`QUEUE: Job ${job.id} failed (${err.message}), retrying at ${job.run_at}`);
+    }
+  }
+
+  delete job.locked_until;
+  job.updated_at = now();
+  await store.put(COLLECTION, job.id, job);
+  await store.delete(LOCKS, job.id);
+  if (job.status === "dead") await reportDeadJob(job);
+  return job;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// When a queued or running job is next due (ms), or Infinity
+function nextDueAt(job) {
+  return Date.parse(job.status === "running" ? job.locked_until : job.run_at);
+}
+
+/**
+ * Runs due jobs one at a time, oldest first. New jobs are only started
+ * within `budgetMs` — a started job runs to the end — and when the next
+ * retry falls inside the budget the worker waits for it.
+ *
+ * Returns { processed: [{ id, type, status, attempts, error }], pending,
+ * next_run_at, next_queued_at } — pending counts jobs still queued or
+ * running, next_run_at is when the earliest of them is due and
+ * next_queued_at the earliest queued one, i.e. not counting jobs another
+ * worker is running (null if none).
+ */
+async function processJobs({ handlers = JOB_HANDLERS, budgetMs = 10000, limit = 10 } = {}) {
+  const started = Date.now();
+  const processed = [];
+  let queued;
+
+  for (;;) {
+    queued = (await getStore().list(COLLECTION))
+      .filter((j) => j.status === "queued" || j.status === "running")
+      .sort((a, b) => nextDueAt(a) - nextDueAt(b));
+    const remaining = budgetMs - (Date.now() - started);
+    if (processed.length >= limit || remaining <= 0 || queued.length === 0) break;
+
+    const due = queued.filter((j) => isDue(j));
+    if (due.length === 0) {
+      const wait = nextDueAt(queued[0]) - Date.now();
+      if (wait > remaining) break;
+      await sleep(Math.max(wait, 0) + 50);
+      continue;
+    }
+
+    let ran = false;
+    for (const candidate of due) {
+      const job = await claimJob(candidate.id);
+      if (!job) continue;
+      const done = await runJob(job, handlers);
+      processed.push({ id: done.id, type: done.type, status: done.status, attempts: done.attempts, error: done.last_error });
+      ran = true;
+      break;
+    }
+    // Everything due is held by other workers
+    if (!ran) break;
+  }
+
+  const nextQueued = queued.find((j) => j.status === "queued");
+  return {
+    processed,
+    pending: queued.length,
+    next_run_at: queued.length ? new Date(nextDueAt(queued[0])).toISOString() : null,
+    next_queued_at: nextQueued ? nextQueued.run_at : null,
+  };
+}
+
+// Nudges /api/jobs/worker to run now. Losing the nudge only delays the
+// job until the worker's next run, so this never fails; sendSelf logs a
+// wake-up the worker turns away.
+function wakeWorker() {
+  return sendSelf("/api/jobs/worker", {});
+}
+
+module.exports = { STATUSES, enqueue, getJob, listJobs, requeueJob, processJobs, wakeWorker };
@@ -0,0 +1,68 @@
+/**
+ * AEO Labs — Job handlers
+ *
+ * One handler per job type: handler(payload, job) → result. Throwing
+ * makes the queue retry the job (see ./index.js), so a handler should
+ * only throw when running it again could help.
+ *
+ * Every handler hands the work to a route in its own function invocation,
+ * so a slow pipeline doesn't eat into the worker's time. A route that
+ * answered with JSON handled the request (even if the contract itself
+ * failed — that is reported in Slack); no answer, a timeout or a 5xx
+ * without JSON means it never ran or died, so the job is retried. Retrying
+ * is safe: /api/slack-contract passes the submission's Idempotency-Key to
+ * the pipeline, and /api/runs/:id/retry reuses the steps that succeeded.
+ * /api/contracts/:id/actions and /api/contracts/:id/approval answer JSON
+ * even when they fail part way, so they are only run again if the route
+ * never ran.
+ */
+
+const { callSelf } = require("../self");
+
+// Leaves room within the worker's own maxDuration
+const ROUTE_TIMEOUT_MS = 45000;
+
+async function callRoute(path, body, job) {
+  const response = await callSelf(path, body, {
+    timeoutMs: ROUTE_TIMEOUT_MS,
+    headers: { "X-Job-Id": job.id, "X-Job-Attempt": String(job.attempts) },
+  });
+  if (response.status >= 500 && (!response.data || response.data.retryable)) {
+    throw new Error(`${path} responded ${response.status}: ` +
+      ((response.data && response.data.error) || response.raw || "no body").substring(0, 300));
+  }
+  return { status: response.status, data: response.data || null };
+}
+
+const JOB_HANDLERS = {
+  // A /new-contract modal submission: payload is the form data
+  // /api/slack-contract expects
+  async slack_contract(payload, job) {
+    const { status, data } = await callRoute("/api/slack-contract", payload, job);
+    return { status, success: !!(data && data.success), contract_id: (data && data.contract_id) || null, run_id: (data && data.run_id) || null };
+  },
+
+  // The "Retry failed steps" button: payload is { run_id }
+  async retry_run(payload, job) {
+    const { status, data } = await callRoute("/api/runs/" + payload.run_id + "/retry", {}, job);
+    return { status, success: !!(data && data.success) };
+  },
+
+  // A button on a contract's Slack summary: payload is the body
+  // /api/contracts/:id/actions expects, plus contract_id
+  async contract_action(payload, job) {
+    const { contract_id: contractId, ...body } = payload;
+    const { status, data } = await callRoute("/api/contracts/" + contractId + "/actions", body, job);
+    return { status, success: !!(data && data.success), contract_id: contractId, action: body.action };
+  },
+
+  // An approver's decision: payload is the body /api/contracts/:id/approval
+  // expects, plus contract_id
+  async contract_approval(payload, job) {
+    const { contract_id: contractId, ...body } = payload;
+    const { status, data } = await callRoute("/api/contracts/" + contractId + "/approval", body, job);
+    return { status, success: !!(data && data.success), contract_id: contractId, decision: body.decision };
+  },
+};
+
+module.exports = { JOB_HANDLERS };
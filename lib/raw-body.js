@@ -0,0 +1,27 @@
+/**
+ * Reads the raw request body as a Buffer. Webhook signatures are
+ * computed over the exact bytes that were sent, so handlers that verify
+ * them must use this rather than the parsed req.body.
+ *
+ * Falls back to re-serializing req.body when the stream has already
+ * been consumed (e.g. in tests that pass a plain object).
+ */
+function readRawBody(req) {
+  if (req.rawBody !== undefined) return Promise.resolve(Buffer.from(req.rawBody));
+
+  if (typeof req.on !== "function" || req.readable === false) {
+    const body = req.body;
+    if (Buffer.isBuffer(body)) return Promise.resolve(body);
+    if (typeof body === "string") return Promise.resolve(Buffer.from(body));
+    return Promise.resolve(Buffer.from(body === undefined ? "" : JSON.stringify(body)));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+module.exports = { readRawBody };
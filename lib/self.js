@@ -0,0 +1,166 @@
+/**
+ * AEO Labs — Calls to our own routes
+ *
+ * Long-running work runs in its own function invocation (and its own
+ * maxDuration): the job worker, the Slack bridge and the main pipeline
+ * call each other over HTTP. They all go to baseUrl():
+ *
+ *   PUBLIC_BASE_URL                — e.g. https://contracts.example.com
+ *   VERCEL_PROJECT_PRODUCTION_URL  — set by Vercel, used when the above isn't
+ *   http://localhost:3000          — `vercel dev`
+ *
+ * Requests carry `Authorization: Bearer <API_KEY>` when API_KEY is set,
+ * and are signed with INTERNAL_SIGNING_SECRET when that is set:
+ *
+ *   X-Internal-Timestamp: <unix seconds>
+ *   X-Internal-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Routes that only we should call check it with verifySelfSignature().
+ * All of these settings come from lib/config.js.
+ *
+ * signedLink() makes a link to one of our GET routes that works without
+ * the API key until it expires (e.g. a contract download offered in
+ * Slack); the route checks it with verifySignedLink().
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { getConfig } = require("./config");
+
+function baseUrl() {
+  const { app } = getConfig();
+  if (app.public_base_url) return app.public_base_url;
+  if (app.vercel_production_url) return "https://" + app.vercel_production_url;
+  return "http://localhost:3000";
+}
+
+const signingSecret = () => getConfig().app.internal_signing_secret;
+
+// Same replay window as the Slack and Stripe signatures
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+function selfSignature(secret, timestamp, rawBody) {
+  return crypto.createHmac("sha256", secret).update(timestamp + ".").update(rawBody).digest();
+}
+
+function signSelfRequest(bodyStr, secret = signingSecret()) {
+  if (!secret) return {};
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return {
+    "X-Internal-Timestamp": timestamp,
+    "X-Internal-Signature": "v1=" + selfSignature(secret, timestamp, bodyStr).toString("hex"),
+  };
+}
+
+function verifySelfSignature(rawBody, timestamp, signature, secret, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  if (!timestamp || !signature || !secret) return false;
+  const ts = parseInt(timestamp, 10);
+  if (!ts || Math.abs(Math.floor(Date.now() / 1000) - ts) > toleranceSeconds) return false;
+
+  const [version, hex] = String(signature).split("=");
+  if (version !== "v1" || !hex) return false;
+  const expected = selfSignature(secret, ts, rawBody);
+  const given = Buffer.from(hex, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function openRequest(path, body, headers, onResponse) {
+  const url = new URL(path, baseUrl());
+  const bodyStr = JSON.stringify(body || {});
+  const options = {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(bodyStr),
+      ...signSelfRequest(bodyStr),
+      ...headers
+    }
+  };
+  const apiKey = getConfig().app.api_key;
+  if (apiKey) options.headers["Authorization"] = "Bearer " + apiKey;
+
+  const req = (url.protocol === "http:" ? http : https).request(url, options, onResponse);
+  return { req, bodyStr };
+}
+
+/**
+ * POSTs JSON to one of our routes and waits for the response.
+ * Resolves to { status, data } (or { status, raw } for a non-JSON body);
+ * rejects on network errors and after `timeoutMs`.
+ */
+function callSelf(path, body, { headers = {}, timeoutMs = 55000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const { req, bodyStr } = openRequest(path, body, headers, (res) => {
+      let data = "";
+      res.on("data", (chunk) => data += chunk);
+      res.on("end", () => {
+        try { resolve({ status: res.statusCode, data: JSON.parse(data) }); }
+        catch(e) { resolve({ status: res.statusCode, raw: data.substring(0, 1000) }); }
+      });
+    });
+    req.setTimeout(timeoutMs, () => req.destroy(new Error(`${path} timed out after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.write(bodyStr);
+    req.end();
+  });
+}
+
+/**
+ * POSTs JSON to one of our routes without waiting for the response: resolves
+ * once the request has been handed to the network (or has failed). Never
+ * rejects — only use it for nudges whose loss is recoverable, e.g. waking
+ * the job worker for a job that is already saved. A route that turns the
+ * request away (4xx/5xx) is logged if its answer comes back in time.
+ */
+function sendSelf(path, body, { headers = {} } = {}) {
+  return new Promise((resolve) => {
+    let opened;
+    try {
+      opened = openRequest(path, body, headers, (res) => {
+        // Arrives after we've resolved, if the instance lives that long
+        if (res.statusCode >= 400) console.error(`SELF: ${path} answered ${res.statusCode}`);
+        res.resume();
+      });
+    } catch (err) {
+      // e.g. a ConfigError: there's nowhere valid to send it
+      console.log("SELF: " + path + " request failed (non-fatal):", err.message);
+      return resolve(false);
+    }
+    const { req, bodyStr } = opened;
+    req.on("error", (err) => {
+      console.log("SELF: " + path + " request failed (non-fatal):", err.message);
+      resolve(false);
+    });
+    req.on("finish", () => resolve(true));
+    req.end(bodyStr);
+  });
+}
+
+// ==================== SIGNED LINKS ====================
+
+// Signs the path, its query params (sorted) and the expiry together
+function linkSignature(secret, pathname, params, expires) {
+  const query = Object.keys(params).sort().map((key) => key + "=" + params[key]).join("&");
+  return crypto.createHmac("sha256", secret).update(`${pathname}?${query}:${expires}`).digest();
+}
+
+/**
+ * A link to `pathname` with `params` that verifySignedLink() accepts for
+ * `ttlSeconds`. Null while INTERNAL_SIGNING_SECRET isn't set.
+ */
+function signedLink(pathname, params, ttlSeconds, secret = signingSecret()) {
+  if (!secret) return null;
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = linkSignature(secret, pathname, params, expires).toString("hex");
+  return baseUrl() + pathname + "?" + new URLSearchParams({ ...params, expires, signature }).toString();
+}
+
+function verifySignedLink(pathname, params, expires, signature, secret = signingSecret()) {
+  if (!secret || !signature || !(parseInt(expires, 10) > Date.now() / 1000)) return false;
+  const expected = linkSignature(secret, pathname, params, parseInt(expires, 10));
+  const given = Buffer.from(String(signature), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { baseUrl, callSelf, sendSelf, signSelfRequest, verifySelfSignature, signedLink, verifySignedLink };
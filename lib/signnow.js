@@ -0,0 +1,401 @@
+/**
+ * AEO Labs — SignNow API helpers
+ *
+ * Shared by the contract pipeline (/api/generate-and-send), the
+ * SignNow webhook receiver (/api/signnow-webhook), the contract
+ * actions (lib/contracts/actions.js) and /api/cleanup.
+ *
+ * Get a token with snAuthenticate() — it is cached and renewed for you
+ * (see AUTH below) — and pass it to the helpers; a request that gets a 401
+ * is retried once with a renewed token.
+ *
+ * Every helper takes an optional trailing `dryRun` recorder (see
+ * lib/dry-run.js); when given, calls are recorded instead of sent.
+ */
+
+const crypto = require("crypto");
+const { getConfig } = require("./config");
+const { request } = require("./http");
+
+const SN_BASE          = "https://api.signnow.com";
+const JEFF_EMAIL       = "Jeff@aeolabs.ai";
+const TYPEFORM_URL     = "https://form.typeform.com/to/pJ1KyOAF";
+
+// ==================== HELPERS ====================
+
+// Sends one request through lib/http.js; resolves to { status, body } with
+// body parsed as JSON (or the raw Buffer when `binary`). Error statuses are
+// resolved for the caller to check; timeouts, network errors and 2xx
+// bodies that aren't JSON throw an HttpError.
+async function snSend(method, urlPath, headers, payload, binary) {
+  const res = await request({
+    service: "signnow",
+    method,
+    url: SN_BASE + urlPath,
+    headers,
+    body: payload,
+    responseType: binary ? "buffer" : "json",
+    throwHttpErrors: false,
+  });
+  if (binary && res.status >= 400) {
+    const text = res.body.toString("utf8");
+    try { return { status: res.status, body: JSON.parse(text) }; }
+    catch { return { status: res.status, body: text }; }
+  }
+  return { status: res.status, body: res.body === null ? {} : res.body };
+}
+
+// A 401 on a Bearer request means the token was revoked or expired early:
+// renew it and try once more
+async function snSendWithRetry(method, urlPath, headers, payload, binary) {
+  const res = await snSend(method, urlPath, headers, payload, binary);
+  const auth = headers && headers.Authorization;
+  if (res.status !== 401 || !auth || !auth.startsWith("Bearer ")) return res;
+
+  console.log(`SignNow: ${method} ${urlPath} got 401, retrying with a renewed token`);
+  const token = await renewToken(auth.slice("Bearer ".length));
+  return snSend(method, urlPath, { ...headers, Authorization: `Bearer ${token}` }, payload, binary);
+}
+
+// dryRun (optional): recorder from lib/dry-run.js — records the call instead of sending it
+function snRequest(method, urlPath, headers, body, dryRun) {
+  if (dryRun) return Promise.resolve({ status: 200, body: dryRun.record("signnow", method, urlPath, body) });
+  return snSendWithRetry(method, urlPath, headers, body);
+}
+
+function snMultipart(urlPath, token, fileBuffer, fileName, dryRun) {
+  const mimeType = fileName.endsWith(".docx")
+    ? "application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+    : "application/pdf";
+  if (dryRun) {
+    const upload = { fileName, mimeType, bytes: fileBuffer.length };
+    return Promise.resolve({ status: 200, body: dryRun.record("signnow", "POST", urlPath, upload) });
+  }
+
+  const boundary = "----AEOBoundary" + Date.now();
+  const head = Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: ${mimeType}\r\n\r\n`
+  );
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  const payload = Buffer.concat([head, fileBuffer, tail]);
+
+  return snSendWithRetry("POST", urlPath, {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": `multipart/form-data; boundary=${boundary}`,
+    "Content-Length": payload.length,
+  }, payload);
+}
+
+// ==================== AUTH ====================
+
+/**
+ * Access tokens are cached per warm instance and shared by every caller
+ * (pipeline, webhooks, contract actions, cleanup), so most requests skip the login. Shortly
+ * before a token expires it is renewed with its refresh token, falling
+ * back to a fresh password login when that fails.
+ */
+const TOKEN_RENEW_MARGIN_MS = 5 * 60 * 1000;
+// SignNow normally says how long a token lives; assume an hour if it doesn't
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+let tokenCache = null;    // { accessToken, refreshToken, expiresAt }
+let tokenRequest = null;  // in-flight login/refresh, shared by concurrent callers
+
+// Dry runs only record the token request, so they don't need (or show)
+// the real credentials
+const DRY_RUN_CREDENTIALS = {
+  client_id: "<SIGNNOW_CLIENT_ID>", client_secret: "<SIGNNOW_CLIENT_SECRET>",
+  email: "<SIGNNOW_EMAIL>", password: "<SIGNNOW_PASSWORD>",
+};
+
+async function tokenGrant(creds, params, dryRun) {
+  const payload = new URLSearchParams(params).toString();
+  const auth = Buffer.from(`${creds.client_id}:${creds.client_secret}`).toString("base64");
+  const headers = {
+    Authorization: `Basic ${auth}`,
+    "Content-Type": "application/x-www-form-urlencoded",
+    "Content-Length": Buffer.byteLength(payload),
+  };
+  const res = dryRun
+    ? { status: 200, body: dryRun.record("signnow", "POST", "/oauth2/token", payload) }
+    : await snSend("POST", "/oauth2/token", headers, payload);
+  if (!res.body || !res.body.access_token) throw new Error(`SignNow ${params.grant_type} grant failed: ` + JSON.stringify(res.body));
+  return res.body;
+}
+
+async function fetchToken() {
+  const creds = getConfig().signnow;
+  let grant = null;
+  if (tokenCache && tokenCache.refreshToken) {
+    try {
+      grant = await tokenGrant(creds, { grant_type: "refresh_token", refresh_token: tokenCache.refreshToken });
+      console.log("SignNow token refreshed");
+    } catch (err) {
+      console.log("SignNow token refresh failed, logging in again: " + err.message);
+    }
+  }
+  if (!grant) {
+    grant = await tokenGrant(creds, { username: creds.email, password: creds.password, grant_type: "password", scope: "*" });
+  }
+
+  tokenCache = {
+    accessToken: grant.access_token,
+    refreshToken: grant.refresh_token || null,
+    expiresAt: Date.now() + (Number(grant.expires_in) || DEFAULT_TOKEN_TTL_SECONDS) * 1000,
+  };
+  return tokenCache.accessToken;
+}
+
+async function snAuthenticate(dryRun) {
+  if (dryRun) {
+    const creds = DRY_RUN_CREDENTIALS;
+    const grant = await tokenGrant(creds, { username: creds.email, password: creds.password, grant_type: "password", scope: "*" }, dryRun);
+    return grant.access_token;
+  }
+
+  if (tokenCache && Date.now() < tokenCache.expiresAt - TOKEN_RENEW_MARGIN_MS) return tokenCache.accessToken;
+  if (!tokenRequest) {
+    tokenRequest = fetchToken().finally(() => { tokenRequest = null; });
+  }
+  return tokenRequest;
+}
+
+// After a 401: renew unless another caller already replaced the stale token
+async function renewToken(staleToken) {
+  if (tokenCache && tokenCache.accessToken === staleToken) tokenCache.expiresAt = 0;
+  return snAuthenticate();
+}
+
+// Forgets the cached token (tests, or after rotating credentials)
+function clearTokenCache() {
+  tokenCache = null;
+}
+
+// ==================== DOCUMENTS ====================
+
+async function snUpload(token, buffer, fileName, dryRun) {
+  const res = await snMultipart("/document", token, buffer, fileName, dryRun);
+  if (!res.body.id) throw new Error("SignNow upload failed: " + JSON.stringify(res.body));
+  return res.body.id;
+}
+
+async function snGetDocInfo(token, docId, dryRun) {
+  const res = await snRequest("GET", `/document/${docId}`, {
+    Authorization: `Bearer ${token}`,
+  }, undefined, dryRun);
+  return res.body;
+}
+
+// layout: { signature, date } positions recorded by the PDF renderer; without it
+// (.docx uploads) we estimate where the client signature page's lines landed.
+async function snAddFields(token, docId, pageCount, layout, dryRun) {
+  const lastPage = pageCount - 1;
+  const today = new Date();
+  const dateStr = today.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+
+  // Client signature page — signature at ~middle, date at ~4/5 down the page
+  const signature = layout ? layout.signature : { x: 55, y: 450, width: 300, height: 60, page: lastPage };
+  const date = layout ? layout.date : { x: 55, y: 620, width: 250, height: 30, page: lastPage };
+
+  const payload = JSON.stringify({
+    fields: [
+      {
+        x: Math.round(signature.x), y: Math.round(signature.y),
+        width: Math.round(signature.width), height: Math.round(signature.height),
+        type: "signature", page_number: signature.page,
+        required: true, role: "Client", label: "Signature",
+      },
+      {
+        x: Math.round(date.x), y: Math.round(date.y),
+        width: Math.round(date.width), height: Math.round(date.height),
+        type: "text", page_number: date.page,
+        required: true, role: "Client", label: "Date",
+        prefilled_text: dateStr,
+      },
+    ],
+  });
+
+  const res = await snRequest("PUT", `/document/${docId}`, {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(payload),
+  }, payload, dryRun);
+
+  if (res.body.errors) throw new Error("SignNow field error: " + JSON.stringify(res.body));
+  return res;
+}
+
+async function snCreateSigningLink(token, docId, signerEmail, dryRun) {
+  // Step 1: Get document to find the "Client" role unique_id
+  const docInfo = await snRequest("GET", `/document/${docId}`, {
+    Authorization: `Bearer ${token}`,
+  }, undefined, dryRun);
+  const roles = docInfo.body.roles || [];
+  const clientRole = roles.find(r => r.name === "Client");
+  if (!clientRole) throw new Error("No 'Client' role found on document. Roles: " + JSON.stringify(roles.map(r => r.name)));
+
+  // Step 2: Create embedded invite
+  const invitePayload = JSON.stringify({
+    invites: [{
+      email: signerEmail,
+      role_id: clientRole.unique_id,
+      order: 1,
+      auth_method: "none",
+    }],
+  });
+
+  const inviteRes = await snRequest("POST", `/v2/documents/${docId}/embedded-invites`, {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(invitePayload),
+  }, invitePayload, dryRun);
+
+  if (inviteRes.status >= 400 || !inviteRes.body || !inviteRes.body.data) {
+    throw new Error("Embedded invite creation failed: " + JSON.stringify(inviteRes.body));
+  }
+
+  // The response has { data: [ { id, email, role_id, status, ... } ] }
+  const inviteData = inviteRes.body.data;
+  const fieldInvite = Array.isArray(inviteData) ? inviteData[0] : inviteData;
+  const fieldInviteId = fieldInvite.id;
+  if (!fieldInviteId) throw new Error("No invite ID in response: " + JSON.stringify(inviteRes.body));
+
+  // Step 3: Generate signing link (expires in 45 days)
+  const linkPayload = JSON.stringify({
+    link_expiration: 45,
+    auth_method: "none",
+  });
+
+  const linkRes = await snRequest("POST", `/v2/documents/${docId}/embedded-invites/${fieldInviteId}/link`, {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(linkPayload),
+  }, linkPayload, dryRun);
+
+  if (dryRun) return null; // no link exists until the invite is really created
+  if (linkRes.status >= 400 || !linkRes.body || !linkRes.body.data || !linkRes.body.data.link) {
+    throw new Error("Signing link generation failed: " + JSON.stringify(linkRes.body));
+  }
+
+  return linkRes.body.data.link;
+}
+
+// Cancels the document's embedded invites, so their signing links stop working
+async function snCancelInvites(token, docId, dryRun) {
+  const res = await snRequest("DELETE", `/v2/documents/${docId}/embedded-invites`, {
+    Authorization: `Bearer ${token}`,
+  }, undefined, dryRun);
+  if (res.status >= 400) throw new Error("SignNow invite cancellation failed: " + JSON.stringify(res.body));
+  return res;
+}
+
+async function snSendInvite(token, docId, signerEmail, signerName, dryRun) {
+  const payload = JSON.stringify({
+    to: [{
+      email: signerEmail,
+      role: "Client",
+      role_id: "",
+      order: 1,
+      reassign: "0",
+      decline_by_signature: "0",
+      reminder: 3,
+      expiration_days: 30,
+      subject: "AEO Labs \u2014 Contract Ready for Your Signature",
+      message: `Hi ${signerName}, your contract with AEO Labs is ready for signature. Please review and sign at your convenience.`,
+      redirect_uri: TYPEFORM_URL,
+    }],
+    from: JEFF_EMAIL,
+    subject: "AEO Labs \u2014 Contract for Signature",
+    message: "Please review and sign the attached contract.",
+  });
+
+  const res = await snRequest("POST", `/document/${docId}/invite`, {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(payload),
+  }, payload, dryRun);
+
+  if (res.body.errors) throw new Error("SignNow invite error: " + JSON.stringify(res.body));
+  return res;
+}
+
+// ==================== EVENTS & DOWNLOADS ====================
+
+// Document events we track, mapped to what they mean for the contract
+const SIGNNOW_EVENTS = {
+  "document.open": "viewed",
+  "document.complete": "signed",
+  "document.fieldinvite.decline": "declined",
+  "document.fieldinvite.expired": "expired",
+};
+
+/**
+ * Subscribes `callbackUrl` to the tracked events for one document.
+ * SignNow signs each delivery with `secretKey` (X-SignNow-Signature).
+ * Returns the created subscription ids.
+ */
+async function snSubscribeEvents(token, docId, callbackUrl, secretKey, dryRun) {
+  const ids = [];
+  for (const event of Object.keys(SIGNNOW_EVENTS)) {
+    const payload = JSON.stringify({
+      event,
+      entity_id: docId,
+      action: "callback",
+      attributes: {
+        callback: callbackUrl,
+        use_tls_12: true,
+        secret_key: secretKey,
+        include_metadata: true,
+      },
+    });
+
+    const res = await snRequest("POST", "/api/v2/events", {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+    }, payload, dryRun);
+
+    if (res.status >= 400) throw new Error(`SignNow event subscription (${event}) failed: ` + JSON.stringify(res.body));
+    ids.push(res.body && res.body.id);
+  }
+  return ids;
+}
+
+/**
+ * Checks X-SignNow-Signature: base64 HMAC-SHA256 of the raw body,
+ * keyed with the secret_key given when subscribing.
+ */
+function verifySignNowSignature(rawBody, signature, secretKey) {
+  if (!signature || !secretKey) return false;
+  const expected = crypto.createHmac("sha256", secretKey).update(rawBody).digest();
+  let given;
+  try { given = Buffer.from(String(signature), "base64"); } catch { return false; }
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Downloads the flattened (signed) PDF of a document
+async function snDownloadDocument(token, docId) {
+  const res = await snSendWithRetry("GET", `/document/${docId}/download?type=collapsed`, {
+    Authorization: `Bearer ${token}`,
+  }, undefined, true);
+  if (res.status >= 400) {
+    throw new Error(`SignNow download failed (${res.status}): ` + String(typeof res.body === "string" ? res.body : JSON.stringify(res.body)).substring(0, 300));
+  }
+  return res.body;
+}
+
+module.exports = {
+  SIGNNOW_EVENTS,
+  snRequest,
+  snAuthenticate,
+  clearTokenCache,
+  snUpload,
+  snGetDocInfo,
+  snAddFields,
+  snCreateSigningLink,
+  snCancelInvites,
+  snSendInvite,
+  snSubscribeEvents,
+  snDownloadDocument,
+  verifySignNowSignature,
+};
@@ -0,0 +1,91 @@
+/**
+ * AEO Labs — Slack Web API helper for routes outside the Slack
+ * handlers (webhooks, pipeline notifications), and the request
+ * signature check for the Slack handlers (see lib/verify-request.js).
+ */
+
+const crypto = require("crypto");
+const { getConfig } = require("./config");
+const { request } = require("./http");
+
+/**
+ * Calls a Web API method. Resolves to Slack's response body — check `ok`,
+ * Slack reports most failures as 200s — and throws an HttpError (lib/http.js)
+ * when the call itself fails. Rate limits (429) are retried; `options`
+ * (timeoutMs, retries) go to the client.
+ */
+async function slackAPI(method, body, token, options = {}) {
+  const res = await request({
+    service: "slack",
+    method: "POST",
+    url: "https://slack.com/api/" + method,
+    headers: {
+      "Authorization": "Bearer " + (token || getConfig().slack.bot_token),
+      "Content-Type": "application/json; charset=utf-8"
+    },
+    body,
+    ...options,
+  });
+  return res.body;
+}
+
+/**
+ * Posts a message; pass `thread_ts` to reply in a thread.
+ * Resolves to Slack's response ({ ok, channel, ts, ... }).
+ */
+async function postMessage({ channel, text, blocks, thread_ts }) {
+  const slack = getConfig().slack;
+  if (!slack.bot_token) {
+    console.log("SLACK: No SLACK_BOT_TOKEN set, skipping message: " + text);
+    return { ok: false, error: "not_configured" };
+  }
+  const body = { channel: channel || slack.channel_id, text };
+  if (blocks) body.blocks = blocks;
+  if (thread_ts) body.thread_ts = thread_ts;
+  return slackAPI("chat.postMessage", body);
+}
+
+/**
+ * Posts a status update for a contract as a reply under its
+ * "New Contract Created" message (contract.slack), or to the channel
+ * when that message isn't known. Never throws.
+ */
+async function postContractUpdate(contract, text) {
+  const company = (contract.inputs && contract.inputs.client_company) || contract.id;
+  const thread = contract.slack || {};
+  try {
+    return await postMessage({
+      channel: thread.channel,
+      thread_ts: thread.ts,
+      text: text + " — " + company,
+    });
+  } catch (e) {
+    console.log("SLACK: Contract update failed:", e.message);
+    return { ok: false, error: e.message };
+  }
+}
+
+// How old a signed Slack request may be before it counts as a replay
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * Checks X-Slack-Signature ("v0=" + hex HMAC-SHA256 of
+ * "v0:<X-Slack-Request-Timestamp>:<raw body>", keyed with the app's
+ * signing secret) and that the timestamp is within the replay window.
+ */
+function verifySlackSignature(rawBody, timestamp, signature, secret, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  if (!timestamp || !signature || !secret) return false;
+  const ts = parseInt(timestamp, 10);
+  if (!ts || Math.abs(Math.floor(Date.now() / 1000) - ts) > toleranceSeconds) return false;
+
+  const [version, hex] = String(signature).split("=");
+  if (version !== "v0" || !hex) return false;
+  const expected = crypto.createHmac("sha256", secret)
+    .update(`v0:${ts}:`)
+    .update(rawBody)
+    .digest();
+  const given = Buffer.from(hex, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { SIGNATURE_TOLERANCE_SECONDS, slackAPI, postMessage, postContractUpdate, verifySlackSignature };
@@ -0,0 +1,96 @@
+/**
+ * File store adapter — one JSON file per record:
+ *   <dir>/<collection>/<id>.json
+ *
+ * Writes go to a temp file first and are renamed into place, so a
+ * reader never sees a half-written record. On Vercel only the tmp
+ * directory is writable and each function has its own, so this adapter
+ * is meant for local development and single-host deployments — use the
+ * kv adapter there.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SAFE_NAME = /^[A-Za-z0-9_.:-]+$/;
+
+function createFileStore(dir) {
+  const root = dir || path.join(os.tmpdir(), "aeo-contract-api");
+
+  function filePath(collection, id) {
+    if (!SAFE_NAME.test(collection) || !SAFE_NAME.test(id) || id.startsWith(".")) {
+      throw new Error(`Invalid store key ${collection}/${id}`);
+    }
+    return path.join(root, collection, id + ".json");
+  }
+
+  async function readJSON(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  return {
+    async get(collection, id) {
+      return readJSON(filePath(collection, id));
+    },
+
+    async put(collection, id, record) {
+      const file = filePath(collection, id);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2));
+      await fs.promises.rename(tmp, file);
+      return record;
+    },
+
+    // Hard-links the fully written temp file into place: link() fails
+    // with EEXIST instead of replacing, so only one creator wins.
+    async create(collection, id, record) {
+      const file = filePath(collection, id);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(record, null, 2));
+      try {
+        await fs.promises.link(tmp, file);
+        return record;
+      } catch (err) {
+        if (err.code === "EEXIST") return null;
+        throw err;
+      } finally {
+        await fs.promises.unlink(tmp).catch(() => {});
+      }
+    },
+
+    async delete(collection, id) {
+      try {
+        await fs.promises.unlink(filePath(collection, id));
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+
+    async list(collection) {
+      if (!SAFE_NAME.test(collection)) throw new Error(`Invalid collection ${collection}`);
+      let names;
+      try {
+        names = await fs.promises.readdir(path.join(root, collection));
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const records = await Promise.all(names
+        .filter((n) => n.endsWith(".json"))
+        .map((n) => readJSON(path.join(root, collection, n))));
+      return records.filter(Boolean);
+    },
+  };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,51 @@
+/**
+ * AEO Labs — Storage Layer
+ *
+ * A small document store: records are JSON objects kept in named
+ * collections ("contracts", ...) and addressed by id. The backing
+ * adapter is chosen with STORE_ADAPTER (lib/config.js):
+ *
+ *   file   (default) — one JSON file per record under STORE_DIR
+ *                      (defaults to <os tmpdir>/aeo-contract-api)
+ *   kv               — Redis over the Vercel KV / Upstash REST API
+ *                      (KV_REST_API_URL, KV_REST_API_TOKEN); required on
+ *                      Vercel, where every function has its own tmp dir
+ *   memory           — in-process only, for tests and scripts
+ *
+ * Every adapter implements the same async interface:
+ *   get(collection, id)          → record | null
+ *   put(collection, id, record)  → record
+ *   create(collection, id, record) → record, or null if the id exists
+ *                                    (atomic — for claiming keys/locks)
+ *   delete(collection, id)       → boolean
+ *   list(collection)             → [record]
+ *
+ * To back the store with a hosted database, add an adapter with that
+ * interface, register it in ADAPTERS below and add its name to
+ * STORE_ADAPTER's options in lib/config.js.
+ */
+
+const { getConfig } = require("../config");
+
+const ADAPTERS = {
+  file: (config) => require("./file").createFileStore(config.dir),
+  kv: (config) => require("./kv").createKvStore(config),
+  memory: () => require("./memory").createMemoryStore(),
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const config = getConfig().store;
+    store = ADAPTERS[config.adapter](config);
+  }
+  return store;
+}
+
+// Swaps the active store (tests, scripts). Pass null to go back to STORE_ADAPTER.
+function setStore(adapter) {
+  store = adapter;
+}
+
+module.exports = { getStore, setStore };
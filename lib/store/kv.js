@@ -0,0 +1,97 @@
+/**
+ * KV store adapter — Redis over the REST API that Vercel KV / Upstash
+ * expose (KV_REST_API_URL, KV_REST_API_TOKEN), so every function
+ * instance sees the same records. Use it on Vercel, where each function
+ * has a tmp directory of its own.
+ *
+ *   <prefix>:<collection>:<id>  → the record, as a JSON string
+ *   <prefix>:<collection>       → set of the collection's ids, for list()
+ *
+ * create() is SET ... NX, so claiming keys and locks stays atomic across
+ * instances. Records go over the wire whole: keep the provider's request
+ * size limit in mind for large documents (signed PDFs are ~100 KB).
+ */
+
+const { request } = require("../http");
+
+const KEY_PREFIX = "aeo";
+const SAFE_NAME = /^[A-Za-z0-9_.:-]+$/;
+const MGET_BATCH = 100;
+
+function createKvStore({ kv_url, kv_token }) {
+  function recordKey(collection, id) {
+    if (!SAFE_NAME.test(collection) || !SAFE_NAME.test(id)) {
+      throw new Error(`Invalid store key ${collection}/${id}`);
+    }
+    return `${KEY_PREFIX}:${collection}:${id}`;
+  }
+  const indexKey = (collection) => `${KEY_PREFIX}:${collection}`;
+
+  function post(path, body) {
+    return request({
+      service: "kv",
+      method: "POST",
+      url: kv_url + path,
+      headers: { Authorization: "Bearer " + kv_token },
+      body,
+    });
+  }
+
+  // One command → its result
+  async function command(...args) {
+    const { body } = await post("", args);
+    if (body && body.error) throw new Error(`KV ${args[0]} failed: ${body.error}`);
+    return body.result;
+  }
+
+  // Several commands in one round trip → their results, in order
+  async function pipeline(...commands) {
+    const { body } = await post("/pipeline", commands);
+    const failed = body.find((r) => r.error);
+    if (failed) throw new Error(`KV pipeline failed: ${failed.error}`);
+    return body.map((r) => r.result);
+  }
+
+  const parse = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+  return {
+    async get(collection, id) {
+      return parse(await command("GET", recordKey(collection, id)));
+    },
+
+    async put(collection, id, record) {
+      await pipeline(
+        ["SET", recordKey(collection, id), JSON.stringify(record)],
+        ["SADD", indexKey(collection), id],
+      );
+      return record;
+    },
+
+    async create(collection, id, record) {
+      const created = await command("SET", recordKey(collection, id), JSON.stringify(record), "NX");
+      if (created !== "OK") return null;
+      await command("SADD", indexKey(collection), id);
+      return record;
+    },
+
+    async delete(collection, id) {
+      const [deleted] = await pipeline(
+        ["DEL", recordKey(collection, id)],
+        ["SREM", indexKey(collection), id],
+      );
+      return deleted > 0;
+    },
+
+    async list(collection) {
+      const ids = await command("SMEMBERS", indexKey(collection));
+      const records = [];
+      for (let i = 0; i < ids.length; i += MGET_BATCH) {
+        const values = await command("MGET", ...ids.slice(i, i + MGET_BATCH).map((id) => recordKey(collection, id)));
+        records.push(...values.map(parse));
+      }
+      return records.filter(Boolean);
+    },
+  };
+}
+
+module.exports = { createKvStore };
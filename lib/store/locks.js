@@ -0,0 +1,79 @@
+/**
+ * AEO Labs — Leased locks
+ *
+ * Mutual exclusion across function invocations, built on the store's
+ * atomic create(): a lock is a record in the "locks" collection, held by
+ * whoever created it until they release it or its lease runs out — so a
+ * holder that died (e.g. killed at maxDuration) doesn't block it for good.
+ *
+ *   acquireLock(name, leaseMs) → token, or null while someone else holds it
+ *   releaseLock(name, token)   — only the holder's token releases it
+ *   withLock(name, fn, { leaseMs, waitMs }) → fn()'s result, run while
+ *       holding the lock; waits up to waitMs for it, then throws. For
+ *       short critical sections such as a record's read-modify-write.
+ *   takeOverExpired(collection, id, held, record) → true if this caller
+ *       replaced the expired record `held` (another lease-style record
+ *       such as the queue's job locks can use it too)
+ *
+ * Names use the store's key characters (letters, digits, _ . : -),
+ * e.g. "run:run_1a2b".
+ */
+
+const crypto = require("crypto");
+const { getStore } = require("./index");
+
+const COLLECTION = "locks";
+// One marker per expired lock that was taken over, keyed on its token
+const TAKEOVERS = "lock_takeovers";
+
+// Everyone who finds the same expired record races to create its marker;
+// create() is atomic, so exactly one of them puts its own record in place
+// and the rest back off as if the lock were held. Markers are kept: a
+// contender that read the expired record long ago must still lose.
+async function takeOverExpired(collection, id, held, record) {
+  const store = getStore();
+  const marker = { collection, id, token: held.token || held.expires_at, taken_at: new Date().toISOString() };
+  if (!(await store.create(TAKEOVERS, `${collection}.${id}.${marker.token}`, marker))) return false;
+  await store.put(collection, id, record);
+  return true;
+}
+
+async function acquireLock(name, leaseMs) {
+  const store = getStore();
+  const lock = {
+    name,
+    token: crypto.randomBytes(8).toString("hex"),
+    expires_at: new Date(Date.now() + leaseMs).toISOString(),
+  };
+  if (await store.create(COLLECTION, name, lock)) return lock.token;
+
+  const held = await store.get(COLLECTION, name);
+  if (!held) return (await store.create(COLLECTION, name, lock)) ? lock.token : null;
+  if (Date.parse(held.expires_at) > Date.now()) return null;
+  // Left behind by a holder that died — take it over
+  return (await takeOverExpired(COLLECTION, name, held, lock)) ? lock.token : null;
+}
+
+async function releaseLock(name, token) {
+  const store = getStore();
+  const held = await store.get(COLLECTION, name);
+  if (held && held.token === token) await store.delete(COLLECTION, name);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function withLock(name, fn, { leaseMs = 10 * 1000, waitMs = 5 * 1000 } = {}) {
+  const deadline = Date.now() + waitMs;
+  let token;
+  while (!(token = await acquireLock(name, leaseMs))) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for lock ${name}`);
+    await sleep(25 + Math.random() * 50);
+  }
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(name, token);
+  }
+}
+
+module.exports = { acquireLock, releaseLock, withLock, takeOverExpired };
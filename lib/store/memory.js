@@ -0,0 +1,39 @@
+/**
+ * In-memory store adapter. Records are deep-copied on the way in and
+ * out so callers can't mutate stored state by accident.
+ */
+
+function copy(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function createMemoryStore() {
+  const collections = new Map();
+  const bucket = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    async get(collection, id) {
+      return copy(bucket(collection).get(id));
+    },
+    async put(collection, id, record) {
+      bucket(collection).set(id, copy(record));
+      return copy(record);
+    },
+    async create(collection, id, record) {
+      if (bucket(collection).has(id)) return null;
+      bucket(collection).set(id, copy(record));
+      return copy(record);
+    },
+    async delete(collection, id) {
+      return bucket(collection).delete(id);
+    },
+    async list(collection) {
+      return [...bucket(collection).values()].map(copy);
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
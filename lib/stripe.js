@@ -0,0 +1,386 @@
+/**
+ * AEO Labs — Stripe API helpers
+ *
+ * Shared by the contract pipeline (/api/generate-and-send) and the
+ * Stripe webhook receiver (/api/stripe-webhook).
+ *
+ * Request helpers take an optional trailing `dryRun` recorder (see
+ * lib/dry-run.js); when given, calls are recorded instead of sent.
+ */
+
+const crypto = require("crypto");
+const { getConfig } = require("./config");
+const { request } = require("./http");
+
+// How old a webhook delivery may be before its signature is refused
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// ==================== HELPERS ====================
+
+/**
+ * Calls the Stripe API through lib/http.js and resolves to the parsed
+ * body; Stripe's own errors come back as `{ error }` for the caller to
+ * check. Every POST carries an Idempotency-Key, so the client can safely
+ * retry it after a timeout or 5xx without charging twice: `idempotencyKey`
+ * when given — name what the request does for which contract, e.g.
+ * "ctr_1a2b:subscription", so a retried run or billing attempt gets back
+ * what the first one created (Stripe keeps keys for 24 hours) — or else a
+ * fresh one.
+ */
+async function stripeRequest(method, path, formData, dryRun, idempotencyKey) {
+  if (dryRun) return dryRun.record("stripe", method, path, formData);
+  const headers = {
+    "Authorization": "Basic " + Buffer.from(getConfig().stripe.secret_key + ":").toString("base64"),
+  };
+  let body;
+  if (method !== "GET") {
+    headers["Idempotency-Key"] = idempotencyKey || crypto.randomUUID();
+    if (formData) {
+      headers["Content-Type"] = "application/x-www-form-urlencoded";
+      body = formData;
+    }
+  }
+  const res = await request({
+    service: "stripe",
+    method,
+    url: "https://api.stripe.com/v1" + path,
+    headers,
+    body,
+    throwHttpErrors: false,
+  });
+  const parsed = res.body || {};
+  if (parsed.error) {
+    console.error("STRIPE API ERROR: " + JSON.stringify(parsed.error));
+  }
+  return parsed;
+}
+
+// An error Stripe answered a request with. Stripe keeps that answer for
+// the request's Idempotency-Key, so trying again needs a fresh key
+function stripeError(message, error) {
+  const err = new Error(message + ": " + error.message);
+  err.stripeError = error;
+  return err;
+}
+
+// Idempotency-Keys for the requests made for `scope` (e.g. a contract id):
+// operation → "<scope>:<operation>", or undefined (a fresh key) without one
+function idempotencyKeys(scope) {
+  return (operation) => (scope ? scope + ":" + operation : undefined);
+}
+
+// Form-encodes metadata as metadata[key]=value pairs (with a leading "&")
+function metadataParams(metadata) {
+  return Object.entries(metadata || {})
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => "&metadata[" + encodeURIComponent(key) + "]=" + encodeURIComponent(value))
+    .join("");
+}
+
+// ==================== CUSTOMERS ====================
+
+/**
+ * How an existing customer is matched before a new one is created
+ * (STRIPE_CUSTOMER_MATCH):
+ *
+ *   email (default)   — same email only
+ *   email_or_company  — same email first; otherwise a customer whose
+ *                       metadata.company is the same company
+ *
+ * Merge policy for a matched customer: metadata.company and the "Company"
+ * invoice field are updated to the latest contract's values, and so is
+ * the name on an email match. The email is never changed — on a company
+ * match the customer keeps its existing billing contact (name and email),
+ * so invoices for earlier contracts still go to the same person, and so
+ * does this one: createStripeInvoice() returns that address as
+ * invoiceEmail, and the pipeline records it on the contract and names it
+ * in the Slack summary. Among several matches the oldest customer (the one
+ * holding the most billing history) wins, preferring one whose company
+ * also matches.
+ */
+
+function sameText(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+// Stripe search query strings quote values with '...'
+function searchValue(value) {
+  return "'" + String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'") + "'";
+}
+
+async function stripeList(path, dryRun) {
+  const res = await stripeRequest("GET", path, null, dryRun);
+  if (res.error) throw new Error("Stripe lookup failed: " + (res.error.message || JSON.stringify(res.error)));
+  return (res.data || []).filter((c) => !c.deleted);
+}
+
+function pickCustomer(candidates, company) {
+  const oldestFirst = candidates.slice().sort((a, b) => (a.created || 0) - (b.created || 0));
+  return oldestFirst.find((c) => sameText(c.metadata && c.metadata.company, company)) || oldestFirst[0] || null;
+}
+
+/**
+ * Looks up an existing customer under STRIPE_CUSTOMER_MATCH.
+ * Returns { customer, matchedBy: "email" | "company" } or null.
+ */
+async function findCustomer(email, company, dryRun) {
+  // Stripe's email filter is case-sensitive; also try the lowercased address
+  const emails = [...new Set([email.trim(), email.trim().toLowerCase()])];
+  const byEmail = new Map();
+  for (const address of emails) {
+    for (const c of await stripeList("/customers?limit=100&email=" + encodeURIComponent(address), dryRun)) byEmail.set(c.id, c);
+  }
+  const emailMatch = pickCustomer([...byEmail.values()], company);
+  if (emailMatch) return { customer: emailMatch, matchedBy: "email" };
+
+  if (getConfig().stripe.customer_match === "email_or_company" && company) {
+    const query = "metadata['company']:" + searchValue(company);
+    const companyMatch = pickCustomer(await stripeList("/customers/search?limit=100&query=" + encodeURIComponent(query), dryRun), company);
+    if (companyMatch) return { customer: companyMatch, matchedBy: "company" };
+  }
+  return null;
+}
+
+/**
+ * Returns the client's Stripe customer, reusing an existing one when
+ * STRIPE_CUSTOMER_MATCH finds it and creating it otherwise.
+ * Resolves to { id, email, matchedBy: "email" | "company" | null, updated: [field] }
+ * — email is where Stripe sends the customer's invoices. `keyScope`
+ * (e.g. the contract id) prefixes the Idempotency-Keys.
+ */
+async function findOrCreateCustomer(email, name, company, dryRun, keyScope) {
+  const keyFor = idempotencyKeys(keyScope);
+  const match = await findCustomer(email, company, dryRun);
+
+  if (!match) {
+    const customer = await stripeRequest("POST", "/customers",
+      "email=" + encodeURIComponent(email) +
+      "&name=" + encodeURIComponent(name) +
+      "&metadata[company]=" + encodeURIComponent(company) +
+      "&invoice_settings[custom_fields][0][name]=" + encodeURIComponent("Company") +
+      "&invoice_settings[custom_fields][0][value]=" + encodeURIComponent(company), dryRun, keyFor("customer")
+    );
+    if (customer.error) throw stripeError("Stripe customer creation failed", customer.error);
+    console.log("STRIPE: Customer created: " + customer.id);
+    return { id: customer.id, email, matchedBy: null, updated: [] };
+  }
+
+  const existing = match.customer;
+  const fields = (existing.invoice_settings && existing.invoice_settings.custom_fields) || [];
+  const companyField = fields.find((f) => f.name === "Company");
+  const updated = [];
+  let form = "";
+  if (match.matchedBy === "email" && name && existing.name !== name) {
+    updated.push("name");
+    form += "&name=" + encodeURIComponent(name);
+  }
+  if (company && (existing.metadata || {}).company !== company) {
+    updated.push("metadata.company");
+    form += "&metadata[company]=" + encodeURIComponent(company);
+  }
+  if (company && (!companyField || companyField.value !== company)) {
+    // custom_fields is replaced as a whole; keep any others we didn't set
+    updated.push("invoice_settings.custom_fields");
+    const others = fields.filter((f) => f.name !== "Company");
+    [...others, { name: "Company", value: company }].forEach((f, i) => {
+      form += "&invoice_settings[custom_fields][" + i + "][name]=" + encodeURIComponent(f.name) +
+        "&invoice_settings[custom_fields][" + i + "][value]=" + encodeURIComponent(f.value);
+    });
+  }
+  if (form) {
+    const res = await stripeRequest("POST", "/customers/" + existing.id, form.substring(1), dryRun, keyFor("customer_update"));
+    if (res.error) throw stripeError("Stripe customer update failed", res.error);
+  }
+  console.log("STRIPE: Reusing customer " + existing.id + " (matched by " + match.matchedBy + ")" + (updated.length ? ", updated " + updated.join(", ") : ""));
+  const billingEmail = existing.email || email;
+  if (!sameText(billingEmail, email)) {
+    console.log("STRIPE: Invoices for " + existing.id + " go to its billing contact " + billingEmail + ", not " + email);
+  }
+  return { id: existing.id, email: billingEmail, matchedBy: match.matchedBy, updated };
+}
+
+// ==================== INVOICES ====================
+
+// recurringInterval: Stripe interval ("month", "year") for subscriptions, falsy for a one-time invoice
+// metadata: copied onto the invoice/subscription, e.g. { contract_id } so webhooks can find the contract;
+//   its contract_id (or else run_id) scopes the Idempotency-Keys, so a retry creates nothing twice
+// partial: how far an earlier attempt got — { customer_id, invoice_email, customer_matched_by,
+//   price_id, subscription_id, invoice_id, invoice_item_id, retry } — so what it created is reused
+//   rather than created again; onProgress(partial) is called whenever that changes, for the
+//   caller to keep. `retry` counts attempts Stripe refused, whose keys can't be used again.
+async function createStripeInvoice(clientEmail, clientName, clientCompany, amountCents, description, recurringInterval, metadata, dryRun, { partial, onProgress } = {}) {
+  const ids = { ...partial };
+  const progress = async (fields) => {
+    Object.assign(ids, fields);
+    if (onProgress && !dryRun) await onProgress({ ...ids });
+  };
+  const scope = metadata && (metadata.contract_id || metadata.run_id);
+  const keyScope = scope && ids.retry ? scope + ":retry" + ids.retry : scope;
+  const keyFor = idempotencyKeys(keyScope);
+
+  try {
+    let customer;
+    if (ids.customer_id) {
+      console.log("STRIPE: Resuming with customer " + ids.customer_id);
+      customer = { id: ids.customer_id, email: ids.invoice_email || clientEmail, matchedBy: ids.customer_matched_by || null };
+    } else {
+      console.log("STRIPE: Finding or creating customer for " + clientEmail);
+      customer = await findOrCreateCustomer(clientEmail, clientName, clientCompany, dryRun, keyScope);
+      await progress({ customer_id: customer.id, invoice_email: customer.email, customer_matched_by: customer.matchedBy });
+    }
+
+    if (recurringInterval) {
+      // Retainers (e.g. Phase 2): Create a recurring subscription (auto-bill each interval)
+      console.log("STRIPE: Creating recurring subscription for " + amountCents + " cents/" + recurringInterval);
+
+      if (!ids.subscription_id) {
+        // Create a price for this subscription
+        if (!ids.price_id) {
+          const price = await stripeRequest("POST", "/prices",
+            "unit_amount=" + amountCents +
+            "&currency=usd" +
+            "&recurring[interval]=" + encodeURIComponent(recurringInterval) +
+            "&product_data[name]=" + encodeURIComponent(description), dryRun, keyFor("price")
+          );
+          if (price.error) throw stripeError("Stripe price creation failed", price.error);
+          console.log("STRIPE: Price created: " + price.id);
+          await progress({ price_id: price.id });
+        }
+
+        // Create subscription with ACH payment (send_invoice = we email them)
+        const subscription = await stripeRequest("POST", "/subscriptions",
+          "customer=" + customer.id +
+          "&items[0][price]=" + ids.price_id +
+          "&payment_settings[payment_method_types][0]=us_bank_account" +
+          "&collection_method=send_invoice" +
+          "&days_until_due=30" +
+          metadataParams(metadata), dryRun, keyFor("subscription")
+        );
+        if (subscription.error) throw stripeError("Stripe subscription creation failed", subscription.error);
+        console.log("STRIPE: Subscription created: " + subscription.id + " status: " + subscription.status);
+        await progress({ subscription_id: subscription.id, invoice_id: subscription.latest_invoice || null });
+      }
+
+      // Get the latest invoice from the subscription and finalize it
+      const latestInvoiceId = ids.invoice_id;
+      console.log("STRIPE: latest_invoice=" + latestInvoiceId);
+      if (latestInvoiceId) {
+        // Finalize the draft invoice so it gets a hosted_invoice_url
+        const finalized = await stripeRequest("POST", "/invoices/" + latestInvoiceId + "/finalize", "", dryRun, keyFor("finalize"));
+        if (finalized.error) throw stripeError("Stripe invoice finalization failed", finalized.error);
+        console.log("STRIPE: Subscription invoice finalized, status: " + finalized.status + " url: " + (finalized.hosted_invoice_url ? "yes" : "no"));
+        return {
+          customerId: customer.id, customerMatchedBy: customer.matchedBy, invoiceEmail: customer.email,
+          subscriptionId: ids.subscription_id,
+          invoiceId: latestInvoiceId,
+          invoiceUrl: finalized.hosted_invoice_url,
+          invoicePdf: finalized.invoice_pdf,
+          recurring: true,
+          interval: recurringInterval
+        };
+      }
+
+      return { customerId: customer.id, customerMatchedBy: customer.matchedBy, invoiceEmail: customer.email, subscriptionId: ids.subscription_id, recurring: true, interval: recurringInterval };
+
+    } else {
+      // One-time engagements (e.g. Sprint 1): One-time invoice with ACH payment
+      console.log("STRIPE: Creating one-time invoice for " + amountCents + " cents");
+      if (!ids.invoice_id) {
+        const invoice = await stripeRequest("POST", "/invoices",
+          "customer=" + customer.id +
+          "&collection_method=send_invoice" +
+          "&days_until_due=30" +
+          "&auto_advance=true" +
+          "&payment_settings[payment_method_types][0]=us_bank_account" +
+          metadataParams(metadata), dryRun, keyFor("invoice")
+        );
+        if (invoice.error) throw stripeError("Stripe invoice creation failed", invoice.error);
+        console.log("STRIPE: Invoice created: " + invoice.id);
+        await progress({ invoice_id: invoice.id });
+      }
+
+      // Add invoice item
+      if (!ids.invoice_item_id) {
+        const item = await stripeRequest("POST", "/invoiceitems",
+          "customer=" + customer.id +
+          "&invoice=" + ids.invoice_id +
+          "&amount=" + amountCents +
+          "&currency=usd" +
+          "&description=" + encodeURIComponent(description), dryRun, keyFor("invoice_item")
+        );
+        if (item.error) throw stripeError("Stripe invoice item failed", item.error);
+        console.log("STRIPE: Invoice item added: " + item.id);
+        await progress({ invoice_item_id: item.id });
+      }
+
+      // Finalize invoice
+      const finalized = await stripeRequest("POST", "/invoices/" + ids.invoice_id + "/finalize", "", dryRun, keyFor("finalize"));
+      if (finalized.error) throw stripeError("Stripe invoice finalization failed", finalized.error);
+      console.log("STRIPE: Invoice finalized, status: " + finalized.status);
+
+      return { customerId: customer.id, customerMatchedBy: customer.matchedBy, invoiceEmail: customer.email, invoiceId: ids.invoice_id, invoiceUrl: finalized.hosted_invoice_url, invoicePdf: finalized.invoice_pdf, recurring: false };
+    }
+  } catch (err) {
+    // Stripe keeps its refusal for the key: the next attempt asks under fresh ones
+    if (err.stripeError) await progress({ retry: (ids.retry || 0) + 1 });
+    throw err;
+  }
+}
+
+// Voids an open (finalized, unpaid) invoice; Stripe refuses drafts and paid ones
+async function voidInvoice(invoiceId) {
+  // A fresh key: voiding twice is harmless, and Stripe would keep a refusal
+  // (e.g. of a draft) for a fixed one after the invoice can be voided
+  const invoice = await stripeRequest("POST", "/invoices/" + invoiceId + "/void", "");
+  if (invoice.error) throw new Error("Stripe invoice void failed: " + invoice.error.message);
+  console.log("STRIPE: Invoice voided: " + invoiceId);
+  return invoice;
+}
+
+// Cancels a subscription right away, so it stops invoicing
+async function cancelSubscription(subscriptionId) {
+  const subscription = await stripeRequest("DELETE", "/subscriptions/" + subscriptionId);
+  if (subscription.error) throw new Error("Stripe subscription cancellation failed: " + subscription.error.message);
+  console.log("STRIPE: Subscription canceled: " + subscriptionId);
+  return subscription;
+}
+
+// ==================== WEBHOOKS ====================
+
+/**
+ * Checks a Stripe-Signature header ("t=<unix>,v1=<hex>,...") against the
+ * raw body: v1 is HMAC-SHA256 of "<t>.<body>" keyed with the endpoint's
+ * signing secret. Deliveries older than the tolerance are refused so a
+ * captured request can't be replayed.
+ */
+function verifyStripeSignature(rawBody, header, secret, toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS) {
+  if (!header || !secret) return false;
+
+  let timestamp = null;
+  const signatures = [];
+  for (const part of String(header).split(",")) {
+    const [key, value] = part.split("=");
+    if (key === "t") timestamp = parseInt(value, 10);
+    if (key === "v1" && value) signatures.push(value);
+  }
+  if (!timestamp || !signatures.length) return false;
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+  const expected = crypto.createHmac("sha256", secret)
+    .update(timestamp + ".")
+    .update(rawBody)
+    .digest();
+  return signatures.some((sig) => {
+    const given = Buffer.from(sig, "hex");
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  });
+}
+
+module.exports = {
+  stripeRequest,
+  findOrCreateCustomer,
+  createStripeInvoice,
+  voidInvoice,
+  cancelSubscription,
+  verifyStripeSignature,
+};
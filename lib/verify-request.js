@@ -0,0 +1,147 @@
+/**
+ * AEO Labs — Request verification for the Slack routes
+ *
+ * Wrap a handler to reject requests that didn't come from where they
+ * claim to, before any work is done:
+ *
+ *   module.exports = requireSlackSignature(handler);
+ *   module.exports.config = { api: { bodyParser: false } };
+ *
+ * requireSlackSignature — /api/slack-command, /api/slack-interact: the
+ *   X-Slack-Signature of SLACK_SIGNING_SECRET (Slack app → Basic
+ *   Information → Signing Secret), no older than 5 minutes.
+ * requireInternalAuth   — /api/slack-contract, /api/contracts/:id/actions,
+ *   /api/contracts/:id/approval: our own signed hop from the job worker
+ *   (X-Internal-Signature, INTERNAL_SIGNING_SECRET; see lib/self.js), or
+ *   `Authorization: Bearer <API_KEY>` for other trusted callers.
+ * checkApiKey           — the registry, run and job routes: called by the
+ *   route itself, `Authorization: Bearer <API_KEY>` while API_KEY is set
+ *   (or always, for the routes that pass `required`).
+ *
+ * The wrappers fail closed: 503 while their secret isn't configured or the
+ * configuration is broken (lib/config.js), 401 with the reason otherwise. Signatures cover the exact bytes sent, so the wrapped
+ * route must turn off Vercel's body parser; the wrapper reads the raw body
+ * and hands the handler a parsed req.body (form fields or JSON) as before.
+ */
+
+const querystring = require("querystring");
+const { readRawBody } = require("./raw-body");
+const { verifySlackSignature, SIGNATURE_TOLERANCE_SECONDS } = require("./slack");
+const { verifySelfSignature } = require("./self");
+const { getConfig } = require("./config");
+
+// The validated config, or null after answering 503 with what's wrong
+function configOr503(res, label) {
+  try {
+    return getConfig();
+  } catch (err) {
+    console.error(label + ": " + err.message + ", rejecting request");
+    res.status(503).json({ error: err.message, missing: err.missing, invalid: err.invalid });
+    return null;
+  }
+}
+
+function parseBody(rawBody, contentType) {
+  const text = rawBody.toString("utf8");
+  if (!text) return {};
+  if (/application\/x-www-form-urlencoded/i.test(contentType || "")) {
+    return { ...querystring.parse(text) };
+  }
+  try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+function isStale(timestamp) {
+  const ts = parseInt(timestamp, 10);
+  return !ts || Math.abs(Math.floor(Date.now() / 1000) - ts) > SIGNATURE_TOLERANCE_SECONDS;
+}
+
+// Why a signed request failed, for the 401
+function signatureProblem(timestamp, signature, label) {
+  if (!timestamp || !signature) return `Missing ${label} signature headers`;
+  if (isStale(timestamp)) return `${label} request timestamp is outside the ${SIGNATURE_TOLERANCE_SECONDS / 60} minute replay window`;
+  return `Invalid ${label} signature`;
+}
+
+async function withParsedBody(req, rawBody, handler, res) {
+  req.rawBody = rawBody;
+  req.body = parseBody(rawBody, req.headers["content-type"]);
+  return handler(req, res);
+}
+
+function requireSlackSignature(handler) {
+  return async function verifiedSlackHandler(req, res) {
+    if (req.method !== "POST") return handler(req, res);
+
+    const config = configOr503(res, "SLACK-AUTH");
+    if (!config) return;
+    const secret = config.slack.signing_secret;
+    if (!secret) {
+      console.error("SLACK-AUTH: SLACK_SIGNING_SECRET not set, rejecting request");
+      return res.status(503).json({ error: "Slack signing secret not configured" });
+    }
+
+    const rawBody = await readRawBody(req);
+    const timestamp = req.headers["x-slack-request-timestamp"];
+    const signature = req.headers["x-slack-signature"];
+    if (!verifySlackSignature(rawBody, timestamp, signature, secret)) {
+      const problem = signatureProblem(timestamp, signature, "Slack");
+      console.error("SLACK-AUTH: Rejected request: " + problem);
+      return res.status(401).json({ error: problem });
+    }
+
+    return withParsedBody(req, rawBody, handler, res);
+  };
+}
+
+function requireInternalAuth(handler) {
+  return async function verifiedInternalHandler(req, res) {
+    if (req.method !== "POST") return handler(req, res);
+
+    const config = configOr503(res, "INTERNAL-AUTH");
+    if (!config) return;
+    const { internal_signing_secret: secret, api_key: apiKey } = config.app;
+    if (!secret && !apiKey) {
+      console.error("INTERNAL-AUTH: Neither INTERNAL_SIGNING_SECRET nor API_KEY set, rejecting request");
+      return res.status(503).json({ error: "Internal authentication not configured" });
+    }
+
+    const rawBody = await readRawBody(req);
+    if (apiKey && req.headers.authorization === `Bearer ${apiKey}`) {
+      return withParsedBody(req, rawBody, handler, res);
+    }
+
+    const timestamp = req.headers["x-internal-timestamp"];
+    const signature = req.headers["x-internal-signature"];
+    if (!secret || !verifySelfSignature(rawBody, timestamp, signature, secret)) {
+      const problem = secret ? signatureProblem(timestamp, signature, "internal") : "Unauthorized";
+      console.error("INTERNAL-AUTH: Rejected request: " + problem);
+      return res.status(401).json({ error: problem });
+    }
+
+    return withParsedBody(req, rawBody, handler, res);
+  };
+}
+
+/**
+ * Whether `req` carries `Authorization: Bearer <API_KEY>` — true too while
+ * API_KEY isn't set, unless `required`. Otherwise the 401, or the 503 for
+ * a broken configuration or a required key that isn't set, has been sent
+ * and the route should return.
+ */
+function checkApiKey(req, res, label, { required = false } = {}) {
+  const config = configOr503(res, label);
+  if (!config) return false;
+  const apiKey = config.app.api_key;
+  if (!apiKey && required) {
+    console.error(label + ": API_KEY not set, rejecting request");
+    res.status(503).json({ error: "API key not configured" });
+    return false;
+  }
+  if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+    res.status(401).json({ error: "Unauthorized" });
+    return false;
+  }
+  return true;
+}
+
+module.exports = { requireSlackSignature, requireInternalAuth, checkApiKey };
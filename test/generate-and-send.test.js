@@ -0,0 +1,294 @@
+const { test, describe, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, contractBody, docxText } = require("./helpers/harness");
+const { getContract, updateContract } = require("../lib/contracts/registry");
+const { contractDocx } = require("../lib/contracts/actions");
+
+describe("POST /api/generate-and-send", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  beforeEach(() => h.reset());
+  after(() => h.stop());
+
+  test("runs every step against SignNow, ClickUp and Slack and records the contract", async () => {
+    const res = await h.post("/api/generate-and-send", contractBody());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    const steps = Object.fromEntries(res.body.steps.map((s) => [s.name, s.status]));
+    assert.deepEqual(steps, {
+      generate: "ok", record: "ok", approval: "ok", upload: "ok", fields: "ok", signing_link: "ok",
+      invite: "skipped", events: "ok", invoice: "skipped", task: "ok", notify: "ok",
+    });
+
+    // SignNow: password grant with the app's client credentials, then the .docx upload
+    const [grant] = h.fakes.signnow.find("POST /oauth2/token");
+    assert.equal(grant.body.grant_type, "password");
+    assert.equal(grant.body.username, "ops@aeolabs.test");
+    assert.equal(grant.headers.authorization, "Basic " + Buffer.from("sn-client-id:sn-client-secret").toString("base64"));
+    const [upload] = h.fakes.signnow.find("POST /document");
+    assert.match(upload.body.filename, /\.docx$/);
+    assert.equal(upload.headers.authorization, "Bearer sn-token-1");
+
+    // Client-only signature and date fields on the last page
+    const [fields] = h.fakes.signnow.find("PUT /document/:id");
+    assert.deepEqual(fields.body.fields.map((f) => [f.type, f.role, f.page_number]), [["signature", "Client", 2], ["text", "Client", 2]]);
+
+    const [invite] = h.fakes.signnow.find("POST /v2/documents/:id/embedded-invites");
+    assert.deepEqual(invite.body.invites.map((i) => [i.email, i.role_id]), [["ada@acme.test", "role_client"]]);
+    assert.match(res.body.signing_link, /^https:\/\/signnow\.test\/s\//);
+
+    // Webhook subscriptions point back at this deployment
+    const events = h.fakes.signnow.find("POST /api/v2/events");
+    assert.deepEqual(events.map((e) => e.body.event).sort(),
+      ["document.complete", "document.fieldinvite.decline", "document.fieldinvite.expired", "document.open"]);
+    assert.equal(events[0].body.attributes.callback, h.app.url + "/api/signnow-webhook");
+    assert.equal(events[0].body.attributes.secret_key, "sn-webhook-secret");
+
+    // sprint1 bills on signature: nothing reaches Stripe yet
+    assert.equal(h.fakes.stripe.requests.length, 0);
+    assert.equal(res.body.stripe.deferred, true);
+
+    const [task] = h.fakes.clickup.find("POST /api/v2/list/:list/task");
+    assert.equal(task.path, "/api/v2/list/901/task");
+    assert.equal(task.headers.authorization, "pk_fake");
+    assert.match(task.body.name, /Acme Robotics/);
+
+    const [message] = h.fakes.slack.state.messages;
+    assert.equal(message.channel, "C0CONTRACTS");
+    assert.equal(message.text, "New contract created for Acme Robotics");
+    assert.equal(h.fakes.slack.requests[0].headers.authorization, "Bearer xoxb-fake");
+
+    const contract = await getContract(res.body.contract_id);
+    assert.equal(contract.status, "sent");
+    assert.equal(contract.external.signnow_document_id, res.body.document_id);
+    assert.equal(contract.external.clickup_task_id, Object.keys(h.fakes.clickup.state.tasks)[0]);
+    assert.deepEqual(contract.slack, { channel: "C0CONTRACTS", ts: message.ts });
+    assert.equal(contract.billing.pending.amount_cents, 500000);
+  });
+
+  test("dry runs return the planned calls without contacting any service", async () => {
+    const res = await h.post("/api/generate-and-send", contractBody({ dry_run: true }));
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.ok(res.body.planned_calls.some((c) => c.service === "signnow" && c.path === "/document"));
+    for (const fake of ["signnow", "stripe", "slack", "clickup"]) {
+      assert.equal(h.fakes[fake].requests.length, 0, fake + " was called");
+    }
+  });
+
+  test("applies a retainer's initial term and billing interval, and rejects ones it can't offer", async () => {
+    const phase2 = { contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer", dry_run: true };
+    const clauses = (body) => body.steps.find((s) => s.name === "generate").output.clauses;
+    const res = await h.post("/api/generate-and-send", contractBody({ ...phase2, term_months: "6", billing_interval: "year" }));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.term, { length: 6, unit: "month", autoRenew: true });
+    assert.deepEqual(clauses(res.body).slice(1, 3), ["term.renewing@1", "payment.retainer@1"]);
+
+    // The standard term and interval keep the standard wording
+    const standard = await h.post("/api/generate-and-send", contractBody({ ...phase2, term_months: "1", billing_interval: "month" }));
+    assert.deepEqual(clauses(standard.body).slice(1, 3), ["term.month-to-month@1", "payment.monthly-retainer@1"]);
+
+    const bad = await h.post("/api/generate-and-send", contractBody({ ...phase2, billing_interval: "week" }));
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, 'Invalid billing_interval: "week" must be one of "month", "year"');
+  });
+
+  test("a contract's .docx is rendered again with the clause versions it was issued with", async () => {
+    const res = await h.post("/api/generate-and-send", contractBody({
+      contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer", custom_clauses: "Reports go to the CMO.",
+    }));
+    const contract = await getContract(res.body.contract_id);
+    assert.match(docxText((await contractDocx(contract)).buffer), /month-to-month basis/);
+
+    // Issued with other clauses than the template has today
+    const issued = contract.artifacts.clauses.map((ref) => ref === "term.month-to-month@1" ? "term.renewing@1" : ref);
+    const text = docxText((await contractDocx(await updateContract(contract.id, { artifacts: { clauses: issued } }))).buffer);
+    assert.match(text, /initial term of 1 month/);
+    assert.doesNotMatch(text, /month-to-month/);
+    assert.match(text, /Reports go to the CMO\./);
+  });
+
+  test("invoices right away when there is no signature event to bill on", async () => {
+    h.fakes.signnow.failNext("POST /api/v2/events", 400, { errors: [{ message: "callback not reachable" }] });
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.steps.find((s) => s.name === "events").status, "failed");
+    assert.equal(res.body.stripe.deferred, undefined);
+    assert.equal(h.fakes.stripe.find("POST /v1/invoices").length, 1);
+
+    const contract = await getContract(res.body.contract_id);
+    assert.equal(contract.billing.pending, null);
+    assert.equal(contract.external.stripe_invoice_id, res.body.stripe.invoiceId);
+  });
+
+  test("holds contracts the approval rules single out, and dry runs say why", async () => {
+    h.setEnv({ APPROVAL_CHANNEL_ID: "C0APPROVALS", APPROVAL_CONTRACT_TYPES: "phase2" });
+    const phase2 = { contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer", term_months: "3" };
+
+    const dry = await h.post("/api/generate-and-send", contractBody({ ...phase2, dry_run: true }));
+    assert.deepEqual(dry.body.approval.reasons, ["Phase 2 contracts always need approval", "Initial term of 3 months instead of 1 month"]);
+    assert.equal(h.fakes.slack.requests.length, 0);
+
+    const res = await h.post("/api/generate-and-send", contractBody(phase2));
+    assert.equal(res.status, 200);
+    assert.equal(res.body.approval.status, "pending");
+    assert.equal(res.body.signing_link, null);
+    assert.equal(res.body.steps.find((s) => s.name === "upload").reason, "needs approval");
+    assert.equal(h.fakes.signnow.requests.length, 0);
+    assert.deepEqual(h.fakes.slack.state.messages.map((m) => m.channel), ["C0APPROVALS"]);
+
+    // Sprint 1 isn't on the list
+    const sprint = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(sprint.body.approval, null);
+    assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+  });
+
+  test("fails the run when the contract can't be held for approval", async () => {
+    h.setEnv({ APPROVAL_CHANNEL_ID: "C0APPROVALS", APPROVAL_CONTRACT_TYPES: "sprint1" });
+    h.fakes.slack.failNext("POST /api/chat.postMessage", 200, { ok: false, error: "channel_not_found" });
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.failed_step, "approval");
+    assert.equal(res.body.message, "Approval failed: Slack: channel_not_found");
+    assert.equal(res.body.steps.find((s) => s.name === "upload").reason, "approval failed");
+    assert.equal(h.fakes.signnow.requests.length, 0);
+
+    const [summary] = h.fakes.slack.state.messages;
+    assert.equal(summary.text, "Contract pipeline failed for Acme Robotics");
+  });
+
+  test("rejects requests without the API key", async () => {
+    const res = await h.post("/api/generate-and-send", contractBody(), { auth: false });
+    assert.equal(res.status, 401);
+    assert.equal(h.fakes.signnow.requests.length, 0);
+  });
+
+  test("keeps the contract registry closed while API_KEY isn't set", async () => {
+    const created = await h.post("/api/generate-and-send", contractBody());
+    assert.equal((await h.get("/api/contracts/" + created.body.contract_id)).status, 200);
+
+    h.setEnv({ API_KEY: "" });
+    assert.equal((await h.get("/api/contracts", { auth: false })).status, 503);
+    assert.equal((await h.get("/api/contracts/" + created.body.contract_id, { auth: false })).status, 503);
+  });
+
+  test("answers 503 naming the missing settings when misconfigured", async () => {
+    delete process.env.STRIPE_SECRET_KEY;
+    require("../lib/config").resetConfig();
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body.missing, ["STRIPE_SECRET_KEY"]);
+    assert.equal(h.fakes.signnow.requests.length, 0);
+  });
+
+  test("fails the run when the SignNow upload fails, and the retry resumes it", async () => {
+    h.fakes.signnow.failNext("POST /document", 500, { errors: [{ message: "conversion failed" }] });
+
+    const failed = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(failed.status, 500);
+    assert.equal(failed.body.success, false);
+    const upload = failed.body.steps.find((s) => s.name === "upload");
+    assert.equal(upload.status, "failed");
+    assert.match(upload.error, /conversion failed/);
+    // Nothing after a critical failure talks to the other services
+    assert.equal(h.fakes.clickup.requests.length, 0);
+    assert.equal(h.fakes.slack.state.messages[0].text, "Contract pipeline failed for Acme Robotics");
+
+    const retried = await h.post(`/api/runs/${failed.body.run_id}/retry`, {});
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.success, true);
+    assert.equal(retried.body.contract_id, failed.body.contract_id);
+    assert.equal(h.fakes.signnow.find("POST /document").length, 2);
+    assert.equal(h.fakes.clickup.find("POST /api/v2/list/:list/task").length, 1);
+  });
+
+  test("refuses to retry a run another request is still executing", async () => {
+    h.fakes.signnow.failNext("POST /document", 500, { errors: [{ message: "conversion failed" }] });
+    const failed = await h.post("/api/generate-and-send", contractBody());
+
+    const { claimRun, releaseRun } = require("../lib/pipeline/runs");
+    const lock = await claimRun(failed.body.run_id);
+    const busy = await h.post(`/api/runs/${failed.body.run_id}/retry`, {});
+    assert.equal(busy.status, 409);
+    assert.match(busy.body.error, /is already running/);
+    assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+
+    await releaseRun(failed.body.run_id, lock);
+    const retried = await h.post(`/api/runs/${failed.body.run_id}/retry`, {});
+    assert.equal(retried.status, 200);
+  });
+
+  test("falls back to the SignNow web app link when the embedded invite fails", async () => {
+    h.fakes.signnow.failNext("POST /v2/documents/:id/embedded-invites", 400, { errors: [{ message: "role not found" }] });
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.status, 200);
+    assert.match(res.body.signing_link, /^https:\/\/app\.signnow\.com\/webapp\/document\/doc_/);
+  });
+
+  test("reports a ClickUp failure without failing the contract", async () => {
+    h.fakes.clickup.failNext("POST /api/v2/list/:list/task", 401, { err: "Token invalid", ECODE: "OAUTH_025" });
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    const task = res.body.steps.find((s) => s.name === "task");
+    assert.equal(task.status, "failed");
+    assert.match(task.error, /ClickUp POST \/list\/901\/task failed \(401\): Token invalid/);
+
+    const { getRun } = require("../lib/pipeline/runs");
+    assert.equal((await getRun(res.body.run_id)).status, "partial");
+  });
+
+  test("retries Slack rate limits, honoring Retry-After", async () => {
+    h.fakes.slack.failNext("POST /api/chat.postMessage", 429, { ok: false, error: "ratelimited" }, { headers: { "Retry-After": "0" } });
+
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.body.steps.find((s) => s.name === "notify").status, "ok");
+    assert.equal(h.fakes.slack.find("POST /api/chat.postMessage").length, 2);
+  });
+
+  test("replays the first response for a repeated Idempotency-Key", async () => {
+    const headers = { "Idempotency-Key": "form-123" };
+    const first = await h.post("/api/generate-and-send", contractBody(), { headers });
+    const second = await h.post("/api/generate-and-send", contractBody(), { headers });
+
+    assert.equal(second.status, 200);
+    assert.equal(second.headers["idempotent-replayed"], "true");
+    assert.equal(second.body.contract_id, first.body.contract_id);
+    assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+
+    const changed = await h.post("/api/generate-and-send", contractBody({ amount: "9000" }), { headers });
+    assert.equal(changed.status, 422);
+  });
+
+  test("a repeat takes over a key whose request died, resuming its run", async () => {
+    const headers = { "Idempotency-Key": "form-456" };
+    h.fakes.signnow.failNext("POST /document", 500, { errors: [{ message: "conversion failed" }] });
+    const first = await h.post("/api/generate-and-send", contractBody(), { headers });
+    assert.equal(first.status, 500);
+
+    // As if the request had been killed before it answered: its claim is
+    // still in progress and its lease still holds
+    const key = await h.store().get("idempotency_keys", "form-456");
+    await h.store().put("idempotency_keys", "form-456", { ...key, status: "in_progress", response: undefined });
+    await h.store().put("locks", "idempotency:form-456", { name: "idempotency:form-456", token: "dead", expires_at: new Date(Date.now() + 60000).toISOString() });
+    const busy = await h.post("/api/generate-and-send", contractBody(), { headers });
+    assert.equal(busy.status, 409);
+
+    await h.store().put("locks", "idempotency:form-456", { name: "idempotency:form-456", token: "dead", expires_at: new Date(Date.now() - 1000).toISOString() });
+    const repeat = await h.post("/api/generate-and-send", contractBody(), { headers });
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.body.run_id, first.body.run_id);
+    assert.equal(repeat.body.contract_id, first.body.contract_id);
+    assert.equal(h.fakes.signnow.find("POST /document").length, 2);
+
+    const replay = await h.post("/api/generate-and-send", contractBody(), { headers });
+    assert.equal(replay.headers["idempotent-replayed"], "true");
+  });
+});
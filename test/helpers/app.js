@@ -0,0 +1,124 @@
+/**
+ * Serves the /api handlers in-process the way Vercel does: the file under
+ * api/ that matches the path ([id] segments land in req.query), req.body
+ * parsed unless the route turns the body parser off, and the res.status()
+ * / .json() / .send() helpers. Routes that call each other (lib/self.js)
+ * reach this server through PUBLIC_BASE_URL.
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const querystring = require("querystring");
+
+const API_DIR = path.join(__dirname, "..", "..", "api");
+
+// api/<segments>.js, api/<segments>/index.js, with [param] files/dirs as wildcards
+function resolveRoute(pathname) {
+  const segments = pathname.replace(/^\/api\/?/, "").split("/").filter(Boolean);
+  const params = {};
+  let dir = API_DIR;
+
+  for (let i = 0; i < segments.length; i++) {
+    const last = i === segments.length - 1;
+    const entries = fs.readdirSync(dir);
+    const dynamic = (suffix) => entries.find((e) => /^\[\w+\]/.test(e) && e.endsWith(suffix) && e.length > suffix.length + 2);
+    const name = segments[i];
+
+    if (last && entries.includes(name + ".js")) return { file: path.join(dir, name + ".js"), params };
+    if (entries.includes(name) && fs.statSync(path.join(dir, name)).isDirectory()) {
+      dir = path.join(dir, name);
+      continue;
+    }
+    const file = last && dynamic(".js");
+    if (file) {
+      params[file.slice(1, file.indexOf("]"))] = decodeURIComponent(name);
+      return { file: path.join(dir, file), params };
+    }
+    const sub = entries.find((e) => /^\[\w+\]$/.test(e) && fs.statSync(path.join(dir, e)).isDirectory());
+    if (!sub) return null;
+    params[sub.slice(1, -1)] = decodeURIComponent(name);
+    dir = path.join(dir, sub);
+  }
+  return fs.existsSync(path.join(dir, "index.js")) ? { file: path.join(dir, "index.js"), params } : null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function parseBody(text, contentType = "") {
+  if (!text) return {};
+  if (contentType.startsWith("application/x-www-form-urlencoded")) return { ...querystring.parse(text) };
+  try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+function decorate(res) {
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => {
+    if (!res.getHeader("Content-Type")) res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    if (Buffer.isBuffer(body) || typeof body === "string") res.end(body);
+    else res.json(body);
+    return res;
+  };
+  return res;
+}
+
+async function dispatch(req, res) {
+  const url = new URL(req.url, "http://app");
+  const route = resolveRoute(url.pathname);
+  decorate(res);
+  if (!route) return res.status(404).json({ error: "No route for " + url.pathname });
+
+  const handler = require(route.file);
+  req.query = { ...Object.fromEntries(url.searchParams), ...route.params };
+  const bodyParser = !(handler.config && handler.config.api && handler.config.api.bodyParser === false);
+  if (bodyParser) req.body = parseBody(await readBody(req), req.headers["content-type"]);
+
+  try {
+    await handler(req, res);
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ error: "Unhandled: " + err.message });
+  }
+}
+
+/**
+ * Starts the app on a free port and points PUBLIC_BASE_URL at it.
+ * Resolves to { url, request(method, path, { headers, body }), stop() };
+ * request() resolves to { status, headers, body } (JSON parsed when it is).
+ */
+function startApp() {
+  const server = http.createServer((req, res) => { dispatch(req, res); });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => {
+    const url = "http://127.0.0.1:" + server.address().port;
+    process.env.PUBLIC_BASE_URL = url;
+
+    async function request(method, pathname, { headers = {}, body } = {}) {
+      const res = await fetch(url + pathname, { method, headers, body });
+      const text = await res.text();
+      let parsed = text;
+      try { parsed = text ? JSON.parse(text) : null; } catch (e) { /* leave as text */ }
+      return { status: res.status, headers: Object.fromEntries(res.headers), body: parsed };
+    }
+
+    resolve({
+      url,
+      request,
+      stop: () => new Promise((done) => {
+        server.closeAllConnections();
+        server.close(done);
+      }),
+    });
+  }));
+}
+
+module.exports = { startApp, resolveRoute };
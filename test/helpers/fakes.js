@@ -0,0 +1,394 @@
+/**
+ * Local fakes of the SignNow, Stripe, Slack and ClickUp endpoints the app
+ * uses, and of a Vercel KV / Upstash REST store. Each is a real HTTP server on 127.0.0.1; installFakes() points
+ * lib/http.js at them, so the integrations run their normal code paths
+ * and nothing leaves the machine (a request to any other host fails).
+ *
+ * Every fake records what it received:
+ *
+ *   fake.requests            → [{ method, path, query, headers, body }]
+ *   fake.find("POST /document/:id") → the requests for one route
+ *
+ * bodies parsed as JSON, form fields ({ "metadata[company]": ... }) or,
+ * for multipart uploads, { filename, content_type, bytes }. Routes
+ * answer from a little in-memory state (fake.state); to test failure
+ * paths, queue canned responses ahead of it:
+ *
+ *   fakes.stripe.failNext("POST /v1/invoices", 500, { error: { message: "boom" } });
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+const { setTransport, nodeTransport } = require("../../lib/http");
+
+function reply(status, body, headers = {}) {
+  return { reply: true, status, body, headers };
+}
+
+function parseBody(raw, contentType = "") {
+  if (!raw.length) return null;
+  if (contentType.startsWith("multipart/form-data")) {
+    const text = raw.toString("latin1");
+    const filename = (text.match(/filename="([^"]+)"/) || [])[1] || null;
+    const partType = (text.match(/\r\nContent-Type: ([^\r\n]+)\r\n\r\n/) || [])[1] || null;
+    return { filename, content_type: partType, bytes: raw.length };
+  }
+  const text = raw.toString("utf8");
+  if (contentType.startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  try { return JSON.parse(text); } catch (e) { return text; }
+}
+
+function compileRoute(route) {
+  const [method, pattern] = route.split(" ");
+  const names = [];
+  const regex = new RegExp("^" + pattern.replace(/:(\w+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  }) + "$");
+  return { route, method, regex, names };
+}
+
+function createFakeService(name, routes, initialState) {
+  const compiled = Object.keys(routes).map(compileRoute);
+  const fake = {
+    name,
+    url: null,
+    requests: [],
+    state: initialState(),
+    queued: [],
+
+    failNext(route, status, body, { times = 1, headers } = {}) {
+      for (let i = 0; i < times; i++) this.queued.push({ route, response: reply(status, body, headers) });
+    },
+    find(route) {
+      const { method, regex } = compileRoute(route);
+      return this.requests.filter((r) => r.method === method && regex.test(r.path));
+    },
+    reset() {
+      this.requests = [];
+      this.queued = [];
+      this.state = initialState();
+    },
+  };
+
+  function match(method, path) {
+    for (const c of compiled) {
+      const m = c.method === method && path.match(c.regex);
+      if (m) return { route: c.route, params: Object.fromEntries(c.names.map((n, i) => [n, decodeURIComponent(m[i + 1])])) };
+    }
+    return null;
+  }
+
+  fake.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://fake");
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: parseBody(Buffer.concat(chunks), req.headers["content-type"]),
+      };
+      fake.requests.push(request);
+
+      const found = match(req.method, url.pathname);
+      let out;
+      const queuedAt = found ? fake.queued.findIndex((q) => q.route === found.route) : -1;
+      if (queuedAt !== -1) {
+        out = fake.queued.splice(queuedAt, 1)[0].response;
+      } else if (!found) {
+        out = reply(404, { error: `${name} fake: no route for ${req.method} ${url.pathname}` });
+      } else {
+        try {
+          out = await routes[found.route]({ ...request, params: found.params }, fake.state);
+        } catch (err) {
+          out = reply(500, { error: err.message });
+        }
+      }
+      if (!out || !out.reply) out = reply(200, out);
+
+      const payload = Buffer.isBuffer(out.body) ? out.body
+        : typeof out.body === "string" ? Buffer.from(out.body)
+        : Buffer.from(JSON.stringify(out.body === undefined ? {} : out.body));
+      res.writeHead(out.status, {
+        "Content-Type": Buffer.isBuffer(out.body) ? "application/octet-stream" : "application/json",
+        ...out.headers,
+      });
+      res.end(payload);
+    });
+  });
+
+  fake.start = () => new Promise((resolve) => fake.server.listen(0, "127.0.0.1", () => {
+    fake.url = "http://127.0.0.1:" + fake.server.address().port;
+    resolve(fake);
+  }));
+  fake.stop = () => new Promise((resolve) => {
+    fake.server.closeAllConnections();
+    fake.server.close(resolve);
+  });
+  return fake;
+}
+
+const newId = (prefix) => prefix + crypto.randomBytes(6).toString("hex");
+
+// ==================== SIGNNOW ====================
+
+const SIGNED_PDF = Buffer.from("%PDF-1.4\n% signed copy from the SignNow fake\n%%EOF\n");
+
+function signnowFake() {
+  return createFakeService("signnow", {
+    "POST /oauth2/token": (req, state) => {
+      state.tokens += 1;
+      return { access_token: "sn-token-" + state.tokens, refresh_token: "sn-refresh-" + state.tokens, expires_in: 3600 };
+    },
+    "POST /document": (req, state) => {
+      const doc = { id: newId("doc_"), document_name: req.body.filename, page_count: 3, roles: [], fields: [] };
+      state.documents[doc.id] = doc;
+      return { id: doc.id };
+    },
+    "GET /document/:id": (req, state) => {
+      const doc = state.documents[req.params.id];
+      return doc ? doc : reply(404, { errors: [{ code: 65582, message: "Document not found" }] });
+    },
+    "PUT /document/:id": (req, state) => {
+      const doc = state.documents[req.params.id];
+      if (!doc) return reply(404, { errors: [{ message: "Document not found" }] });
+      doc.fields = req.body.fields;
+      doc.roles = [...new Set(req.body.fields.map((f) => f.role))].map((role) => ({ name: role, unique_id: "role_" + role.toLowerCase() }));
+      return { id: doc.id };
+    },
+    "POST /v2/documents/:id/embedded-invites": (req) => ({
+      data: req.body.invites.map((invite, i) => ({ id: "invite_" + req.params.id + "_" + i, email: invite.email, role_id: invite.role_id, status: "pending" })),
+    }),
+    "DELETE /v2/documents/:id/embedded-invites": () => ({ status: "success" }),
+    "POST /v2/documents/:id/embedded-invites/:invite/link": (req) => ({
+      data: { link: "https://signnow.test/s/" + req.params.invite },
+    }),
+    "POST /api/v2/events": () => ({ id: newId("sub_") }),
+    "GET /document/:id/download": () => SIGNED_PDF,
+  }, () => ({ tokens: 0, documents: {} }));
+}
+
+// ==================== STRIPE ====================
+
+function stripeFake() {
+  const service = createFakeService("stripe", {
+    "GET /v1/customers": (req, state) => ({
+      object: "list",
+      data: Object.values(state.customers).filter((c) => !req.query.email || c.email === req.query.email),
+    }),
+    "GET /v1/customers/search": (req, state) => {
+      const company = (req.query.query.match(/^metadata\['company'\]:'(.*)'$/) || [])[1];
+      return { object: "search_result", data: Object.values(state.customers).filter((c) => c.metadata.company === company) };
+    },
+    "POST /v1/customers": (req, state) => {
+      const customer = {
+        id: newId("cus_"), object: "customer", created: Math.floor(Date.now() / 1000),
+        email: req.body.email, name: req.body.name,
+        metadata: { company: req.body["metadata[company]"] },
+      };
+      state.customers[customer.id] = customer;
+      return customer;
+    },
+    "POST /v1/customers/:id": (req, state) => {
+      const customer = state.customers[req.params.id];
+      if (!customer) return reply(404, { error: { type: "invalid_request_error", message: "No such customer" } });
+      if (req.body.name) customer.name = req.body.name;
+      if (req.body["metadata[company]"]) customer.metadata.company = req.body["metadata[company]"];
+      return customer;
+    },
+    "POST /v1/prices": (req) => ({ id: newId("price_"), unit_amount: Number(req.body.unit_amount), recurring: { interval: req.body["recurring[interval]"] } }),
+    "POST /v1/subscriptions": (req, state) => {
+      const invoice = { id: newId("in_"), object: "invoice", status: "draft", customer: req.body.customer };
+      state.invoices[invoice.id] = invoice;
+      return { id: newId("sub_"), object: "subscription", status: "active", customer: req.body.customer, latest_invoice: invoice.id };
+    },
+    "POST /v1/invoices": (req, state) => {
+      const invoice = { id: newId("in_"), object: "invoice", status: "draft", customer: req.body.customer, metadata: {} };
+      for (const [key, value] of Object.entries(req.body)) {
+        const m = key.match(/^metadata\[(.+)\]$/);
+        if (m) invoice.metadata[m[1]] = value;
+      }
+      state.invoices[invoice.id] = invoice;
+      return invoice;
+    },
+    "POST /v1/invoiceitems": (req) => ({ id: newId("ii_"), invoice: req.body.invoice, amount: Number(req.body.amount) }),
+    "POST /v1/invoices/:id/finalize": (req, state) => {
+      const invoice = state.invoices[req.params.id];
+      if (!invoice) return reply(404, { error: { type: "invalid_request_error", message: "No such invoice" } });
+      Object.assign(invoice, { status: "open", hosted_invoice_url: "https://invoice.stripe.test/" + invoice.id, invoice_pdf: "https://invoice.stripe.test/" + invoice.id + ".pdf" });
+      return invoice;
+    },
+    "POST /v1/invoices/:id/void": (req, state) => {
+      const invoice = state.invoices[req.params.id];
+      if (!invoice) return reply(404, { error: { type: "invalid_request_error", message: "No such invoice" } });
+      if (invoice.status !== "open") return reply(400, { error: { type: "invalid_request_error", message: "You can only void open invoices" } });
+      invoice.status = "void";
+      return invoice;
+    },
+    "DELETE /v1/subscriptions/:id": (req) => ({ id: req.params.id, object: "subscription", status: "canceled" }),
+  }, () => ({ customers: {}, invoices: {}, idempotent: {} }));
+
+  // Like Stripe, a repeated Idempotency-Key gets the first response back
+  const handle = service.server.listeners("request")[0];
+  service.server.removeAllListeners("request");
+  service.server.on("request", (req, res) => {
+    const key = req.headers["idempotency-key"];
+    const seen = key && service.state.idempotent[key];
+    if (seen) {
+      service.requests.push({ method: req.method, path: req.url.split("?")[0], query: {}, headers: req.headers, body: null, replayed: true });
+      req.resume();
+      res.writeHead(seen.status, { "Content-Type": "application/json", "Idempotent-Replayed": "true" });
+      return res.end(seen.body);
+    }
+    if (key) {
+      const end = res.end.bind(res);
+      res.end = (body) => {
+        if (res.statusCode < 500) service.state.idempotent[key] = { status: res.statusCode, body };
+        return end(body);
+      };
+    }
+    handle(req, res);
+  });
+  return service;
+}
+
+// ==================== SLACK ====================
+
+function slackFake() {
+  return createFakeService("slack", {
+    "POST /api/views.open": (req, state) => {
+      if (!req.body.trigger_id) return { ok: false, error: "invalid_trigger" };
+      state.views.push(req.body.view);
+      return { ok: true, view: { id: newId("V"), ...req.body.view } };
+    },
+    "POST /api/views.update": (req, state) => {
+      if (!req.body.view_id) return { ok: false, error: "not_found" };
+      state.views.push(req.body.view);
+      return { ok: true, view: { id: req.body.view_id, ...req.body.view } };
+    },
+    "POST /api/chat.postMessage": (req, state) => {
+      if (!req.body.channel) return { ok: false, error: "channel_not_found" };
+      state.ts += 1;
+      // Posting to a user id opens the bot's DM with them
+      const channel = req.body.channel.replace(/^U/, "D");
+      const message = { channel, ts: "1700000000." + String(state.ts).padStart(6, "0"), text: req.body.text, thread_ts: req.body.thread_ts };
+      state.messages.push({ ...message, blocks: req.body.blocks });
+      return { ok: true, ...message };
+    },
+    "POST /api/chat.update": (req, state) => {
+      const message = state.messages.find((m) => m.channel === req.body.channel && m.ts === req.body.ts);
+      if (!message) return { ok: false, error: "message_not_found" };
+      Object.assign(message, { text: req.body.text, blocks: req.body.blocks, edits: (message.edits || 0) + 1 });
+      return { ok: true, channel: message.channel, ts: message.ts, text: message.text };
+    },
+    "POST /api/chat.postEphemeral": (req, state) => {
+      if (!req.body.channel || !req.body.user) return { ok: false, error: "channel_not_found" };
+      state.ephemerals.push({ channel: req.body.channel, user: req.body.user, text: req.body.text, blocks: req.body.blocks });
+      return { ok: true, message_ts: "1700000000.999999" };
+    },
+  }, () => ({ ts: 0, views: [], messages: [], ephemerals: [] }));
+}
+
+// ==================== CLICKUP ====================
+
+function clickupFake() {
+  return createFakeService("clickup", {
+    "POST /api/v2/list/:list/task": (req, state) => {
+      const task = { id: newId("cu"), list: req.params.list, ...req.body, url: null };
+      task.url = "https://app.clickup.test/t/" + task.id;
+      state.tasks[task.id] = task;
+      return task;
+    },
+    "PUT /api/v2/task/:id": (req, state) => {
+      const task = state.tasks[req.params.id];
+      if (!task) return reply(404, { err: "Task not found", ECODE: "ITEM_013" });
+      Object.assign(task, req.body);
+      return task;
+    },
+    "POST /api/v2/task/:id/field/:field": (req, state) => {
+      const task = state.tasks[req.params.id];
+      if (!task) return reply(404, { err: "Task not found", ECODE: "ITEM_013" });
+      task.fields = { ...task.fields, [req.params.field]: req.body.value };
+      return {};
+    },
+  }, () => ({ tasks: {} }));
+}
+
+// ==================== KV (Upstash REST) ====================
+
+const KV_TOKEN = "kv-token";
+
+function runKvCommand([name, ...args], state) {
+  const set = (key) => state.sets[key] || (state.sets[key] = new Set());
+  switch (String(name).toUpperCase()) {
+    case "GET": return state.strings[args[0]] ?? null;
+    case "MGET": return args.map((key) => state.strings[key] ?? null);
+    case "SET": {
+      const [key, value, flag] = args;
+      if (flag === "NX" && key in state.strings) return null;
+      state.strings[key] = value;
+      return "OK";
+    }
+    case "DEL": return args.filter((key) => key in state.strings && delete state.strings[key]).length;
+    case "SADD": return args.slice(1).filter((m) => !set(args[0]).has(m) && set(args[0]).add(m)).length;
+    case "SREM": return args.slice(1).filter((m) => set(args[0]).delete(m)).length;
+    case "SMEMBERS": return [...set(args[0])];
+    default: throw new Error("ERR unknown command " + name);
+  }
+}
+
+function kvFake() {
+  const authorized = (req) => req.headers.authorization === "Bearer " + KV_TOKEN;
+  const run = (command, state) => {
+    try { return { result: runKvCommand(command, state) }; }
+    catch (err) { return { error: err.message }; }
+  };
+  return createFakeService("kv", {
+    "POST /": (req, state) => (authorized(req) ? run(req.body, state) : reply(401, { error: "Unauthorized" })),
+    "POST /pipeline": (req, state) => (authorized(req) ? req.body.map((c) => run(c, state)) : reply(401, { error: "Unauthorized" })),
+  }, () => ({ strings: {}, sets: {} }));
+}
+
+// ==================== INSTALL ====================
+
+const HOSTS = {
+  "api.signnow.com": "signnow",
+  "api.stripe.com": "stripe",
+  "slack.com": "slack",
+  "api.clickup.com": "clickup",
+  "kv.upstash.test": "kv",
+};
+
+/**
+ * Starts every fake and routes lib/http.js requests to them.
+ * Resolves to { signnow, stripe, slack, clickup, kv, reset(), stop() }.
+ */
+async function installFakes() {
+  const fakes = { signnow: signnowFake(), stripe: stripeFake(), slack: slackFake(), clickup: clickupFake(), kv: kvFake() };
+  await Promise.all(Object.values(fakes).map((f) => f.start()));
+
+  setTransport((req) => {
+    const target = new URL(req.url);
+    const fake = fakes[HOSTS[target.hostname]];
+    if (!fake) return Promise.reject(new Error("Unexpected request to " + target.host + " (no fake for it)"));
+    return nodeTransport({ ...req, url: fake.url + target.pathname + target.search });
+  });
+
+  return {
+    ...fakes,
+    reset() {
+      for (const fake of Object.values(fakes)) fake.reset();
+    },
+    async stop() {
+      setTransport(null);
+      await Promise.all(Object.values(fakes).map((f) => f.stop()));
+    },
+  };
+}
+
+module.exports = { installFakes, reply, SIGNED_PDF, KV_TOKEN };
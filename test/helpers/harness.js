@@ -0,0 +1,174 @@
+/**
+ * Test harness: a fully configured app (test/helpers/app.js) wired to the
+ * local fakes (test/helpers/fakes.js), an in-memory store, and helpers
+ * for the signed requests Slack, SignNow and Stripe send.
+ *
+ * Require it before anything under lib/ or api/ — the environment below
+ * has to be in place when lib/config.js first loads.
+ *
+ *   const h = await startHarness();    // in before()
+ *   beforeEach(() => h.reset());       // fresh store, fakes, tokens
+ *   h.setEnv({ APPROVAL_CHANNEL_ID: "C0APPROVALS" }); // until the next reset()
+ *   after(() => h.stop());
+ *
+ * Handler logs are silenced; set TEST_LOGS=1 to see them.
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+const ENV = {
+  SIGNNOW_CLIENT_ID: "sn-client-id",
+  SIGNNOW_CLIENT_SECRET: "sn-client-secret",
+  SIGNNOW_EMAIL: "ops@aeolabs.test",
+  SIGNNOW_PASSWORD: "sn-password",
+  SIGNNOW_WEBHOOK_SECRET: "sn-webhook-secret",
+  STRIPE_SECRET_KEY: "sk_test_fake",
+  STRIPE_WEBHOOK_SECRET: "whsec_fake",
+  SLACK_BOT_TOKEN: "xoxb-fake",
+  SLACK_CHANNEL_ID: "C0CONTRACTS",
+  SLACK_SIGNING_SECRET: "slack-signing-secret",
+  CLICKUP_API_TOKEN: "pk_fake",
+  CLICKUP_LIST_ID: "901",
+  API_KEY: "test-api-key",
+  INTERNAL_SIGNING_SECRET: "internal-secret",
+  CRON_SECRET: "cron-secret",
+  STORE_ADAPTER: "memory",
+};
+Object.assign(process.env, ENV);
+
+if (!process.env.TEST_LOGS) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+const { resetConfig } = require("../../lib/config");
+const { setStore, getStore } = require("../../lib/store");
+const { createMemoryStore } = require("../../lib/store/memory");
+const { clearTokenCache } = require("../../lib/signnow");
+const { installFakes } = require("./fakes");
+const { startApp } = require("./app");
+
+// A submission that passes validation; override fields per test
+function contractBody(overrides = {}) {
+  return {
+    contract_type: "sprint1",
+    client_company: "Acme Robotics",
+    client_first: "Ada",
+    client_last: "Lovelace",
+    client_title: "CEO",
+    client_email: "ada@acme.test",
+    amount: "5000",
+    deliverable: "AI search visibility audit",
+    ...overrides,
+  };
+}
+
+function slackHeaders(rawBody, secret = ENV.SLACK_SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = "v0=" + crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${rawBody}`).digest("hex");
+  return {
+    "Content-Type": "application/x-www-form-urlencoded",
+    "X-Slack-Request-Timestamp": String(timestamp),
+    "X-Slack-Signature": signature,
+  };
+}
+
+function signNowHeaders(rawBody, secret = ENV.SIGNNOW_WEBHOOK_SECRET) {
+  return {
+    "Content-Type": "application/json",
+    "X-SignNow-Signature": crypto.createHmac("sha256", secret).update(rawBody).digest("base64"),
+  };
+}
+
+function stripeHeaders(rawBody, secret = ENV.STRIPE_WEBHOOK_SECRET, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac("sha256", secret).update(timestamp + "." + rawBody).digest("hex");
+  return { "Content-Type": "application/json", "Stripe-Signature": `t=${timestamp},v1=${signature}` };
+}
+
+// Polls until fn() returns something truthy (background jobs, the worker)
+async function waitFor(fn, { timeoutMs = 15000, intervalMs = 50 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("waitFor timed out after " + timeoutMs + "ms");
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+// The body text of a generated .docx: word/document.xml out of the zip,
+// found through its central directory
+function docxText(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let at = zip.readUInt32LE(end + 16);
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    const nameLength = zip.readUInt16LE(at + 28);
+    if (zip.toString("utf8", at + 46, at + 46 + nameLength) === "word/document.xml") {
+      const local = zip.readUInt32LE(at + 42);
+      const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+      const data = zip.subarray(start, start + zip.readUInt32LE(at + 20));
+      const xml = zip.readUInt16LE(at + 10) === 8 ? zlib.inflateRawSync(data) : data;
+      return xml.toString("utf8").replace(/<[^>]+>/g, "");
+    }
+    at += 46 + nameLength + zip.readUInt16LE(at + 30) + zip.readUInt16LE(at + 32);
+  }
+  throw new Error("No word/document.xml in the .docx");
+}
+
+async function startHarness() {
+  const fakes = await installFakes();
+  const app = await startApp();
+
+  const extraEnv = new Set();
+  const h = {
+    fakes,
+    app,
+    store: () => getStore(),
+    reset() {
+      for (const key of extraEnv) delete process.env[key];
+      extraEnv.clear();
+      Object.assign(process.env, ENV, { PUBLIC_BASE_URL: app.url });
+      resetConfig();
+      setStore(createMemoryStore());
+      clearTokenCache();
+      fakes.reset();
+    },
+    // Settings beyond ENV for one test; reset() takes them away again
+    setEnv(vars) {
+      for (const key of Object.keys(vars)) extraEnv.add(key);
+      Object.assign(process.env, vars);
+      resetConfig();
+    },
+    // JSON to a route, with the API key unless `auth: false`
+    post(path, body, { headers = {}, auth = true } = {}) {
+      return app.request("POST", path, {
+        headers: { "Content-Type": "application/json", ...(auth ? { Authorization: "Bearer " + ENV.API_KEY } : {}), ...headers },
+        body: JSON.stringify(body),
+      });
+    },
+    get(path, { auth = true } = {}) {
+      return app.request("GET", path, { headers: auth ? { Authorization: "Bearer " + ENV.API_KEY } : {} });
+    },
+    // A signed Slack form post (slash command fields or { payload })
+    slack(path, fields, { headers = {} } = {}) {
+      const raw = new URLSearchParams(fields).toString();
+      return app.request("POST", path, { headers: { ...slackHeaders(raw), ...headers }, body: raw });
+    },
+    signNowEvent(event, docId, { headers = {} } = {}) {
+      const raw = JSON.stringify({ meta: { event }, content: { document_id: docId } });
+      return app.request("POST", "/api/signnow-webhook", { headers: { ...signNowHeaders(raw), ...headers }, body: raw });
+    },
+    stripeEvent(type, object, { headers = {}, id = "evt_" + crypto.randomBytes(6).toString("hex") } = {}) {
+      const raw = JSON.stringify({ id, type, created: Math.floor(Date.now() / 1000), data: { object } });
+      return app.request("POST", "/api/stripe-webhook", { headers: { ...stripeHeaders(raw), ...headers }, body: raw });
+    },
+    async stop() {
+      await app.stop();
+      await fakes.stop();
+    },
+  };
+  h.reset();
+  return h;
+}
+
+module.exports = { ENV, startHarness, contractBody, waitFor, docxText, slackHeaders, signNowHeaders, stripeHeaders };
@@ -0,0 +1,78 @@
+const { test, describe, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { request, setTransport, HttpError } = require("../lib/http");
+
+// A transport that answers from a script and records what was sent
+let calls;
+function script(...responses) {
+  calls = [];
+  setTransport(async (req) => {
+    calls.push(req);
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return { status: next.status, headers: next.headers || {}, body: Buffer.from(next.body || "") };
+  });
+}
+
+const timeout = () => Object.assign(new Error("timed out after 10ms"), { code: "ETIMEDOUT" });
+
+describe("lib/http request()", () => {
+  beforeEach(() => script());
+  after(() => setTransport(null));
+
+  test("sends objects as JSON and parses JSON responses", async () => {
+    script({ status: 200, body: '{"ok":true}' });
+    const res = await request({ service: "slack", method: "POST", url: "https://slack.test/api/x", body: { a: 1 } });
+
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(calls[0].body, '{"a":1}');
+    assert.equal(calls[0].headers["Content-Type"], "application/json");
+    assert.equal(calls[0].headers["Content-Length"], 7);
+  });
+
+  test("retries 429s after Retry-After", async () => {
+    script({ status: 429, headers: { "retry-after": "0" } }, { status: 200, body: "{}" });
+    await request({ method: "POST", url: "https://api.test/x", body: "a=1" });
+    assert.equal(calls.length, 2);
+  });
+
+  test("retries 5xx and timeouts only when the request is safe to repeat", async () => {
+    script({ status: 503 }, timeout(), { status: 200, body: "{}" });
+    await request({ method: "GET", url: "https://api.test/x" });
+    assert.equal(calls.length, 3);
+
+    script({ status: 502, body: "bad gateway" });
+    await assert.rejects(request({ method: "POST", url: "https://api.test/x", body: "a=1" }),
+      (err) => err instanceof HttpError && err.status === 502 && err.body === "bad gateway");
+    assert.equal(calls.length, 1);
+
+    script({ status: 500 }, { status: 200, body: "{}" });
+    await request({ method: "POST", url: "https://api.test/x", headers: { "Idempotency-Key": "k1" }, body: "a=1" });
+    assert.equal(calls.length, 2);
+  });
+
+  test("gives up after the configured retries with a timeout error", async () => {
+    script(timeout(), timeout());
+    await assert.rejects(request({ service: "signnow", url: "https://api.test/doc", retries: 1 }),
+      (err) => err.code === "timeout" && err.service === "signnow" && err.path === "/doc");
+    assert.equal(calls.length, 2);
+  });
+
+  test("refuses a success response that isn't the JSON it promised", async () => {
+    script({ status: 200, body: "<html>maintenance</html>" });
+    await assert.rejects(request({ url: "https://api.test/x" }), (err) => err.code === "invalid_json" && err.status === 200);
+  });
+
+  test("hands back error responses when throwHttpErrors is off", async () => {
+    script({ status: 404, body: '{"error":"missing"}' });
+    const res = await request({ url: "https://api.test/x", throwHttpErrors: false, retries: 0 });
+    assert.deepEqual(res, { status: 404, headers: {}, body: { error: "missing" } });
+  });
+
+  test("returns buffers untouched", async () => {
+    script({ status: 200, body: "%PDF-1.4" });
+    const res = await request({ url: "https://api.test/file", responseType: "buffer" });
+    assert.ok(Buffer.isBuffer(res.body));
+    assert.equal(res.body.toString(), "%PDF-1.4");
+  });
+});
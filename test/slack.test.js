@@ -0,0 +1,531 @@
+const { test, describe, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, waitFor, slackHeaders, docxText } = require("./helpers/harness");
+const { getJob, listJobs } = require("../lib/queue");
+const { getRun } = require("../lib/pipeline/runs");
+const { RETRY_ACTION_ID, CONTRACT_ACTION_PREFIX } = require("../lib/pipeline/notify");
+const { getContract, listContracts } = require("../lib/contracts/registry");
+const { contractDocx } = require("../lib/contracts/actions");
+
+const DEFAULTS = {
+  client_company: "Acme Robotics", client_first: "Ada", client_last: "Lovelace", client_title: "CEO",
+  client_email: "Ada@Acme.test", amount: "$5,000", deliverable: "AI search visibility audit",
+};
+
+// The view_submission Slack sends for the /new-contract modal; pass
+// `undefined` for a field the selected type's modal doesn't show. `view`
+// overrides the view's own keys (callback_id, private_metadata), `user`
+// is who submits it.
+function submission(viewId, fields, view = {}, user = "U1") {
+  const values = {
+    contract_type: { value: { type: "static_select", selected_option: { value: fields.contract_type || "sprint1" } } },
+    dry_run: { value: { type: "checkboxes", selected_options: fields.dry_run ? [{ value: "true" }] : [] } },
+  };
+  for (const [key, value] of Object.entries({ ...DEFAULTS, ...fields })) {
+    if (key === "contract_type" || key === "dry_run" || value === undefined) continue;
+    values[key] = key === "date"
+      ? { value: { type: "datepicker", selected_date: value } }
+      : { value: { type: "plain_text_input", value } };
+  }
+  return { payload: JSON.stringify({
+    type: "view_submission",
+    user: { id: user },
+    view: { id: viewId, callback_id: "new_contract_submit", state: { values }, ...view },
+  }) };
+}
+
+async function finishedJob(id) {
+  return waitFor(async () => {
+    const job = await getJob(id);
+    return job && (job.status === "done" || job.status === "dead") ? job : null;
+  });
+}
+
+describe("Slack", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  beforeEach(() => h.reset());
+  after(() => h.stop());
+
+  describe("POST /api/slack-command", () => {
+    test("opens the contract modal for the slash command's trigger", async () => {
+      const res = await h.slack("/api/slack-command", { command: "/new-contract", trigger_id: "trig.123", user_id: "U1", user_name: "jeff" });
+
+      assert.equal(res.status, 200);
+      const [open] = h.fakes.slack.find("POST /api/views.open");
+      assert.equal(open.body.trigger_id, "trig.123");
+      assert.equal(open.body.view.callback_id, "new_contract_submit");
+      assert.equal(open.headers.authorization, "Bearer xoxb-fake");
+    });
+
+    test("shows a contract type's own fields once it is picked", async () => {
+      await h.slack("/api/slack-command", { command: "/new-contract", trigger_id: "trig.123" });
+      const [opened] = h.fakes.slack.state.views;
+      const typeBlock = opened.blocks.find((b) => b.block_id === "contract_type");
+      assert.equal(typeBlock.dispatch_action, true);
+      assert.equal(opened.blocks.some((b) => b.block_id === "scope" || b.block_id === "deliverable"), false);
+
+      const pick = (type) => h.slack("/api/slack-interact", { payload: JSON.stringify({
+        type: "block_actions",
+        view: { id: "V900", hash: "h.1", callback_id: "new_contract_submit" },
+        actions: [{ block_id: "contract_type", action_id: "value", type: "static_select", selected_option: { value: type } }],
+      }) });
+      const blockIds = (view) => view.blocks.map((b) => b.block_id).filter(Boolean);
+
+      await pick("phase2");
+      const [update] = h.fakes.slack.find("POST /api/views.update");
+      assert.deepEqual([update.body.view_id, update.body.hash], ["V900", "h.1"]);
+      assert.deepEqual(blockIds(update.body.view).slice(7), ["scope", "date", "billing_interval", "term_months", "custom_clauses", "dry_run"]);
+      const interval = update.body.view.blocks.find((b) => b.block_id === "billing_interval").element;
+      assert.deepEqual(interval.options.map((o) => o.value), ["month", "year"]);
+      assert.equal(interval.initial_option.value, "month");
+
+      await pick("sprint1");
+      const sprint = h.fakes.slack.state.views.at(-1);
+      assert.deepEqual(blockIds(sprint).slice(7), ["deliverable", "date", "custom_clauses", "dry_run"]);
+      assert.equal(sprint.blocks[0].element.initial_option.value, "sprint1");
+      assert.equal(await getJob("slack-view-V900"), null);
+    });
+
+    test("tells the user when Slack refuses to open the modal", async () => {
+      h.fakes.slack.failNext("POST /api/views.open", 200, { ok: false, error: "expired_trigger_id" });
+
+      const res = await h.slack("/api/slack-command", { command: "/new-contract", trigger_id: "trig.old" });
+      assert.equal(res.body.response_type, "ephemeral");
+      assert.match(res.body.text, /expired_trigger_id/);
+    });
+
+    test("rejects requests that aren't signed by Slack", async () => {
+      const raw = new URLSearchParams({ command: "/new-contract", trigger_id: "trig.123" }).toString();
+      const res = await h.app.request("POST", "/api/slack-command", {
+        headers: slackHeaders(raw, "someone-elses-secret"),
+        body: raw,
+      });
+      assert.equal(res.status, 401);
+      assert.equal(h.fakes.slack.requests.length, 0);
+    });
+
+    test("rejects replayed requests", async () => {
+      const raw = new URLSearchParams({ command: "/new-contract", trigger_id: "trig.123" }).toString();
+      const res = await h.app.request("POST", "/api/slack-command", {
+        headers: slackHeaders(raw, undefined, Math.floor(Date.now() / 1000) - 600),
+        body: raw,
+      });
+      assert.equal(res.status, 401);
+      assert.match(res.body.error, /replay window/);
+    });
+
+    test("fails closed, naming the setting, while the signing secret is missing", async () => {
+      h.setEnv({ SLACK_SIGNING_SECRET: "" });
+      const res = await h.slack("/api/slack-command", { command: "/new-contract", trigger_id: "trig.123" });
+      assert.equal(res.status, 503);
+      assert.deepEqual(res.body.missing, ["SLACK_SIGNING_SECRET"]);
+      assert.equal(h.fakes.slack.requests.length, 0);
+    });
+  });
+
+  describe("POST /api/slack-interact", () => {
+    test("a modal submission is queued, run by the worker and reported in the channel", async () => {
+      const res = await h.slack("/api/slack-interact", submission("V100", {}));
+      assert.deepEqual(res.body, { response_action: "clear" });
+
+      const job = await finishedJob("slack-view-V100");
+      assert.equal(job.status, "done");
+      assert.equal(job.result.success, true);
+
+      // The form's values reach the pipeline normalized
+      const [contract] = await listContracts();
+      assert.equal(contract.inputs.client_email, "ada@acme.test");
+      assert.equal(contract.inputs.amount, "5000");
+      assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+
+      const texts = h.fakes.slack.state.messages.filter((m) => m.channel === "C0CONTRACTS").map((m) => m.text);
+      assert.match(texts[0], /Generating contract for Acme Robotics/);
+      assert.equal(texts[1], "New contract created for Acme Robotics");
+    });
+
+    test("the worker takes its wake-up signed with the internal secret when there's no API key", async () => {
+      h.setEnv({ API_KEY: "" });
+      assert.equal((await h.post("/api/jobs/worker", {}, { auth: false })).status, 401);
+
+      await h.slack("/api/slack-interact", submission("V110", {}));
+      const job = await finishedJob("slack-view-V110");
+      assert.equal(job.result.success, true);
+    });
+
+    test("the submitter gets a DM that follows the run, and is tagged in the channel", async () => {
+      await h.slack("/api/slack-interact", submission("V160", {}));
+      await finishedJob("slack-view-V160");
+
+      // One DM, edited after every step and once more with the result
+      const dms = h.fakes.slack.state.messages.filter((m) => m.channel === "D1");
+      assert.equal(dms.length, 1);
+      assert.equal(dms[0].edits, h.fakes.slack.find("POST /api/chat.update").length);
+      assert.ok(dms[0].edits > 1);
+      assert.match(dms[0].text, /Your Sprint 1 contract for Acme Robotics is ready/);
+      assert.match(JSON.stringify(dms[0].blocks), /Send to Client for Signing/);
+
+      const channel = h.fakes.slack.state.messages.filter((m) => m.channel === "C0CONTRACTS");
+      assert.match(channel[0].text, /requested by <@U1>/);
+      assert.match(JSON.stringify(channel[1].blocks), /requested by <@U1>/);
+      assert.equal((await listContracts())[0].requested_by, "U1");
+    });
+
+    test("a retainer's start date, billing interval, term and custom clauses reach the contract", async () => {
+      await h.slack("/api/slack-interact", submission("V150", {
+        contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer",
+        date: "2026-11-02", billing_interval: "year", term_months: "6",
+        custom_clauses: "Client may pause services once a year.\n\nReports go to the CMO.",
+      }));
+      const job = await finishedJob("slack-view-V150");
+      assert.equal(job.result.success, true);
+
+      const [contract] = await listContracts();
+      assert.deepEqual(
+        [contract.inputs.date, contract.inputs.billing_interval, contract.inputs.term_months, contract.inputs.scope],
+        ["2026-11-02", "year", "6", "Monthly AEO retainer"]
+      );
+      assert.equal(contract.artifacts.clauses.at(-1), "custom");
+      assert.equal(contract.billing.pending.interval, "year");
+    });
+
+    test("a repeated submission of the same view runs once", async () => {
+      await h.slack("/api/slack-interact", submission("V200", {}));
+      await h.slack("/api/slack-interact", submission("V200", {}));
+
+      await finishedJob("slack-view-V200");
+      assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+      assert.equal((await listContracts()).length, 1);
+    });
+
+    test("invalid form values keep the modal open with an error under each field", async () => {
+      const res = await h.slack("/api/slack-interact", submission("V300", {
+        client_email: "not-an-email", amount: "lots", client_title: " ", deliverable: undefined, date: "2026-02-30x",
+      }));
+
+      assert.deepEqual(res.body, {
+        response_action: "errors",
+        errors: {
+          client_title: "Title is missing",
+          client_email: "Email \"not-an-email\" doesn't look like a valid email",
+          amount: "Amount \"lots\" must be a positive number",
+          deliverable: "Deliverable is missing",
+          date: "Start Date \"2026-02-30x\" must be a date (YYYY-MM-DD)",
+        },
+      });
+      assert.equal(await getJob("slack-view-V300"), null);
+      assert.equal(h.fakes.slack.requests.length, 0);
+    });
+
+    test("the retry button resumes a failed run", async () => {
+      h.fakes.signnow.failNext("POST /document", 500, { errors: [{ message: "conversion failed" }] });
+      await h.slack("/api/slack-interact", submission("V400", {}));
+      const first = await finishedJob("slack-view-V400");
+      assert.equal(first.result.success, false);
+
+      const summary = h.fakes.slack.state.messages.find((m) => m.text === "Contract pipeline failed for Acme Robotics");
+      const button = summary.blocks.flatMap((b) => b.elements || []).find((e) => e.action_id === RETRY_ACTION_ID);
+      assert.equal(button.value, first.result.run_id);
+
+      // A double click queues the retry once
+      const actions = { type: "block_actions", user: { id: "U1" }, actions: [{ action_id: RETRY_ACTION_ID, value: button.value }] };
+      await h.slack("/api/slack-interact", { payload: JSON.stringify(actions) });
+      await h.slack("/api/slack-interact", { payload: JSON.stringify(actions) });
+
+      const retryJob = await finishedJob(`retry-${button.value}-1`);
+      assert.equal(retryJob.result.success, true);
+      assert.equal((await listJobs({ type: "retry_run" })).length, 1);
+      assert.equal(h.fakes.signnow.find("POST /document").length, 2);
+      assert.equal(h.fakes.clickup.find("POST /api/v2/list/:list/task").length, 1);
+
+      // The retry picks up the submitter's DM where the failed attempt left it
+      const dms = h.fakes.slack.state.messages.filter((m) => m.channel === "D1");
+      assert.equal(dms.length, 1);
+      assert.match(dms[0].text, /is ready/);
+    });
+  });
+
+  describe("contract buttons", () => {
+    async function created(viewId) {
+      await h.slack("/api/slack-interact", submission(viewId, {}));
+      await finishedJob("slack-view-" + viewId);
+      const [contract] = await listContracts();
+      return { contract, message: h.fakes.slack.state.messages.find((m) => m.text === "New contract created for Acme Robotics") };
+    }
+
+    const buttons = (message) => message.blocks.filter((b) => b.block_id === "contract_actions").flatMap((b) => b.elements);
+    const labels = (message) => buttons(message).map((b) => b.text.text);
+
+    // Presses a contract button as U2 and waits for its job, if it queues one
+    async function press(message, contractId, action) {
+      const done = async () => (await listJobs({ type: "contract_action" })).filter((j) => j.status === "done").length;
+      const before = await done();
+      await h.slack("/api/slack-interact", { payload: JSON.stringify({
+        type: "block_actions",
+        user: { id: "U2" },
+        channel: { id: message.channel },
+        message: { ts: message.ts, blocks: message.blocks },
+        actions: [{ action_id: CONTRACT_ACTION_PREFIX + action, value: contractId }],
+      }) });
+      if (action !== "download") await waitFor(async () => (await done()) > before);
+    }
+
+    test("a sent contract's summary has the buttons its state allows", async () => {
+      const { message } = await created("V500");
+
+      assert.deepEqual(labels(message), ["Resend signing link", "Mark as signed manually", "Void invoice", "Cancel contract", "Download .docx"]);
+      const [, markSigned, voidInvoice] = buttons(message);
+      assert.match(markSigned.confirm.text.text, /invoiced right away/);
+      assert.equal(voidInvoice.style, "danger");
+    });
+
+    test("marking a contract signed bills it; voiding the invoice then voids it in Stripe", async () => {
+      const { contract, message } = await created("V510");
+      assert.equal(h.fakes.stripe.find("POST /v1/invoices").length, 0);
+
+      await press(message, contract.id, "mark_signed");
+      let updated = await getContract(contract.id);
+      assert.equal(updated.status, "signed");
+      assert.equal(updated.billing.pending, null);
+      assert.equal(h.fakes.stripe.find("POST /v1/invoices/:id/finalize").length, 1);
+      const thread = h.fakes.slack.state.messages.filter((m) => m.thread_ts === message.ts).map((m) => m.text);
+      assert.match(thread[0], /Contract marked as signed by <@U2>/);
+      assert.match(thread[1], /Stripe invoice created/);
+
+      // The summary is redrawn for the signed contract
+      assert.equal(message.edits, 1);
+      assert.deepEqual(labels(message), ["Void invoice", "Cancel contract", "Download .docx"]);
+      assert.match(JSON.stringify(message.blocks), /status: \*signed\*/);
+
+      await press(message, contract.id, "void_invoice");
+      updated = await getContract(contract.id);
+      assert.equal(h.fakes.stripe.state.invoices[updated.external.stripe_invoice_id].status, "void");
+      assert.deepEqual([updated.billing.invoice_status, updated.billing.voided_by], ["void", "U2"]);
+      assert.deepEqual(labels(message), ["Cancel contract", "Download .docx"]);
+      assert.equal(message.blocks.filter((b) => b.block_id === "contract_status").length, 1);
+    });
+
+    test("canceling a contract cancels its signing link and its pending billing", async () => {
+      const { contract, message } = await created("V520");
+
+      await press(message, contract.id, "cancel");
+      const updated = await getContract(contract.id);
+      assert.equal(updated.status, "terminated");
+      assert.equal(updated.billing.pending, null);
+      assert.equal(h.fakes.signnow.find("DELETE /v2/documents/:id/embedded-invites")[0].path, "/v2/documents/" + updated.external.signnow_document_id + "/embedded-invites");
+      assert.deepEqual(labels(message), ["Download .docx"]);
+
+      // A button from an older copy of the message is refused, to the presser only
+      await press({ ...message, blocks: [] }, contract.id, "mark_signed");
+      assert.equal((await getContract(contract.id)).status, "terminated");
+      const [refusal] = h.fakes.slack.state.ephemerals;
+      assert.equal(refusal.user, "U2");
+      assert.match(refusal.text, /"Mark as signed manually" isn't available/);
+    });
+
+    test("two actions at once on one contract: only one gets to run", async () => {
+      const { contract } = await created("V525");
+
+      const cancel = () => h.post(`/api/contracts/${contract.id}/actions`, { action: "cancel" });
+      const statuses = (await Promise.all([cancel(), cancel()])).map((r) => r.status).sort();
+      assert.deepEqual(statuses, [200, 409]);
+      assert.equal(h.fakes.signnow.find("DELETE /v2/documents/:id/embedded-invites").length, 1);
+      assert.equal((await getContract(contract.id)).action, null);
+    });
+
+    test("the actions route is closed while neither API_KEY nor INTERNAL_SIGNING_SECRET is set", async () => {
+      const { contract } = await created("V527");
+      h.setEnv({ API_KEY: "", INTERNAL_SIGNING_SECRET: "" });
+
+      const res = await h.post(`/api/contracts/${contract.id}/actions`, { action: "cancel" }, { auth: false });
+      assert.equal(res.status, 503);
+      assert.equal((await getContract(contract.id)).status, "sent");
+    });
+
+    test("resending the signing link replaces the client's invite", async () => {
+      const { contract, message } = await created("V530");
+
+      await press(message, contract.id, "resend_link");
+      assert.equal(h.fakes.signnow.find("DELETE /v2/documents/:id/embedded-invites").length, 1);
+      assert.equal(h.fakes.signnow.find("POST /v2/documents/:id/embedded-invites").length, 2);
+      assert.match(JSON.stringify(message.blocks), /New signing link created by <@U2>/);
+      assert.equal((await getContract(contract.id)).status, "sent");
+    });
+
+    test("download gives the presser a short-lived link to the contract's .docx", async () => {
+      const { contract, message } = await created("V540");
+
+      await press(message, contract.id, "download");
+      const [ephemeral] = h.fakes.slack.state.ephemerals;
+      assert.equal(ephemeral.user, "U2");
+      const link = new URL(ephemeral.text.match(/<([^|>]+)\|/)[1]);
+      assert.equal((await listJobs({ type: "contract_action" })).length, 0);
+
+      const file = await h.app.request("GET", link.pathname + link.search);
+      assert.equal(file.status, 200);
+      assert.match(file.headers["content-disposition"], /Sprint1_AcmeRobotics_MSA_SOW\.docx/);
+      assert.match(file.headers["content-type"], /wordprocessingml/);
+
+      link.searchParams.set("signature", "00".repeat(32));
+      assert.equal((await h.app.request("GET", link.pathname + link.search)).status, 401);
+    });
+  });
+
+  describe("approvals", () => {
+    beforeEach(() => h.setEnv({ APPROVAL_CHANNEL_ID: "C0APPROVALS", APPROVAL_AMOUNT_THRESHOLD: "4000" }));
+
+    const inChannel = (channel) => h.fakes.slack.state.messages.filter((m) => m.channel === channel);
+    const approvalButton = (message, action) => message.blocks.flatMap((b) => b.elements || []).find((e) => e.action_id === "contract_approval:" + action);
+
+    async function held(viewId, fields = {}) {
+      await h.slack("/api/slack-interact", submission(viewId, fields));
+      const job = await finishedJob("slack-view-" + viewId);
+      const [contract] = await listContracts();
+      return { job, contract, message: inChannel("C0APPROVALS")[0] };
+    }
+
+    // Presses an approval button as U9 (or `user`) and waits for the decision's job
+    async function decide(message, action, user = "U9") {
+      const count = async () => (await listJobs({ type: "contract_approval" })).filter((j) => j.status === "done").length;
+      const before = await count();
+      const button = approvalButton(message, action);
+      await h.slack("/api/slack-interact", { payload: JSON.stringify({
+        type: "block_actions", user: { id: user }, channel: { id: message.channel }, trigger_id: "trig.9",
+        actions: [{ action_id: button.action_id, value: button.value }],
+      }) });
+      if (action !== "edit") await waitFor(async () => (await count()) > before);
+    }
+
+    test("a contract over the threshold waits for approval before anything is sent", async () => {
+      const { job, contract, message } = await held("V600");
+
+      assert.equal(job.result.success, true);
+      assert.equal(h.fakes.signnow.find("POST /document").length, 0);
+      assert.equal(h.fakes.stripe.requests.length, 0);
+      assert.equal(contract.status, "draft");
+      assert.equal(contract.approval.status, "pending");
+      assert.deepEqual(contract.approval.reasons, ["$5,000 is over the $4,000 threshold"]);
+      assert.equal((await getRun(contract.run_id)).status, "awaiting_approval");
+
+      assert.match(message.blocks[0].text.text, /Approval needed:\* Sprint 1 contract for \*Acme Robotics\* — requested by <@U1>/);
+      assert.ok(approvalButton(message, "approve").confirm);
+      assert.match(inChannel("C0CONTRACTS").at(-1).text, /waiting for approval\* in <#C0APPROVALS>/);
+      assert.match(inChannel("D1")[0].text, /is waiting for approval/);
+
+      await decide(message, "approve");
+      const approved = (await listContracts())[0];
+      assert.deepEqual([approved.status, approved.approval.status, approved.approval.decided_by], ["sent", "approved", "U9"]);
+      assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+      assert.equal((await getRun(contract.run_id)).status, "succeeded");
+
+      // The approval message shows the decision; the usual summary follows
+      assert.equal(approvalButton(message, "approve"), undefined);
+      assert.match(JSON.stringify(message.blocks), /Approved\* by <@U9>/);
+      const summary = inChannel("C0CONTRACTS").find((m) => m.text === "New contract created for Acme Robotics");
+      assert.match(JSON.stringify(summary.blocks), /Approval\* — approved by <@U9>/);
+      assert.match(inChannel("D1")[0].text, /is ready/);
+    });
+
+    test("rejecting terminates the contract and tells the requester", async () => {
+      const { contract, message } = await held("V610");
+
+      await decide(message, "reject");
+      const rejected = (await listContracts())[0];
+      assert.deepEqual([rejected.status, rejected.approval.status, rejected.approval.decided_by], ["terminated", "rejected", "U9"]);
+      assert.equal(h.fakes.signnow.requests.length, 0);
+      assert.equal((await getRun(contract.run_id)).status, "rejected");
+      assert.match(inChannel("D1")[0].text, /was rejected by <@U9>/);
+      assert.match(JSON.stringify(message.blocks), /Rejected\* by <@U9>/);
+
+      // A late Approve from an older copy of the message is refused
+      await decide({ ...message, blocks: [{ type: "actions", elements: [{ action_id: "contract_approval:approve", value: contract.id }] }] }, "approve");
+      assert.equal(h.fakes.signnow.requests.length, 0);
+      assert.match(h.fakes.slack.state.ephemerals[0].text, /isn't waiting for approval \(already rejected by <@U9>\)/);
+    });
+
+    test("two approvals at once resume the run once, and the requester can't decide", async () => {
+      const { contract, message } = await held("V630");
+
+      await decide(message, "approve", "U1");
+      assert.equal((await getContract(contract.id)).approval.status, "pending");
+      assert.match(h.fakes.slack.state.ephemerals[0].text, /<@U1> requested contract .*, so someone else has to approve or reject it/);
+      await decide(message, "edit", "U1");
+      assert.equal(h.fakes.slack.state.views.length, 0);
+
+      // Two approvers at once
+      const approve = (user) => h.post(`/api/contracts/${contract.id}/approval`, { decision: "approve", user_id: user });
+      const statuses = (await Promise.all([approve("U9"), approve("U8")])).map((r) => r.status);
+      assert.deepEqual(statuses.sort(), [200, 409]);
+      assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+      assert.equal((await getContract(contract.id)).status, "sent");
+    });
+
+    test("an approver can edit the contract, which approves it as edited", async () => {
+      h.setEnv({ APPROVAL_AMOUNT_THRESHOLD: "" });
+      const { contract, message } = await held("V620", { custom_clauses: "Net 60 payment terms." });
+      assert.deepEqual(contract.approval.reasons, ["Custom clauses"]);
+
+      await decide(message, "edit");
+      const edit = h.fakes.slack.state.views.at(-1);
+      assert.equal(edit.callback_id, "approval_edit_submit");
+      const prefilled = (id) => edit.blocks.find((b) => b.block_id === id).element.initial_value;
+      assert.deepEqual([prefilled("amount"), prefilled("custom_clauses")], ["5000", "Net 60 payment terms."]);
+
+      await h.slack("/api/slack-interact", submission("V621", { amount: "4,500", custom_clauses: undefined }, {
+        callback_id: "approval_edit_submit", private_metadata: edit.private_metadata,
+      }, "U9"));
+      await waitFor(async () => (await listJobs({ type: "contract_approval" })).find((j) => j.status === "done"));
+
+      const approved = (await listContracts())[0];
+      assert.equal(approved.approval.edited, true);
+      assert.equal(approved.inputs.amount, "4500");
+      assert.equal(approved.inputs.custom_clauses, undefined);
+      assert.equal(approved.billing.pending.amount_cents, 450000);
+      assert.equal(h.fakes.signnow.find("POST /document").length, 1);
+      assert.match(JSON.stringify(message.blocks), /Approved\* by <@U9> with edits/);
+      assert.match(JSON.stringify(message.blocks), /Start Date:\*\\n\d{4}-\d{2}-\d{2}/);
+    });
+
+    test("an edited term is in the contract's .docx download too", async () => {
+      const phase2 = { contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer" };
+      const { message } = await held("V640", phase2);
+      assert.ok((await listContracts())[0].artifacts.clauses.includes("term.month-to-month@1"));
+
+      await decide(message, "edit");
+      const edit = h.fakes.slack.state.views.at(-1);
+      await h.slack("/api/slack-interact", submission("V641", { ...phase2, term_months: "6" }, {
+        callback_id: "approval_edit_submit", private_metadata: edit.private_metadata,
+      }, "U9"));
+      await waitFor(async () => (await listJobs({ type: "contract_approval" })).find((j) => j.status === "done"));
+
+      const approved = (await listContracts())[0];
+      assert.equal(approved.approval.edited, true);
+      assert.ok(approved.artifacts.clauses.includes("term.renewing@1"));
+      assert.ok(approved.artifacts.clauses.includes("payment.retainer@1"));
+      assert.match(docxText((await contractDocx(approved)).buffer), /initial term of 6 months/);
+    });
+
+    test("the approval route is closed while neither API_KEY nor INTERNAL_SIGNING_SECRET is set", async () => {
+      const { contract } = await held("V650");
+      h.setEnv({ API_KEY: "", INTERNAL_SIGNING_SECRET: "" });
+
+      const res = await h.post(`/api/contracts/${contract.id}/approval`, { decision: "approve", user_id: "U9" }, { auth: false });
+      assert.equal(res.status, 503);
+      assert.equal((await getContract(contract.id)).approval.status, "pending");
+      assert.equal(h.fakes.signnow.requests.length, 0);
+    });
+  });
+
+  describe("POST /api/slack-contract", () => {
+    test("posts validation errors to the channel for callers without a modal", async () => {
+      const res = await h.post("/api/slack-contract", { contract_type: "Sprint 9", client_company: "Acme Robotics", client_email: "ada@acme.test" });
+
+      assert.equal(res.body.success, false);
+      assert.ok(res.body.errors.includes("*First Name* is missing"));
+      assert.equal(h.fakes.signnow.requests.length, 0);
+      const [message] = h.fakes.slack.state.messages;
+      assert.equal(message.text, "Contract form had validation errors");
+      assert.match(JSON.stringify(message.blocks), /\*Contract Type\* \\"Sprint 9\\" must be one of/);
+    });
+  });
+});
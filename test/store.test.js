@@ -0,0 +1,93 @@
+const { test, describe, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, contractBody } = require("./helpers/harness");
+const { KV_TOKEN } = require("./helpers/fakes");
+const { loadConfig } = require("../lib/config");
+const { getStore, setStore } = require("../lib/store");
+const { acquireLock, takeOverExpired } = require("../lib/store/locks");
+const { createContract, getContract, listContracts, updateContract, setContractStatus } = require("../lib/contracts/registry");
+
+describe("store", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  beforeEach(() => h.reset());
+  after(() => h.stop());
+
+  function useKv() {
+    h.setEnv({ STORE_ADAPTER: "kv", KV_REST_API_URL: "https://kv.upstash.test", KV_REST_API_TOKEN: KV_TOKEN });
+    setStore(null);
+  }
+
+  test("the kv adapter keeps records in the shared store, with atomic create()", async () => {
+    useKv();
+    const store = getStore();
+
+    assert.deepEqual(await store.create("things", "a", { n: 1 }), { n: 1 });
+    assert.equal(await store.create("things", "a", { n: 2 }), null);
+    await store.put("things", "b", { n: 3 });
+    assert.deepEqual(await store.get("things", "a"), { n: 1 });
+    assert.deepEqual((await store.list("things")).map((r) => r.n).sort(), [1, 3]);
+    assert.equal(await store.delete("things", "a"), true);
+    assert.equal(await store.delete("things", "a"), false);
+    assert.equal(await store.get("things", "a"), null);
+    assert.deepEqual(await store.list("things"), [{ n: 3 }]);
+
+    const [set] = h.fakes.kv.find("POST /");
+    assert.equal(set.headers.authorization, "Bearer " + KV_TOKEN);
+    assert.deepEqual(set.body, ["SET", "aeo:things:a", '{"n":1}', "NX"]);
+  });
+
+  test("a contract run against the kv adapter is recorded there", async () => {
+    useKv();
+    const res = await h.post("/api/generate-and-send", contractBody());
+    assert.equal(res.status, 200);
+
+    assert.ok(h.fakes.kv.state.strings["aeo:contracts:" + res.body.contract_id]);
+    assert.equal((await getContract(res.body.contract_id)).status, "sent");
+    assert.equal((await listContracts()).length, 1);
+  });
+
+  test("concurrent updates to one contract all land", async () => {
+    const { id } = await createContract({ contractType: "sprint1", body: {} });
+
+    await Promise.all([
+      updateContract(id, { external: { signnow_document_id: "doc_1" } }),
+      updateContract(id, { billing: { invoice_status: "open" } }),
+      setContractStatus(id, "sent", "Uploaded"),
+      updateContract(id, { billing: { last_event: "invoice.finalized" } }),
+      updateContract(id, { slack: { channel: "C1", ts: "1.1" } }),
+    ]);
+
+    const contract = await getContract(id);
+    assert.equal(contract.status, "sent");
+    assert.equal(contract.external.signnow_document_id, "doc_1");
+    assert.deepEqual(contract.billing, { invoice_status: "open", last_event: "invoice.finalized" });
+    assert.deepEqual(contract.slack, { channel: "C1", ts: "1.1" });
+  });
+
+  test("an expired lock is taken over by exactly one contender", async () => {
+    const expired = { name: "run:r1", token: "dead", expires_at: new Date(Date.now() - 1000).toISOString() };
+    await h.store().put("locks", "run:r1", expired);
+
+    const tokens = (await Promise.all([1, 2, 3, 4].map(() => acquireLock("run:r1", 60000)))).filter(Boolean);
+    assert.equal(tokens.length, 1);
+    // A contender that read the expired lock before it was taken over still loses
+    assert.equal(await takeOverExpired("locks", "run:r1", expired, { ...expired, token: "late" }), false);
+    assert.equal((await h.store().get("locks", "run:r1")).token, tokens[0]);
+  });
+
+  test("refuses a store that isn't shared between functions on Vercel", () => {
+    const env = { ...process.env, VERCEL: "1" };
+
+    for (const adapter of [undefined, "file", "memory"]) {
+      const { invalid } = loadConfig({ ...env, STORE_ADAPTER: adapter });
+      assert.equal(invalid.length, 1);
+      assert.equal(invalid[0].name, "STORE_ADAPTER");
+      assert.match(invalid[0].reason, /doesn't work on Vercel.*use kv/);
+    }
+
+    const kv = loadConfig({ ...env, STORE_ADAPTER: "kv" });
+    assert.deepEqual(kv.invalid, []);
+    assert.deepEqual(kv.missing, ["KV_REST_API_URL", "KV_REST_API_TOKEN"]);
+  });
+});
@@ -0,0 +1,213 @@
+const { test, describe, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, contractBody } = require("./helpers/harness");
+const { SIGNED_PDF } = require("./helpers/fakes");
+const { getContract } = require("../lib/contracts/registry");
+
+describe("webhooks", () => {
+  let h;
+  before(async () => { h = await startHarness(); });
+  beforeEach(() => h.reset());
+  after(() => h.stop());
+
+  // A sent contract, with the pipeline's own calls cleared from the fakes
+  async function sentContract(overrides) {
+    const res = await h.post("/api/generate-and-send", contractBody(overrides));
+    assert.equal(res.status, 200);
+    for (const fake of ["signnow", "stripe", "slack", "clickup"]) h.fakes[fake].requests = [];
+    h.fakes.slack.state.messages = [];
+    return getContract(res.body.contract_id);
+  }
+
+  describe("POST /api/signnow-webhook", () => {
+    test("document.complete stores the signed PDF, invoices the contract and moves its task", async () => {
+      const contract = await sentContract();
+      const res = await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, "signed");
+
+      const [download] = h.fakes.signnow.find("GET /document/:id/download");
+      assert.equal(download.query.type, "collapsed");
+      const stored = await h.store().get("documents", contract.id + "-signed");
+      assert.equal(Buffer.from(stored.base64, "base64").toString(), SIGNED_PDF.toString());
+
+      // One-time sprint invoice: customer, invoice, line item, finalize
+      assert.deepEqual(h.fakes.stripe.requests.filter((r) => r.method === "POST").map((r) => r.path.replace(/_\w+/g, "_x")), [
+        "/v1/customers", "/v1/invoices", "/v1/invoiceitems", "/v1/invoices/in_x/finalize",
+      ]);
+      const [customer] = h.fakes.stripe.find("POST /v1/customers");
+      assert.deepEqual([customer.body.email, customer.body.name, customer.body["metadata[company]"]], ["ada@acme.test", "Ada Lovelace", "Acme Robotics"]);
+      assert.equal(customer.headers.authorization, "Basic " + Buffer.from("sk_test_fake:").toString("base64"));
+      assert.equal(customer.headers["idempotency-key"], contract.id + ":customer");
+      const [invoice] = h.fakes.stripe.find("POST /v1/invoices");
+      assert.equal(invoice.body["metadata[contract_id]"], contract.id);
+      assert.equal(invoice.body.collection_method, "send_invoice");
+      const [item] = h.fakes.stripe.find("POST /v1/invoiceitems");
+      assert.equal(item.body.amount, "500000");
+
+      const updated = await getContract(contract.id);
+      assert.equal(updated.status, "signed");
+      assert.match(updated.external.stripe_invoice_url, /^https:\/\/invoice\.stripe\.test\/in_/);
+      assert.equal(updated.billing.pending, null);
+
+      const [move] = h.fakes.clickup.find("PUT /api/v2/task/:id");
+      assert.equal(move.path, "/api/v2/task/" + contract.external.clickup_task_id);
+      assert.deepEqual(move.body, { status: "in progress" });
+
+      // Both updates reply in the contract's thread
+      const replies = h.fakes.slack.state.messages;
+      assert.deepEqual(replies.map((m) => m.thread_ts), [contract.slack.ts, contract.slack.ts]);
+      assert.match(replies[0].text, /^:white_check_mark: Contract signed/);
+      assert.match(replies[1].text, /^:receipt: Stripe invoice created/);
+    });
+
+    test("a retainer is billed as a monthly subscription", async () => {
+      const contract = await sentContract({ contract_type: "phase2", deliverable: undefined, scope: "Monthly AEO retainer" });
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+
+      const [price] = h.fakes.stripe.find("POST /v1/prices");
+      assert.equal(price.body["recurring[interval]"], "month");
+      const [subscription] = h.fakes.stripe.find("POST /v1/subscriptions");
+      assert.equal(subscription.body["metadata[contract_id]"], contract.id);
+      assert.equal(h.fakes.stripe.find("POST /v1/invoices/:id/finalize").length, 1);
+      assert.ok((await getContract(contract.id)).external.stripe_subscription_id);
+    });
+
+    test("a new signer at a known company gets a customer of their own unless company matching is on", async () => {
+      h.fakes.stripe.state.customers.cus_old = {
+        id: "cus_old", object: "customer", created: 1, email: "grace@acme.test", name: "Grace Hopper",
+        metadata: { company: "Acme Robotics" }, invoice_settings: { custom_fields: [{ name: "Company", value: "Acme Robotics" }] },
+      };
+
+      const contract = await sentContract();
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      const [created] = h.fakes.stripe.find("POST /v1/customers");
+      assert.equal(created.body.email, "ada@acme.test");
+      assert.equal((await getContract(contract.id)).external.stripe_invoice_email, "ada@acme.test");
+
+      h.setEnv({ STRIPE_CUSTOMER_MATCH: "email_or_company" });
+      const other = await sentContract({ client_email: "alan@acme.test" });
+      await h.signNowEvent("document.complete", other.external.signnow_document_id);
+      assert.equal(h.fakes.stripe.find("POST /v1/customers").length, 0);
+      const [invoice] = h.fakes.stripe.find("POST /v1/invoices");
+      assert.equal(invoice.body.customer, "cus_old");
+      assert.equal((await getContract(other.id)).external.stripe_invoice_email, "grace@acme.test");
+      assert.match(h.fakes.slack.state.messages[1].text, /emailed to grace@acme\.test/);
+    });
+
+    test("a Stripe failure is reported and leaves the billing pending", async () => {
+      const contract = await sentContract();
+      h.fakes.stripe.failNext("POST /v1/invoices", 400, { error: { type: "invalid_request_error", message: "Customer has no email" } });
+
+      const res = await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      assert.equal(res.status, 200);
+
+      const updated = await getContract(contract.id);
+      assert.equal(updated.status, "signed");
+      assert.ok(updated.billing.pending);
+      assert.match(updated.billing.last_error, /Stripe invoice creation failed: Customer has no email/);
+      assert.equal(h.fakes.stripe.find("POST /v1/invoiceitems").length, 0);
+      assert.match(h.fakes.slack.state.messages[1].text, /^:x: Stripe invoice failed after signature/);
+    });
+
+    test("billing that failed part way carries on with what Stripe already created", async () => {
+      const contract = await sentContract();
+      h.fakes.stripe.failNext("POST /v1/invoices/:id/finalize", 400, { error: { type: "invalid_request_error", message: "Try later" } });
+
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      const failed = await getContract(contract.id);
+      assert.ok(failed.billing.pending);
+      const { customer_id: customerId, invoice_id: invoiceId, invoice_item_id: itemId } = failed.billing.partial;
+      assert.ok(customerId && invoiceId && itemId);
+
+      const res = await h.post(`/api/contracts/${contract.id}/invoice`, {});
+      assert.equal(res.status, 200);
+      assert.equal(h.fakes.stripe.find("POST /v1/customers").length, 1);
+      assert.equal(h.fakes.stripe.find("POST /v1/invoices").length, 1);
+      assert.equal(h.fakes.stripe.find("POST /v1/invoiceitems").length, 1);
+      // Stripe keeps the refusal for its key, so the finalize is asked for again under a new one
+      const finalizes = h.fakes.stripe.find("POST /v1/invoices/:id/finalize");
+      assert.deepEqual(finalizes.map((r) => r.headers["idempotency-key"]), [contract.id + ":finalize", contract.id + ":retry1:finalize"]);
+
+      const billed = await getContract(contract.id);
+      assert.deepEqual([billed.external.stripe_customer_id, billed.external.stripe_invoice_id], [customerId, invoiceId]);
+      assert.deepEqual([billed.billing.pending, billed.billing.partial], [null, null]);
+    });
+
+    test("Stripe 5xx responses are retried with the same Idempotency-Key", async () => {
+      const contract = await sentContract();
+      h.fakes.stripe.failNext("POST /v1/customers", 503, { error: { message: "try again" } });
+
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+
+      const attempts = h.fakes.stripe.find("POST /v1/customers");
+      assert.equal(attempts.length, 2);
+      assert.equal(attempts[0].headers["idempotency-key"], attempts[1].headers["idempotency-key"]);
+      assert.equal(Object.keys(h.fakes.stripe.state.customers).length, 1);
+      assert.ok((await getContract(contract.id)).external.stripe_invoice_id);
+    });
+
+    test("rejects deliveries with a bad signature", async () => {
+      const contract = await sentContract();
+      const res = await h.signNowEvent("document.complete", contract.external.signnow_document_id, {
+        headers: { "X-SignNow-Signature": "bm90IGEgc2lnbmF0dXJl" },
+      });
+      assert.equal(res.status, 401);
+      assert.equal((await getContract(contract.id)).status, "sent");
+      assert.equal(h.fakes.stripe.requests.length, 0);
+    });
+
+    test("acknowledges events for unknown documents", async () => {
+      const res = await h.signNowEvent("document.open", "doc_unknown");
+      assert.equal(res.status, 200);
+      assert.match(res.body.ignored, /No contract/);
+    });
+  });
+
+  describe("POST /api/stripe-webhook", () => {
+    test("invoice.paid marks the contract paid, once", async () => {
+      const contract = await sentContract();
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      const invoiceId = (await getContract(contract.id)).external.stripe_invoice_id;
+      h.fakes.slack.state.messages = [];
+
+      const invoice = { id: invoiceId, object: "invoice", status: "paid", amount_paid: 500000, currency: "usd", metadata: { contract_id: contract.id } };
+      const first = await h.stripeEvent("invoice.paid", invoice, { id: "evt_paid" });
+      const repeat = await h.stripeEvent("invoice.paid", invoice, { id: "evt_paid" });
+
+      assert.equal(first.body.status, "paid");
+      assert.equal(repeat.body.duplicate, true);
+      assert.equal((await getContract(contract.id)).status, "paid");
+      assert.deepEqual(h.fakes.slack.state.messages.map((m) => m.text), [":moneybag: Invoice paid ($5,000.00) — Acme Robotics"]);
+    });
+
+    test("a signature that arrives after the payment is still recorded", async () => {
+      const contract = await sentContract();
+      const invoice = { id: "in_early", object: "invoice", status: "paid", amount_paid: 500000, currency: "usd", metadata: { contract_id: contract.id } };
+      await h.stripeEvent("invoice.paid", invoice);
+      assert.equal((await getContract(contract.id)).status, "paid");
+
+      const res = await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      assert.equal(res.body.status, "paid");
+      const updated = await getContract(contract.id);
+      assert.equal(updated.status, "paid");
+      assert.ok(updated.signed_at);
+      assert.equal(updated.artifacts.signed_copy.key, contract.id + "-signed");
+      assert.ok(await h.store().get("documents", contract.id + "-signed"));
+      assert.deepEqual(updated.history.map((e) => e.status), contract.history.map((e) => e.status).concat("paid"));
+
+      // A repeat delivery changes nothing
+      h.fakes.signnow.requests = [];
+      await h.signNowEvent("document.complete", contract.external.signnow_document_id);
+      assert.equal(h.fakes.signnow.find("GET /document/:id/download").length, 0);
+    });
+
+    test("rejects deliveries with a bad signature", async () => {
+      const res = await h.stripeEvent("invoice.paid", { id: "in_1", object: "invoice" }, {
+        headers: { "Stripe-Signature": "t=1,v1=00" },
+      });
+      assert.equal(res.status, 401);
+    });
+  });
+});